@@ -2,11 +2,12 @@ import store from './core/store.js';
 import eventBus, { EVENTS } from './core/eventBus.js';
 import errorHandler from './core/errorHandler.js';
 
-import { Tonality } from './models/tonality.js';
-import { TrackBlock } from './models/sequence.js';
+import { tonalityCollection } from './models/tonality.js';
+import { TrackBlock, TrackStructure } from './models/sequence.js';
 
 import HeaderComponent from './components/header.js';
 import BlockManagerComponent from './components/blockManager.js';
+import ArrangementTimelineComponent from './components/arrangementTimeline.js';
 import TonalitySelectorComponent from './components/tonalitySelector.js';
 import ChordGridComponent from './components/chordGrid.js';
 import SequenceComponent from './components/sequenceComponent.js';
@@ -14,6 +15,9 @@ import SequenceComponent from './components/sequenceComponent.js';
 import audioService from './services/audioService.js';
 import storageService from './services/storageService.js';
 import exportService from './services/exportService.js';
+import midiImportService from './services/midiImportService.js';
+import rhythmService from './services/rhythmService.js';
+import { DEFAULT_ARPEGGIATOR_SETTINGS } from './services/arpeggiatorService.js';
 
 /**
  * Главный класс приложения ChordPlayer
@@ -33,8 +37,14 @@ class ChordPlayerApp {
         this.saveState = this.saveState.bind(this);
         this.handleExportMidi = this.handleExportMidi.bind(this);
         this.handleExportText = this.handleExportText.bind(this);
+        this.handleExportSongMidi = this.handleExportSongMidi.bind(this);
+        this.handleExportSongText = this.handleExportSongText.bind(this);
+        this.handleExportMusicXml = this.handleExportMusicXml.bind(this);
+        this.handleExportSongMusicXml = this.handleExportSongMusicXml.bind(this);
         this.handleExportProject = this.handleExportProject.bind(this);
         this.handleImportProject = this.handleImportProject.bind(this);
+        this.handleImportMidi = this.handleImportMidi.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
     }
     
     /**
@@ -51,6 +61,13 @@ class ChordPlayerApp {
         // Пробуем загрузить сохраненное состояние или создаем начальное
         this.loadState() || this.createInitialState();
         
+        // Загрузка состояния не отменяется
+        this.store.clearHistory();
+        
+        // Пользовательские ритмические рисунки нужны компонентам уже при первой отрисовке
+        rhythmService.setCustomPatterns(this.store.get('rhythmPatterns'));
+        this.store.subscribe('rhythmPatterns', rhythmService.setCustomPatterns);
+        
         // Инициализируем аудио сервис
         audioService.initialize().catch(error => {
             console.error('Ошибка инициализации аудио сервиса:', error);
@@ -65,6 +82,9 @@ class ChordPlayerApp {
         // Настраиваем автосохранение
         this.setupAutoSave();
         
+        // Настраиваем горячие клавиши
+        this.setupKeyboardShortcuts();
+        
         console.log('ChordPlayer инициализирован');
     }
     
@@ -79,12 +99,12 @@ class ChordPlayerApp {
             'A1': new TrackBlock({
                 id: 'A1',
                 name: 'A1',
-                tonality: new Tonality('E', 'moll')
+                tonality: tonalityCollection.findTonality('E', 'minor')
             }),
             'B1': new TrackBlock({
                 id: 'B1',
                 name: 'B1',
-                tonality: new Tonality('G', 'dur')
+                tonality: tonalityCollection.findTonality('G', 'major')
             })
         };
         
@@ -94,7 +114,14 @@ class ChordPlayerApp {
             blocks: blocks,
             tempo: 120,
             arpeggiatorEnabled: false,
+            arpeggiator: { ...DEFAULT_ARPEGGIATOR_SETTINGS },
             metronomeEnabled: false,
+            loopEnabled: false,
+            loopRegion: null,
+            arrangement: [],
+            rhythmPatterns: [],
+            midiDrums: false,
+            musicXmlVoiced: false,
             showTonalityCircle: true
         });
         
@@ -152,6 +179,12 @@ class ChordPlayerApp {
             container: '.block-manager'
         });
         
+        // Инициализация шкалы аранжировки
+        this.components.arrangementTimeline = new ArrangementTimelineComponent({
+            ...componentOptions,
+            container: '.arrangement-section'
+        });
+        
         // Инициализация селектора тональности
         this.components.tonalitySelector = new TonalitySelectorComponent({
             ...componentOptions,
@@ -190,12 +223,23 @@ class ChordPlayerApp {
         // Подписываемся на экспорт в текст
         this.eventBus.subscribe(EVENTS.EXPORT_TEXT, this.handleExportText);
         
+        // Подписываемся на экспорт песни по аранжировке
+        this.eventBus.subscribe(EVENTS.EXPORT_SONG_MIDI, this.handleExportSongMidi);
+        this.eventBus.subscribe(EVENTS.EXPORT_SONG_TEXT, this.handleExportSongText);
+        
+        // Подписываемся на экспорт в MusicXML
+        this.eventBus.subscribe(EVENTS.EXPORT_MUSICXML, this.handleExportMusicXml);
+        this.eventBus.subscribe(EVENTS.EXPORT_SONG_MUSICXML, this.handleExportSongMusicXml);
+        
         // Подписываемся на экспорт проекта
         this.eventBus.subscribe(EVENTS.EXPORT_PROJECT, this.handleExportProject);
         
         // Подписываемся на импорт проекта
         this.eventBus.subscribe(EVENTS.IMPORT_PROJECT, this.handleImportProject);
         
+        // Подписываемся на импорт MIDI-файла
+        this.eventBus.subscribe(EVENTS.IMPORT_MIDI, this.handleImportMidi);
+        
         // Подписываемся на сохранение
         this.eventBus.subscribe(EVENTS.STORAGE_SAVE, this.saveState);
     }
@@ -215,6 +259,39 @@ class ChordPlayerApp {
         });
     }
     
+    /**
+     * Настройка горячих клавиш
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+    
+    /**
+     * Обработчик нажатия клавиш: Ctrl+Z - отмена, Ctrl+Shift+Z и Ctrl+Y - повтор
+     * @param {KeyboardEvent} event - Событие клавиатуры
+     */
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey)) {
+            return;
+        }
+        
+        // В полях ввода оставляем стандартную отмену браузера
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.store.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.store.redo();
+        }
+    }
+    
     /**
      * Обработчик экспорта в MIDI
      * @param {Object} data - Данные события
@@ -227,14 +304,22 @@ class ChordPlayerApp {
             return;
         }
         
-        // Получаем темп из хранилища
+        // Получаем темп и настройки блока из хранилища
         const tempo = this.store.get('tempo') || 120;
+        const blocks = this.store.get('blocks') || {};
+        const block = blocks[blockId] || {};
         
         // Экспортируем в MIDI
         exportService.exportToMidi(sequence, {
             filename: `chordplayer_${blockId}`,
             tempo,
-            trackName: `ChordPlayer - ${blockId}`
+            trackName: `ChordPlayer - ${blockId}`,
+            blockName: block.name || blockId,
+            tonality: block.tonality,
+            timeSignature: block.timeSignature,
+            voicingStyle: block.voicingStyle,
+            rhythmPattern: block.rhythmPattern,
+            drums: Boolean(this.store.get('midiDrums'))
         }).catch(error => {
             console.error('Ошибка экспорта в MIDI:', error);
         });
@@ -265,20 +350,119 @@ class ChordPlayerApp {
         exportService.exportToText(sequence, {
             filename: `chordplayer_${blockId}`,
             tonality: block.tonality,
+            timeSignature: block.timeSignature,
             blockId
         }).catch(error => {
             console.error('Ошибка экспорта в текст:', error);
         });
     }
     
+    /**
+     * Обработчик экспорта блока в MusicXML
+     * @param {Object} data - Данные события
+     */
+    handleExportMusicXml(data) {
+        const { blockId, sequence } = data;
+        
+        if (!sequence || sequence.length === 0) {
+            console.warn('Нечего экспортировать в MusicXML');
+            return;
+        }
+        
+        const blocks = this.store.get('blocks') || {};
+        const block = blocks[blockId] || {};
+        
+        exportService.exportToMusicXml(sequence, {
+            filename: `chordplayer_${blockId}`,
+            title: block.name || blockId,
+            tempo: this.store.get('tempo') || 120,
+            blockName: block.name || blockId,
+            tonality: block.tonality,
+            timeSignature: block.timeSignature,
+            voicingStyle: block.voicingStyle,
+            voiced: Boolean(this.store.get('musicXmlVoiced'))
+        }).catch(error => {
+            console.error('Ошибка экспорта в MusicXML:', error);
+        });
+    }
+    
+    /**
+     * Получение частей песни в порядке аранжировки
+     * @returns {Array<Object>} - Части песни (см. TrackStructure.getSections)
+     */
+    getSongSections() {
+        return TrackStructure.getSections(this.store.get('blocks') || {}, this.store.get('arrangement'));
+    }
+    
+    /**
+     * Обработчик экспорта песни в MIDI
+     */
+    handleExportSongMidi() {
+        const sections = this.getSongSections();
+        
+        if (!sections.some(section => section.sequence.length > 0)) {
+            console.warn('Нечего экспортировать в MIDI');
+            return;
+        }
+        
+        exportService.exportSongToMidi(sections, {
+            filename: 'chordplayer_song',
+            tempo: this.store.get('tempo') || 120,
+            trackName: 'ChordPlayer - Song',
+            drums: Boolean(this.store.get('midiDrums'))
+        }).catch(error => {
+            console.error('Ошибка экспорта песни в MIDI:', error);
+        });
+    }
+    
+    /**
+     * Обработчик экспорта песни в текст
+     */
+    handleExportSongText() {
+        const sections = this.getSongSections();
+        
+        if (sections.length === 0) {
+            console.warn('Нечего экспортировать в текст');
+            return;
+        }
+        
+        exportService.exportSongToText(sections, {
+            filename: 'chordplayer_song'
+        }).catch(error => {
+            console.error('Ошибка экспорта песни в текст:', error);
+        });
+    }
+    
+    /**
+     * Обработчик экспорта песни в MusicXML
+     */
+    handleExportSongMusicXml() {
+        const sections = this.getSongSections();
+        
+        if (!sections.some(section => section.sequence.length > 0)) {
+            console.warn('Нечего экспортировать в MusicXML');
+            return;
+        }
+        
+        exportService.exportSongToMusicXml(sections, {
+            filename: 'chordplayer_song',
+            title: 'ChordPlayer - Song',
+            tempo: this.store.get('tempo') || 120,
+            voiced: Boolean(this.store.get('musicXmlVoiced'))
+        }).catch(error => {
+            console.error('Ошибка экспорта песни в MusicXML:', error);
+        });
+    }
+    
     /**
      * Обработчик экспорта проекта
+     * Проект сохраняется целиком, вместе с аранжировкой
      */
     handleExportProject() {
         const state = this.store.getState();
         
         // Экспортируем проект
-        exportService.exportState(state).catch(error => {
+        storageService.exportState(state).catch(error => {
             console.error('Ошибка экспорта проекта:', error);
         });
     }
@@ -299,6 +483,7 @@ class ChordPlayerApp {
         storageService.importState(file).then(state => {
             // Обновляем хранилище
             this.store.update(state);
+            rhythmService.setCustomPatterns(state.rhythmPatterns);
             
             // Перезагружаем компоненты
             Object.values(this.components).forEach(component => {
@@ -315,6 +500,48 @@ class ChordPlayerApp {
             alert('Ошибка при импорте проекта. Проверьте файл и попробуйте снова.');
         });
     }
+    
+    /**
+     * Обработчик импорта MIDI-файла
+     * Распознанная последовательность добавляется новым блоком и выбирается для редактирования
+     * @param {Object} data - Данные события
+     * @param {File} data.file - MIDI-файл
+     */
+    handleImportMidi(data) {
+        const { file } = data;
+        
+        if (!file) {
+            console.warn('Нет файла для импорта');
+            return;
+        }
+        
+        midiImportService.importFile(file).then(block => {
+            // Блоки читаются после разбора файла, чтобы не потерять изменения, сделанные за это время
+            const blocks = this.store.get('blocks') || {};
+            
+            // Импортированные блоки получают ID вида M1, M2...
+            let number = 1;
+            while (blocks[`M${number}`]) {
+                number++;
+            }
+            const blockId = `M${number}`;
+            
+            // Компоненты работают с последовательностью блока как с массивом
+            const newBlock = { ...block, id: blockId, sequence: TrackStructure.getBlockItems(block) };
+            
+            this.store.batch('Импорт MIDI', () => {
+                this.store.set('blocks', { ...blocks, [blockId]: newBlock });
+                this.store.set('currentBlockId', blockId);
+            });
+            
+            this.eventBus.publish(EVENTS.UI_BLOCK_SELECTED, { blockId });
+            
+            console.log(`MIDI-файл импортирован в блок ${blockId}`);
+        }).catch(error => {
+            console.error('Ошибка импорта MIDI:', error);
+            alert('Ошибка при импорте MIDI. Проверьте файл и попробуйте снова.');
+        });
+    }
 }
 
 // Создаем экземпляр приложения
@@ -361,6 +588,32 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
+    // Импорт MIDI-файла
+    const importMidiButton = document.getElementById('import-midi');
+    if (importMidiButton) {
+        importMidiButton.addEventListener('click', () => {
+            // Создаем скрытый input для выбора файла
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.mid,.midi';
+            fileInput.style.display = 'none';
+            
+            // Добавляем обработчик выбора файла
+            fileInput.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                if (file) {
+                    eventBus.publish(EVENTS.IMPORT_MIDI, { file });
+                }
+                // Удаляем input после использования
+                document.body.removeChild(fileInput);
+            });
+            
+            // Добавляем input в DOM и кликаем по нему
+            document.body.appendChild(fileInput);
+            fileInput.click();
+        });
+    }
+    
     // Обработчик для кнопки дублирования блока
     const duplicateBlockButton = document.getElementById('duplicate-block');
     if (duplicateBlockButton) {
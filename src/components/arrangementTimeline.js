@@ -0,0 +1,522 @@
+import { BaseComponent } from './base.js';
+import { EVENTS } from '../core/eventBus.js';
+import { TrackStructure } from '../models/sequence.js';
+
+/**
+ * Ширина одного такта на шкале аранжировки (px)
+ * @type {number}
+ */
+const BAR_WIDTH = 40;
+
+/**
+ * Компонент шкалы аранжировки песни
+ * Показывает блоки в порядке воспроизведения с шириной по длине в тактах.
+ * Блоки можно добавлять, повторять, убирать и перетаскивать
+ */
+export class ArrangementTimelineComponent extends BaseComponent {
+    constructor(options) {
+        super(options);
+        
+        // Инициализация состояния
+        this.state = {
+            blocks: {},
+            currentBlockId: 'A1',
+            arrangement: [],
+            playingSection: null,
+            midiDrums: false,
+            musicXmlVoiced: false,
+            ...this.state
+        };
+        
+        // Перетаскиваемый элемент: { type: 'item', index } или { type: 'block', blockId }
+        this.dragSource = null;
+        this.isSongPlayback = false;
+        
+        // Привязка методов к контексту
+        this.handleItemClick = this.handleItemClick.bind(this);
+        this.handleRepeatItem = this.handleRepeatItem.bind(this);
+        this.handleRemoveItem = this.handleRemoveItem.bind(this);
+        this.handleAddBlock = this.handleAddBlock.bind(this);
+        this.handleDragStart = this.handleDragStart.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+        this.handleExportSongMidi = this.handleExportSongMidi.bind(this);
+        this.handleExportSongText = this.handleExportSongText.bind(this);
+        this.handleMidiDrumsChange = this.handleMidiDrumsChange.bind(this);
+        this.handleExportSongMusicXml = this.handleExportSongMusicXml.bind(this);
+        this.handleMusicXmlVoicedChange = this.handleMusicXmlVoicedChange.bind(this);
+    }
+    
+    /**
+     * Подписка на события и хранилище
+     */
+    afterMount() {
+        if (this.store) {
+            this.subscribeToStore('blocks', (blocks) => {
+                this.setState({ blocks });
+            });
+            
+            this.subscribeToStore('currentBlockId', (currentBlockId) => {
+                this.setState({ currentBlockId });
+            });
+            
+            this.subscribeToStore('arrangement', (arrangement) => {
+                this.setState({ arrangement });
+            });
+            
+            this.subscribeToStore('midiDrums', (midiDrums) => {
+                this.setState({ midiDrums: Boolean(midiDrums) });
+            });
+            
+            this.subscribeToStore('musicXmlVoiced', (musicXmlVoiced) => {
+                this.setState({ musicXmlVoiced: Boolean(musicXmlVoiced) });
+            });
+            
+            this.setState({
+                midiDrums: Boolean(this.store.get('midiDrums')),
+                musicXmlVoiced: Boolean(this.store.get('musicXmlVoiced'))
+            });
+        }
+        
+        // Подсвечиваем звучащую часть при воспроизведении песни
+        if (this.eventBus) {
+            this.subscribeToEvent(EVENTS.PLAYBACK_START, (data) => {
+                this.isSongPlayback = Boolean(data && data.arrangement);
+            });
+            
+            this.subscribeToEvent(EVENTS.PLAYBACK_BLOCK, ({ sectionIndex }) => {
+                if (this.isSongPlayback) {
+                    this.setState({ playingSection: sectionIndex });
+                }
+            });
+            
+            this.subscribeToEvent(EVENTS.PLAYBACK_STOP, () => {
+                this.isSongPlayback = false;
+                this.setState({ playingSection: null });
+            });
+        }
+    }
+    
+    /**
+     * Создание структуры трека из состояния
+     * @returns {TrackStructure} - Структура трека
+     */
+    createTrackStructure() {
+        const { blocks, currentBlockId, arrangement } = this.state;
+        
+        return new TrackStructure(Object.values(blocks || {}), currentBlockId, [...(arrangement || [])]);
+    }
+    
+    /**
+     * Сохранение измененной структуры трека в хранилище одним шагом истории
+     * @param {TrackStructure} structure - Структура трека
+     * @param {string} label - Название действия
+     */
+    commitTrackStructure(structure, label) {
+        if (!this.store) {
+            return;
+        }
+        
+        const { blocks } = this.state;
+        const blockIds = structure.getAllBlocks().map(block => block.id);
+        
+        this.store.batch(label, () => {
+            // Порядок блоков меняется только при перемещении в аранжировке по умолчанию
+            if (blockIds.join() !== Object.keys(blocks || {}).join()) {
+                const orderedBlocks = {};
+                structure.getAllBlocks().forEach(block => {
+                    orderedBlocks[block.id] = block;
+                });
+                
+                this.store.set('blocks', orderedBlocks, { label });
+            }
+            
+            this.store.set('arrangement', [...structure.arrangement], { label });
+        });
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.UI_ARRANGEMENT_CHANGED, { arrangement: structure.getArrangement() });
+        }
+    }
+    
+    /**
+     * Обработчик клика по части аранжировки - выбор блока
+     * @param {string} blockId - ID блока
+     */
+    handleItemClick(blockId) {
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.UI_BLOCK_SELECTED, { blockId });
+        }
+    }
+    
+    /**
+     * Повтор части аранжировки (копия вставляется следом)
+     * @param {number} index - Позиция в аранжировке
+     */
+    handleRepeatItem(index) {
+        const structure = this.createTrackStructure();
+        const blockId = structure.getArrangement()[index];
+        
+        if (blockId && structure.insertArrangementItem(blockId, index + 1)) {
+            this.commitTrackStructure(structure, 'Повтор блока в аранжировке');
+        }
+    }
+    
+    /**
+     * Удаление части из аранжировки
+     * @param {number} index - Позиция в аранжировке
+     */
+    handleRemoveItem(index) {
+        const structure = this.createTrackStructure();
+        
+        if (structure.removeArrangementItem(index) !== null) {
+            this.commitTrackStructure(structure, 'Удаление блока из аранжировки');
+        }
+    }
+    
+    /**
+     * Добавление блока в аранжировку
+     * @param {string} blockId - ID блока
+     * @param {number} [index] - Позиция (по умолчанию - в конец)
+     */
+    handleAddBlock(blockId, index = null) {
+        const structure = this.createTrackStructure();
+        
+        if (structure.insertArrangementItem(blockId, index)) {
+            this.commitTrackStructure(structure, 'Добавление блока в аранжировку');
+        }
+    }
+    
+    /**
+     * Перемещение части аранжировки
+     * Пока аранжировка не задана явно, она совпадает с порядком блоков,
+     * поэтому перемещается сам блок трека
+     * @param {number} index - Текущая позиция
+     * @param {number} newIndex - Новая позиция
+     */
+    moveItem(index, newIndex) {
+        const structure = this.createTrackStructure();
+        const blockId = structure.getArrangement()[index];
+        
+        const moved = structure.arrangement.length === 0
+            ? structure.moveBlock(blockId, newIndex)
+            : structure.moveArrangementItem(index, newIndex);
+        
+        if (moved) {
+            this.commitTrackStructure(structure, 'Перемещение блока в аранжировке');
+        }
+    }
+    
+    /**
+     * Начало перетаскивания части аранжировки или блока из палитры
+     * @param {Object} source - Источник: { type: 'item', index } или { type: 'block', blockId }
+     * @param {DragEvent} event - Событие перетаскивания
+     */
+    handleDragStart(source, event) {
+        this.dragSource = source;
+        
+        event.dataTransfer.effectAllowed = source.type === 'item' ? 'move' : 'copy';
+        // Без данных перетаскивание не начинается в Firefox
+        event.dataTransfer.setData('text/plain', source.blockId || String(source.index));
+    }
+    
+    /**
+     * Разрешение сброса на шкалу
+     * @param {DragEvent} event - Событие перетаскивания
+     */
+    handleDragOver(event) {
+        if (this.dragSource) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Сброс перетаскиваемого элемента на позицию шкалы
+     * @param {number} targetIndex - Позиция сброса (длина аранжировки - в конец)
+     * @param {DragEvent} event - Событие перетаскивания
+     */
+    handleDrop(targetIndex, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const source = this.dragSource;
+        this.dragSource = null;
+        
+        if (!source) {
+            return;
+        }
+        
+        if (source.type === 'block') {
+            this.handleAddBlock(source.blockId, targetIndex);
+            return;
+        }
+        
+        const length = this.createTrackStructure().getArrangement().length;
+        this.moveItem(source.index, Math.min(targetIndex, length - 1));
+    }
+    
+    /**
+     * Обработчик экспорта песни в MIDI
+     */
+    handleExportSongMidi() {
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.EXPORT_SONG_MIDI, {});
+        }
+    }
+    
+    /**
+     * Обработчик переключения дорожки ударных в MIDI
+     * @param {Event} e - Событие изменения флажка
+     */
+    handleMidiDrumsChange(e) {
+        if (this.store) {
+            this.store.set('midiDrums', e.target.checked);
+        }
+    }
+    
+    /**
+     * Обработчик экспорта песни в MusicXML
+     */
+    handleExportSongMusicXml() {
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.EXPORT_SONG_MUSICXML, {});
+        }
+    }
+    
+    /**
+     * Обработчик переключения записи аккордов нотами в MusicXML
+     * @param {Event} e - Событие изменения флажка
+     */
+    handleMusicXmlVoicedChange(e) {
+        if (this.store) {
+            this.store.set('musicXmlVoiced', e.target.checked);
+        }
+    }
+    
+    /**
+     * Обработчик экспорта песни в текст
+     */
+    handleExportSongText() {
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.EXPORT_SONG_TEXT, {});
+        }
+    }
+    
+    /**
+     * Форматирование количества тактов
+     * @param {number} bars - Количество тактов
+     * @returns {string} - Количество с точностью до сотых
+     */
+    formatBars(bars) {
+        return String(Math.round(bars * 100) / 100);
+    }
+    
+    /**
+     * Создание элемента части аранжировки
+     * @param {string} blockId - ID блока
+     * @param {number} index - Позиция в аранжировке
+     * @returns {HTMLElement} - DOM элемент части
+     */
+    createTimelineItem(blockId, index) {
+        const { blocks, currentBlockId, playingSection } = this.state;
+        const block = blocks[blockId];
+        const bars = TrackStructure.getBlockBars(block);
+        
+        const item = this.createElement('div', {
+            className: `timeline-item ${blockId === currentBlockId ? 'active' : ''} ${index === playingSection ? 'playing' : ''}`,
+            attributes: {
+                draggable: 'true',
+                title: `${block.name || blockId}: ${this.formatBars(bars)} такт.`,
+                style: `width: ${Math.max(1, bars) * BAR_WIDTH}px`
+            },
+            events: {
+                click: () => this.handleItemClick(blockId),
+                dragstart: (e) => this.handleDragStart({ type: 'item', index }, e),
+                dragover: this.handleDragOver,
+                drop: (e) => this.handleDrop(index, e)
+            }
+        });
+        
+        item.appendChild(this.createElement('span', {
+            className: 'timeline-item-name',
+            children: block.name || blockId
+        }));
+        
+        const actions = this.createElement('div', {
+            className: 'timeline-item-actions'
+        });
+        
+        actions.appendChild(this.createElement('button', {
+            className: 'button-link',
+            attributes: {
+                title: 'Повторить'
+            },
+            children: '⧉',
+            events: {
+                click: (e) => {
+                    e.stopPropagation(); // Не выбираем блок
+                    this.handleRepeatItem(index);
+                }
+            }
+        }));
+        
+        actions.appendChild(this.createElement('button', {
+            className: 'button-link',
+            attributes: {
+                title: 'Убрать из аранжировки'
+            },
+            children: '×',
+            events: {
+                click: (e) => {
+                    e.stopPropagation(); // Не выбираем блок
+                    this.handleRemoveItem(index);
+                }
+            }
+        }));
+        
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Отрисовка компонента
+     */
+    render() {
+        const { blocks, arrangement } = this.state;
+        const order = TrackStructure.resolveArrangement(Object.keys(blocks || {}), arrangement);
+        const totalBars = order.reduce((total, blockId) => total + TrackStructure.getBlockBars(blocks[blockId]), 0);
+        
+        // Создаем фрагмент для компонента
+        const fragment = document.createDocumentFragment();
+        
+        const section = this.createElement('div', {
+            className: 'arrangement-timeline-section'
+        });
+        
+        // Заголовок с длиной песни и экспортом
+        const header = this.createElement('div', {
+            className: 'timeline-header'
+        });
+        
+        header.appendChild(this.createElement('h3', {
+            children: 'Аранжировка'
+        }));
+        header.appendChild(this.createElement('span', {
+            className: 'timeline-length',
+            children: `Тактов: ${this.formatBars(totalBars)}`
+        }));
+        header.appendChild(this.createElement('label', {
+            className: 'midi-drums-toggle',
+            attributes: {
+                title: 'Добавить в MIDI-файл дорожку ударных по размеру каждого блока'
+            },
+            children: [
+                this.createElement('input', {
+                    attributes: {
+                        type: 'checkbox',
+                        checked: this.state.midiDrums ? 'checked' : null
+                    },
+                    events: {
+                        change: this.handleMidiDrumsChange
+                    }
+                }),
+                'Ударные в MIDI'
+            ]
+        }));
+        header.appendChild(this.createElement('button', {
+            className: 'button',
+            children: 'Экспорт песни в MIDI',
+            events: {
+                click: this.handleExportSongMidi
+            }
+        }));
+        header.appendChild(this.createElement('label', {
+            className: 'musicxml-voiced-toggle',
+            attributes: {
+                title: 'Записать в MusicXML аккорды нотами вместо ритмических косых'
+            },
+            children: [
+                this.createElement('input', {
+                    attributes: {
+                        type: 'checkbox',
+                        checked: this.state.musicXmlVoiced ? 'checked' : null
+                    },
+                    events: {
+                        change: this.handleMusicXmlVoicedChange
+                    }
+                }),
+                'Аккорды нотами'
+            ]
+        }));
+        header.appendChild(this.createElement('button', {
+            className: 'button',
+            children: 'Экспорт песни в MusicXML',
+            events: {
+                click: this.handleExportSongMusicXml
+            }
+        }));
+        header.appendChild(this.createElement('button', {
+            className: 'button',
+            children: 'Экспорт песни в текст',
+            events: {
+                click: this.handleExportSongText
+            }
+        }));
+        
+        // Шкала аранжировки (сброс на пустое место - в конец)
+        const timeline = this.createElement('div', {
+            className: 'arrangement-timeline',
+            events: {
+                dragover: this.handleDragOver,
+                drop: (e) => this.handleDrop(order.length, e)
+            }
+        });
+        
+        order.forEach((blockId, index) => {
+            timeline.appendChild(this.createTimelineItem(blockId, index));
+        });
+        
+        // Палитра блоков: клик добавляет в конец, блок можно перетащить на шкалу
+        const palette = this.createElement('div', {
+            className: 'timeline-palette'
+        });
+        
+        palette.appendChild(this.createElement('span', {
+            children: 'Добавить блок:'
+        }));
+        
+        Object.keys(blocks || {}).forEach(blockId => {
+            palette.appendChild(this.createElement('div', {
+                className: 'timeline-palette-block',
+                attributes: {
+                    draggable: 'true'
+                },
+                children: blocks[blockId].name || blockId,
+                events: {
+                    click: () => this.handleAddBlock(blockId),
+                    dragstart: (e) => this.handleDragStart({ type: 'block', blockId }, e)
+                }
+            }));
+        });
+        
+        section.appendChild(header);
+        section.appendChild(timeline);
+        section.appendChild(palette);
+        
+        if (!arrangement || arrangement.length === 0) {
+            section.appendChild(this.createElement('div', {
+                className: 'timeline-hint',
+                children: 'Пока аранжировка не задана, блоки звучат по одному разу в порядке вкладок'
+            }));
+        }
+        
+        fragment.appendChild(section);
+        
+        return fragment;
+    }
+}
+
+// Экспортируем компонент
+export default ArrangementTimelineComponent;
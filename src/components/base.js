@@ -238,19 +238,21 @@ export class BaseComponent {
     createElement(tagName, options = {}) {
         const element = document.createElement(tagName);
         
-        // Добавляем классы
+        // Добавляем классы (строка может содержать несколько классов через пробел)
         if (options.className) {
-            if (Array.isArray(options.className)) {
-                element.classList.add(...options.className);
-            } else {
-                element.classList.add(options.className);
-            }
+            const classNames = Array.isArray(options.className)
+                ? options.className
+                : options.className.split(/\s+/);
+            
+            element.classList.add(...classNames.filter(Boolean));
         }
         
-        // Добавляем атрибуты
+        // Добавляем атрибуты (null и undefined означают отсутствие атрибута, например selected)
         if (options.attributes) {
             Object.entries(options.attributes).forEach(([key, value]) => {
-                element.setAttribute(key, value);
+                if (value !== null && value !== undefined) {
+                    element.setAttribute(key, value);
+                }
             });
         }
         
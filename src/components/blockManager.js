@@ -1,7 +1,7 @@
 import { BaseComponent } from './base.js';
 import { EVENTS } from '../core/eventBus.js';
 import { TrackBlock } from '../models/sequence.js';
-import { Tonality } from '../models/tonality.js';
+import { tonalityCollection } from '../models/tonality.js';
 
 /**
  * Компонент управления блоками трека
@@ -15,6 +15,7 @@ export class BlockManagerComponent extends BaseComponent {
         this.state = {
             blocks: {},
             currentBlockId: 'A1',
+            playingBlockId: null,
             ...this.state
         };
         
@@ -42,6 +43,17 @@ export class BlockManagerComponent extends BaseComponent {
         // Подписываемся на события управления блоками
         if (this.eventBus) {
             this.eventBus.subscribe(EVENTS.UI_BLOCK_SELECTED, this.handleBlockClick);
+            
+            // Подсвечиваем звучащий блок
+            this.eventBus.subscribe(EVENTS.PLAYBACK_BLOCK, ({ blockId }) => {
+                if (blockId && blockId !== this.state.playingBlockId) {
+                    this.setState({ playingBlockId: blockId });
+                }
+            });
+            
+            this.eventBus.subscribe(EVENTS.PLAYBACK_STOP, () => {
+                this.setState({ playingBlockId: null });
+            });
         }
     }
     
@@ -104,7 +116,7 @@ export class BlockManagerComponent extends BaseComponent {
         const newBlock = new TrackBlock({
             id: newBlockId,
             name: newBlockId,
-            tonality: new Tonality('C', 'dur')
+            tonality: tonalityCollection.findTonality('C', 'major')
         });
         
         // Добавляем блок в хранилище
@@ -171,7 +183,7 @@ export class BlockManagerComponent extends BaseComponent {
      * Отрисовка компонента
      */
     render() {
-        const { blocks, currentBlockId } = this.state;
+        const { blocks, currentBlockId, playingBlockId } = this.state;
         
         // Создаем фрагмент для компонента
         const fragment = document.createDocumentFragment();
@@ -192,7 +204,7 @@ export class BlockManagerComponent extends BaseComponent {
                 const block = blocks[blockId];
                 
                 const blockTab = this.createElement('div', {
-                    className: `block-tab ${blockId === currentBlockId ? 'active' : ''}`,
+                    className: `block-tab ${blockId === currentBlockId ? 'active' : ''} ${blockId === playingBlockId ? 'playing' : ''}`,
                     attributes: {
                         'data-block': blockId
                     },
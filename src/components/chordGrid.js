@@ -1,8 +1,12 @@
 import { BaseComponent } from './base.js';
 import { EVENTS } from '../core/eventBus.js';
-import { Chord, ChordCollection } from '../models/chord.js';
+import { Chord, ChordCollection, EXTENDED_CHORD_TYPES } from '../models/chord.js';
 import { Tonality } from '../models/tonality.js';
+import { getBarDuration } from '../models/meter.js';
+import { spellPitchClass, formatNoteWithOctave } from '../models/scale.js';
 import audioService from '../services/audioService.js';
+import chordRecognitionService from '../services/chordRecognitionService.js';
+import midiInputService from '../services/midiInputService.js';
 
 /**
  * Компонент сетки аккордов
@@ -17,14 +21,24 @@ export class ChordGridComponent extends BaseComponent {
             currentBlockId: 'A1',
             blocks: {},
             selectedChord: null,
+            recognitionText: '',
+            recognitionNotes: [],
+            recognitionError: null,
+            midiInputEnabled: midiInputService.isEnabled(),
             ...this.state
         };
         
+        // Поле ввода нот для распознавания (пересоздается при каждой отрисовке)
+        this.recognitionInput = null;
+        
         // Привязка методов к контексту
         this.handleChordClick = this.handleChordClick.bind(this);
         this.handleAddChord = this.handleAddChord.bind(this);
         this.handleAddPause = this.handleAddPause.bind(this);
         this.handleHideInfo = this.handleHideInfo.bind(this);
+        this.handleRecognizeNotes = this.handleRecognizeNotes.bind(this);
+        this.handleMidiInputToggle = this.handleMidiInputToggle.bind(this);
+        this.handleMidiInputNotes = this.handleMidiInputNotes.bind(this);
     }
     
     /**
@@ -49,6 +63,12 @@ export class ChordGridComponent extends BaseComponent {
         // Подписываемся на события выбора аккорда
         if (this.eventBus) {
             this.eventBus.subscribe(EVENTS.UI_CHORD_SELECTED, this.handleChordClick);
+            
+            // Аккорды, взятые на MIDI-клавиатуре, сразу распознаются
+            this.eventBus.subscribe(EVENTS.MIDI_INPUT_NOTES, this.handleMidiInputNotes);
+            this.eventBus.subscribe(EVENTS.MIDI_INPUT_TOGGLED, ({ enabled }) => {
+                this.setState({ midiInputEnabled: enabled });
+            });
         }
     }
     
@@ -60,10 +80,7 @@ export class ChordGridComponent extends BaseComponent {
         const { blocks, currentBlockId } = this.state;
         
         if (blocks && blocks[currentBlockId] && blocks[currentBlockId].tonality) {
-            return new Tonality(
-                blocks[currentBlockId].tonality.note,
-                blocks[currentBlockId].tonality.type
-            );
+            return Tonality.fromJSON(blocks[currentBlockId].tonality);
         }
         
         return null;
@@ -83,6 +100,54 @@ export class ChordGridComponent extends BaseComponent {
         return null;
     }
     
+    /**
+     * Получение расширенных аккордов для выбранного аккорда (или тоники)
+     * @returns {Array<Chord>} - Массив расширенных аккордов
+     */
+    getExtendedChords() {
+        const { selectedChord } = this.state;
+        const tonality = this.getCurrentTonality();
+        
+        // Строим аккорды от основной ноты выбранного аккорда, а если он не выбран - от тоники
+        const root = selectedChord ? selectedChord.root : (tonality ? tonality.getRootNote() : null);
+        
+        if (!root) {
+            return [];
+        }
+        
+        return EXTENDED_CHORD_TYPES.map(type => {
+            const chord = new Chord(root, type, {
+                inTonality: tonality ? tonality.getName() : null
+            });
+            
+            // Определяем функцию, если аккорд принадлежит тональности
+            if (tonality) {
+                const functionInfo = chord.getChordFunction(tonality);
+                chord.function = functionInfo.function;
+                chord.degree = functionInfo.degree;
+            }
+            
+            return chord;
+        });
+    }
+    
+    /**
+     * Получение вариантов аккорда для введенных нот
+     * @returns {Array<Object>} - Варианты распознавания: { chord, score, confidence, details }
+     */
+    getRecognizedChords() {
+        const { recognitionNotes } = this.state;
+        
+        if (!recognitionNotes || recognitionNotes.length === 0) {
+            return [];
+        }
+        
+        return chordRecognitionService.recognize(recognitionNotes, {
+            limit: 6,
+            tonality: this.getCurrentTonality()
+        });
+    }
+    
     /**
      * Обработчик клика по аккорду
      * @param {Object} data - Данные события или объект аккорда
@@ -103,7 +168,7 @@ export class ChordGridComponent extends BaseComponent {
         
         // Воспроизводим аккорд
         audioService.initialize().then(() => {
-            audioService.playChord(chord.getNotes(), 1);
+            audioService.playChord(chord.getVoicedNotes(), 1);
         }).catch(error => {
             console.error("Ошибка при инициализации аудио:", error);
         });
@@ -134,17 +199,16 @@ export class ChordGridComponent extends BaseComponent {
             const updatedBlocks = { ...blocks };
             const currentBlock = { ...updatedBlocks[currentBlockId] };
             
-            // Если последовательность не определена, создаем ее
-            if (!currentBlock.sequence) {
-                currentBlock.sequence = [];
-            }
-            
-            // Добавляем аккорд в последовательность
-            currentBlock.sequence.push({
-                chord: selectedChord,
-                duration: 1,
-                isPause: false
-            });
+            // Добавляем аккорд длительностью в один такт размера блока в новую копию
+            // последовательности (старый массив остается в истории изменений хранилища)
+            currentBlock.sequence = [
+                ...(currentBlock.sequence || []),
+                {
+                    chord: selectedChord,
+                    duration: getBarDuration(currentBlock.timeSignature),
+                    isPause: false
+                }
+            ];
             
             updatedBlocks[currentBlockId] = currentBlock;
             this.store.set('blocks', updatedBlocks);
@@ -174,17 +238,15 @@ export class ChordGridComponent extends BaseComponent {
             const updatedBlocks = { ...blocks };
             const currentBlock = { ...updatedBlocks[currentBlockId] };
             
-            // Если последовательность не определена, создаем ее
-            if (!currentBlock.sequence) {
-                currentBlock.sequence = [];
-            }
-            
-            // Добавляем паузу в последовательность
-            currentBlock.sequence.push({
-                chord: null,
-                duration: 1,
-                isPause: true
-            });
+            // Добавляем паузу в новую копию последовательности
+            currentBlock.sequence = [
+                ...(currentBlock.sequence || []),
+                {
+                    chord: null,
+                    duration: getBarDuration(currentBlock.timeSignature),
+                    isPause: true
+                }
+            ];
             
             updatedBlocks[currentBlockId] = currentBlock;
             this.store.set('blocks', updatedBlocks);
@@ -208,14 +270,69 @@ export class ChordGridComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Обработчик распознавания нот, введенных в поле "Что за аккорд?"
+     */
+    handleRecognizeNotes() {
+        const text = this.recognitionInput ? this.recognitionInput.value : '';
+        
+        try {
+            this.setState({
+                recognitionText: text,
+                recognitionNotes: chordRecognitionService.parseNotes(text),
+                recognitionError: null
+            });
+        } catch (error) {
+            this.setState({
+                recognitionText: text,
+                recognitionNotes: [],
+                recognitionError: error.message
+            });
+        }
+    }
+    
+    /**
+     * Обработчик включения и выключения MIDI-клавиатуры
+     */
+    handleMidiInputToggle() {
+        if (midiInputService.isEnabled()) {
+            midiInputService.disable();
+            return;
+        }
+        
+        midiInputService.enable().catch(error => {
+            console.error('Ошибка подключения MIDI-клавиатуры:', error);
+            this.setState({ recognitionError: 'Не удалось подключить MIDI-клавиатуру' });
+        });
+    }
+    
+    /**
+     * Обработчик нажатых клавиш MIDI-клавиатуры
+     * После отпускания клавиш остается последний взятый аккорд
+     * @param {Object} data - Данные события
+     * @param {Array<number>} data.notes - Номера MIDI-нот по возрастанию
+     */
+    handleMidiInputNotes({ notes }) {
+        if (!notes || notes.length === 0) {
+            return;
+        }
+        
+        this.setState({
+            recognitionText: notes.map(note => formatNoteWithOctave(spellPitchClass(note), note)).join(' '),
+            recognitionNotes: notes,
+            recognitionError: null
+        });
+    }
+    
     /**
      * Создание элемента аккорда
      * @param {Chord} chord - Аккорд
      * @param {string} functionColor - Цвет функции
      * @param {boolean} isSelected - Выбран ли аккорд
+     * @param {string} [variant] - Вид минора (harmonic, melodic), из которого взят аккорд, или другая подпись
      * @returns {HTMLElement} - DOM элемент аккорда
      */
-    createChordElement(chord, functionColor, isSelected) {
+    createChordElement(chord, functionColor, isSelected, variant = null) {
         // Определяем цвет границы на основе функции
         const borderColor = functionColor || '#ccc';
         
@@ -241,6 +358,21 @@ export class ChordGridComponent extends BaseComponent {
             chordElement.appendChild(badge);
         }
         
+        // Добавляем метку вида минора (или подпись как есть)
+        if (variant) {
+            const variantLabels = {
+                harmonic: 'гарм.',
+                melodic: 'мел.'
+            };
+            
+            const variantTag = this.createElement('span', {
+                className: 'chord-variant',
+                children: variantLabels[variant] || variant
+            });
+            
+            chordElement.appendChild(variantTag);
+        }
+        
         return chordElement;
     }
     
@@ -250,12 +382,15 @@ export class ChordGridComponent extends BaseComponent {
      * @returns {HTMLElement} - DOM элемент с информацией об аккорде
      */
     renderChordInfo(chord) {
-        // Если аккорд не выбран, возвращаем пустой элемент
+        // Если аккорд не выбран, показываем подсказку и распознавание аккорда
         if (!chord) {
-            return this.createElement('div', {
+            const emptyElement = this.createElement('div', {
                 className: 'chord-info',
                 children: 'Выберите аккорд для отображения информации'
             });
+            
+            emptyElement.appendChild(this.renderChordRecognition());
+            return emptyElement;
         }
         
         // Получаем тональность
@@ -280,8 +415,7 @@ export class ChordGridComponent extends BaseComponent {
             // Добавляем функции в родственных тональностях
             const relatedTonalities = tonality.getRelatedTonalities();
             
-            relatedTonalities.forEach(relatedInfo => {
-                const relatedTonality = new Tonality(relatedInfo.note, relatedInfo.type);
+            relatedTonalities.forEach(relatedTonality => {
                 const relatedFunction = chord.getChordFunction(relatedTonality);
                 
                 if (relatedFunction.function) {
@@ -374,10 +508,104 @@ export class ChordGridComponent extends BaseComponent {
         infoElement.appendChild(notes);
         infoElement.appendChild(functionsContainer);
         infoElement.appendChild(actionsContainer);
+        infoElement.appendChild(this.renderChordRecognition());
         
         return infoElement;
     }
     
+    /**
+     * Отрисовка инструмента "Что за аккорд?": ноты вводятся текстом или
+     * берутся на MIDI-клавиатуре, варианты показываются по убыванию уверенности
+     * @returns {HTMLElement} - DOM элемент распознавания аккорда
+     */
+    renderChordRecognition() {
+        const { selectedChord, recognitionText, recognitionNotes, recognitionError, midiInputEnabled } = this.state;
+        const candidates = this.getRecognizedChords();
+        
+        const container = this.createElement('div', {
+            className: 'chord-recognition'
+        });
+        
+        container.appendChild(this.createElement('h4', {
+            children: 'Что за аккорд?'
+        }));
+        
+        this.recognitionInput = this.createElement('input', {
+            className: 'chord-recognition-input',
+            attributes: {
+                type: 'text',
+                placeholder: 'Ноты: C E G Bb или E3 C4 G4',
+                value: recognitionText
+            },
+            events: {
+                keydown: (event) => {
+                    if (event.key === 'Enter') {
+                        this.handleRecognizeNotes();
+                    }
+                }
+            }
+        });
+        
+        const controls = this.createElement('div', {
+            className: 'chord-recognition-controls'
+        });
+        
+        controls.appendChild(this.recognitionInput);
+        controls.appendChild(this.createElement('button', {
+            className: 'button',
+            children: 'Распознать',
+            events: {
+                click: this.handleRecognizeNotes
+            }
+        }));
+        
+        // Кнопка MIDI-клавиатуры показывается только в браузерах с Web MIDI
+        if (midiInputService.isSupported()) {
+            controls.appendChild(this.createElement('button', {
+                className: `button-link ${midiInputEnabled ? 'active' : ''}`,
+                children: midiInputEnabled ? 'Отключить MIDI-клавиатуру' : 'MIDI-клавиатура',
+                events: {
+                    click: this.handleMidiInputToggle
+                }
+            }));
+        }
+        
+        container.appendChild(controls);
+        
+        if (recognitionError) {
+            container.appendChild(this.createElement('div', {
+                className: 'chord-recognition-error',
+                children: recognitionError
+            }));
+        } else if (recognitionNotes.length > 0 && candidates.length === 0) {
+            container.appendChild(this.createElement('div', {
+                className: 'chord-recognition-error',
+                children: 'Аккорд не распознан'
+            }));
+        }
+        
+        // Варианты аккорда: уверенность выводится под названием
+        const results = this.createElement('div', {
+            className: 'chord-grid chord-recognition-results'
+        });
+        
+        candidates.forEach(({ chord, confidence }) => {
+            const isSelected = selectedChord && selectedChord.getName() === chord.getName();
+            const chordElement = this.createChordElement(
+                chord,
+                chord.getFunctionColor(),
+                isSelected,
+                `${Math.round(confidence * 100)}%`
+            );
+            
+            results.appendChild(chordElement);
+        });
+        
+        container.appendChild(results);
+        
+        return container;
+    }
+    
     /**
      * Отрисовка компонента
      */
@@ -431,6 +659,59 @@ export class ChordGridComponent extends BaseComponent {
         seventhChordsSection.appendChild(seventhChordsTitle);
         seventhChordsSection.appendChild(seventhChordsGrid);
         
+        // Создаем секцию аккордов гармонического и мелодического минора
+        const variantChordsSection = this.createElement('div', {
+            className: 'variant-chords'
+        });
+        
+        const variantChordsTitle = this.createElement('h3', {
+            children: 'Гармонический и мелодический минор'
+        });
+        
+        const variantChordsGrid = this.createElement('div', {
+            className: 'chord-grid',
+            attributes: {
+                id: 'variant-chords-grid'
+            }
+        });
+        
+        variantChordsSection.appendChild(variantChordsTitle);
+        variantChordsSection.appendChild(variantChordsGrid);
+        
+        // Создаем секцию расширенных аккордов
+        const extendedChords = this.getExtendedChords();
+        
+        const extendedChordsSection = this.createElement('div', {
+            className: 'extended-chords'
+        });
+        
+        const extendedChordsTitle = this.createElement('h3', {
+            children: extendedChords.length > 0
+                ? `Расширенные аккорды от ${extendedChords[0].root}`
+                : 'Расширенные аккорды'
+        });
+        
+        const extendedChordsGrid = this.createElement('div', {
+            className: 'chord-grid',
+            attributes: {
+                id: 'extended-chords-grid'
+            }
+        });
+        
+        extendedChordsSection.appendChild(extendedChordsTitle);
+        extendedChordsSection.appendChild(extendedChordsGrid);
+        
+        extendedChords.forEach(chord => {
+            const isSelected = selectedChord && 
+                              selectedChord.root === chord.root && 
+                              selectedChord.type === chord.type;
+            
+            const functionColor = chord.getFunctionColor();
+            const chordElement = this.createChordElement(chord, functionColor, isSelected);
+            
+            extendedChordsGrid.appendChild(chordElement);
+        });
+        
         // Заполняем сетки аккордов, если есть коллекция
         if (chordCollection) {
             // Получаем базовые аккорды
@@ -460,6 +741,20 @@ export class ChordGridComponent extends BaseComponent {
                 
                 seventhChordsGrid.appendChild(chordElement);
             });
+            
+            // Получаем аккорды гармонического и мелодического минора
+            const variantChords = chordCollection.getVariantChords();
+            
+            variantChords.forEach(({ variant, chord }) => {
+                const isSelected = selectedChord && 
+                                  selectedChord.root === chord.root && 
+                                  selectedChord.type === chord.type;
+                
+                const functionColor = chord.getFunctionColor();
+                const chordElement = this.createChordElement(chord, functionColor, isSelected, variant);
+                
+                variantChordsGrid.appendChild(chordElement);
+            });
         }
         
         // Добавляем информацию об аккорде
@@ -468,6 +763,16 @@ export class ChordGridComponent extends BaseComponent {
         // Собираем секцию аккордов
         chordsSection.appendChild(basicChordsSection);
         chordsSection.appendChild(seventhChordsSection);
+        
+        // Секция вариантов минора показывается только для минорных тональностей
+        if (chordCollection && chordCollection.getVariantChords().length > 0) {
+            chordsSection.appendChild(variantChordsSection);
+        }
+        
+        if (extendedChords.length > 0) {
+            chordsSection.appendChild(extendedChordsSection);
+        }
+        
         chordsSection.appendChild(chordInfo);
         
         // Добавляем секцию аккордов во фрагмент
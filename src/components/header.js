@@ -1,6 +1,8 @@
 import { BaseComponent } from './base.js';
 import { EVENTS } from '../core/eventBus.js';
 import audioService from '../services/audioService.js';
+import arpeggiatorService, { ARPEGGIATOR_MODES, DEFAULT_ARPEGGIATOR_SETTINGS, MAX_ARPEGGIATOR_OCTAVES } from '../services/arpeggiatorService.js';
+import { TrackStructure } from '../models/sequence.js';
 
 /**
  * Компонент заголовка приложения
@@ -14,17 +16,35 @@ export class HeaderComponent extends BaseComponent {
         this.state = {
             tempo: 120,
             arpeggiatorEnabled: false,
+            arpeggiator: { ...DEFAULT_ARPEGGIATOR_SETTINGS },
+            arpeggiatorSettingsOpen: false,
             metronomeEnabled: false,
+            loopEnabled: false,
             isPlaying: false,
+            isPaused: false,
+            canUndo: false,
+            canRedo: false,
             ...this.state
         };
         
+        // Блок, который воспроизводится сейчас (для области повтора),
+        // и признак воспроизведения всей песни
+        this.playingBlockId = null;
+        this.isSongPlayback = false;
+        
         // Привязка методов к контексту
         this.handleTempoChange = this.handleTempoChange.bind(this);
         this.handleArpeggiatorToggle = this.handleArpeggiatorToggle.bind(this);
+        this.handleArpeggiatorSettingsToggle = this.handleArpeggiatorSettingsToggle.bind(this);
+        this.handleArpeggiatorSettingChange = this.handleArpeggiatorSettingChange.bind(this);
         this.handleMetronomeToggle = this.handleMetronomeToggle.bind(this);
+        this.handleLoopToggle = this.handleLoopToggle.bind(this);
         this.handlePlayClick = this.handlePlayClick.bind(this);
+        this.handlePlaySongClick = this.handlePlaySongClick.bind(this);
         this.handleStopClick = this.handleStopClick.bind(this);
+        this.handlePauseClick = this.handlePauseClick.bind(this);
+        this.handleUndoClick = this.handleUndoClick.bind(this);
+        this.handleRedoClick = this.handleRedoClick.bind(this);
     }
     
     /**
@@ -41,10 +61,31 @@ export class HeaderComponent extends BaseComponent {
                 this.setState({ arpeggiatorEnabled });
             });
             
+            this.subscribeToStore('arpeggiator', (arpeggiator) => {
+                this.setState({ arpeggiator: arpeggiatorService.normalizeSettings(arpeggiator) });
+            });
+            
+            // Сохраненные настройки арпеджиатора передаем аудио сервису
+            const arpeggiatorEnabled = Boolean(this.store.get('arpeggiatorEnabled'));
+            const arpeggiator = arpeggiatorService.normalizeSettings(this.store.get('arpeggiator'));
+            
+            audioService.toggleArpeggiator(arpeggiatorEnabled);
+            audioService.setArpeggiatorSettings(arpeggiator);
+            this.setState({ arpeggiatorEnabled, arpeggiator });
+            
             this.subscribeToStore('metronomeEnabled', (metronomeEnabled) => {
                 this.setState({ metronomeEnabled });
             });
             
+            this.subscribeToStore('loopEnabled', (loopEnabled) => {
+                this.setState({ loopEnabled });
+            });
+            
+            // Область повтора можно менять во время воспроизведения
+            this.subscribeToStore('loopRegion', () => {
+                audioService.setLoop(this.state.loopEnabled, this.getPlaybackLoopRange());
+            });
+            
             this.subscribeToStore('isPlaying', (isPlaying) => {
                 this.setState({ isPlaying });
             });
@@ -53,12 +94,50 @@ export class HeaderComponent extends BaseComponent {
         // Подписываемся на события воспроизведения
         if (this.eventBus) {
             this.subscribeToEvent(EVENTS.PLAYBACK_START, () => {
-                this.setState({ isPlaying: true });
+                this.setState({ isPlaying: true, isPaused: false });
             });
             
             this.subscribeToEvent(EVENTS.PLAYBACK_STOP, () => {
-                this.setState({ isPlaying: false });
+                this.setState({ isPlaying: false, isPaused: false });
+            });
+            
+            this.subscribeToEvent(EVENTS.PLAYBACK_PAUSE, () => {
+                this.setState({ isPaused: true });
             });
+            
+            this.subscribeToEvent(EVENTS.PLAYBACK_RESUME, () => {
+                this.setState({ isPaused: false });
+            });
+            
+            // При воспроизведении песни переключаемся на звучащий блок вместе с его тональностью
+            this.subscribeToEvent(EVENTS.PLAYBACK_BLOCK, ({ blockId }) => {
+                if (this.isSongPlayback && this.store && blockId && this.store.get('currentBlockId') !== blockId) {
+                    this.store.set('currentBlockId', blockId);
+                }
+            });
+            
+            // Подписываемся на изменения истории
+            this.subscribeToEvent(EVENTS.HISTORY_CHANGE, ({ canUndo, canRedo }) => {
+                this.setState({ canUndo, canRedo });
+            });
+        }
+    }
+    
+    /**
+     * Обработчик нажатия на кнопку отмены
+     */
+    handleUndoClick() {
+        if (this.store) {
+            this.store.undo();
+        }
+    }
+    
+    /**
+     * Обработчик нажатия на кнопку повтора
+     */
+    handleRedoClick() {
+        if (this.store) {
+            this.store.redo();
         }
     }
     
@@ -106,6 +185,127 @@ export class HeaderComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Открытие и закрытие настроек арпеджиатора
+     */
+    handleArpeggiatorSettingsToggle() {
+        this.setState({ arpeggiatorSettingsOpen: !this.state.arpeggiatorSettingsOpen });
+    }
+    
+    /**
+     * Обработчик изменения настройки арпеджиатора
+     * @param {string} key - Настройка (mode, octaves, rate, gate, latch)
+     * @param {*} value - Новое значение
+     */
+    handleArpeggiatorSettingChange(key, value) {
+        const arpeggiator = arpeggiatorService.normalizeSettings({ ...this.state.arpeggiator, [key]: value });
+        
+        // Обновляем хранилище
+        if (this.store) {
+            this.store.set('arpeggiator', arpeggiator);
+        }
+        
+        // Обновляем аудио сервис
+        audioService.setArpeggiatorSettings(arpeggiator);
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.UI_ARPEGGIATOR_CHANGED, arpeggiator);
+        }
+    }
+    
+    /**
+     * Создание селектора настройки арпеджиатора
+     * @param {string} label - Подпись
+     * @param {string} key - Настройка
+     * @param {Array<Object>} options - Варианты { id, name }
+     * @returns {HTMLElement} - DOM элемент поля
+     */
+    createArpeggiatorSelect(label, key, options) {
+        const select = this.createElement('select', {
+            className: 'select',
+            events: {
+                change: (e) => this.handleArpeggiatorSettingChange(key, e.target.value)
+            }
+        });
+        
+        options.forEach(option => {
+            select.appendChild(this.createElement('option', {
+                attributes: {
+                    value: String(option.id),
+                    selected: String(option.id) === String(this.state.arpeggiator[key]) ? 'selected' : null
+                },
+                children: option.name
+            }));
+        });
+        
+        return this.createElement('label', {
+            className: 'arpeggiator-setting',
+            children: [label, select]
+        });
+    }
+    
+    /**
+     * Создание панели настроек арпеджиатора
+     * @returns {HTMLElement} - DOM элемент панели
+     */
+    createArpeggiatorSettings() {
+        const { arpeggiator } = this.state;
+        
+        const panel = this.createElement('div', {
+            className: 'arpeggiator-settings'
+        });
+        
+        const octaves = [];
+        for (let count = 1; count <= MAX_ARPEGGIATOR_OCTAVES; count++) {
+            octaves.push({ id: count, name: String(count) });
+        }
+        
+        panel.appendChild(this.createArpeggiatorSelect('Порядок', 'mode', arpeggiatorService.getModes()));
+        panel.appendChild(this.createArpeggiatorSelect('Октавы', 'octaves', octaves));
+        panel.appendChild(this.createArpeggiatorSelect('Шаг', 'rate', arpeggiatorService.getRates()));
+        
+        // Длина ноты меняется по отпусканию ползунка, иначе перерисовка прерывает перетаскивание
+        panel.appendChild(this.createElement('label', {
+            className: 'arpeggiator-setting',
+            children: [
+                `Длина ноты: ${Math.round(arpeggiator.gate * 100)}%`,
+                this.createElement('input', {
+                    attributes: {
+                        type: 'range',
+                        min: '5',
+                        max: '100',
+                        value: String(Math.round(arpeggiator.gate * 100))
+                    },
+                    events: {
+                        change: (e) => this.handleArpeggiatorSettingChange('gate', parseInt(e.target.value, 10) / 100)
+                    }
+                })
+            ]
+        }));
+        
+        panel.appendChild(this.createElement('label', {
+            className: 'arpeggiator-setting arpeggiator-latch',
+            attributes: {
+                title: 'Арпеджио продолжается на паузах звуками предыдущего аккорда'
+            },
+            children: [
+                this.createElement('input', {
+                    attributes: {
+                        type: 'checkbox',
+                        checked: arpeggiator.latch ? 'checked' : null
+                    },
+                    events: {
+                        change: (e) => this.handleArpeggiatorSettingChange('latch', e.target.checked)
+                    }
+                }),
+                'Latch'
+            ]
+        }));
+        
+        return panel;
+    }
+    
     /**
      * Обработчик переключения метронома
      */
@@ -126,6 +326,91 @@ export class HeaderComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Обработчик переключения повтора
+     */
+    handleLoopToggle() {
+        const newState = !this.state.loopEnabled;
+        
+        // Обновляем хранилище
+        if (this.store) {
+            this.store.set('loopEnabled', newState);
+        }
+        
+        // Обновляем аудио сервис (повтор включается и во время воспроизведения)
+        audioService.setLoop(newState, this.getPlaybackLoopRange());
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.UI_LOOP_TOGGLED, newState);
+        }
+    }
+    
+    /**
+     * Получение диапазона повтора для блока
+     * Область повтора задается в секвенции и действует только для своего блока
+     * @param {string} [blockId] - Идентификатор блока (по умолчанию текущий)
+     * @returns {Object|null} - Диапазон { start, end } или null для всего блока
+     */
+    getLoopRange(blockId) {
+        if (!this.store) {
+            return null;
+        }
+        
+        const targetBlockId = blockId || this.store.get('currentBlockId');
+        const region = this.store.get('loopRegion');
+        
+        if (!region || region.blockId !== targetBlockId) {
+            return null;
+        }
+        
+        return { start: region.start, end: region.end };
+    }
+    
+    /**
+     * Диапазон повтора для текущего воспроизведения
+     * Песня повторяется целиком, область повтора блока к ней не применяется
+     * @returns {Object|null} - Диапазон { start, end } или null
+     */
+    getPlaybackLoopRange() {
+        return this.isSongPlayback ? null : this.getLoopRange(this.playingBlockId);
+    }
+    
+    /**
+     * Обработчик нажатия на кнопку воспроизведения песни
+     * Блоки воспроизводятся в порядке аранжировки
+     */
+    handlePlaySongClick() {
+        audioService.initialize().then(() => {
+            const blocks = this.store ? this.store.get('blocks') || {} : {};
+            const sections = TrackStructure.getSections(blocks, this.store ? this.store.get('arrangement') : []);
+            const arrangement = sections.map(section => section.blockId);
+            
+            // Если во всех блоках пусто, воспроизводить нечего
+            if (!sections.some(section => section.sequence.length > 0)) {
+                return;
+            }
+            
+            // Публикуем событие начала воспроизведения
+            if (this.eventBus) {
+                this.eventBus.publish(EVENTS.PLAYBACK_START, { arrangement });
+            }
+            
+            this.playingBlockId = null;
+            this.isSongPlayback = true;
+            audioService.setLoop(this.state.loopEnabled, null);
+            
+            audioService.playSong(sections).then(() => {
+                this.isSongPlayback = false;
+                
+                // Публикуем событие окончания воспроизведения
+                if (this.eventBus) {
+                    this.eventBus.publish(EVENTS.PLAYBACK_STOP, { arrangement });
+                }
+            });
+        });
+    }
+    
     /**
      * Обработчик нажатия на кнопку воспроизведения
      */
@@ -133,11 +418,11 @@ export class HeaderComponent extends BaseComponent {
         // Инициализируем аудио сервис
         audioService.initialize().then(() => {
             // Получаем текущий блок и его последовательность
-            const currentBlock = this.store ? this.store.get('currentBlock') : null;
+            const currentBlock = this.store ? this.store.get('currentBlockId') || this.store.get('currentBlock') : null;
             const blocks = this.store ? this.store.get('blocks') : {};
             
             if (currentBlock && blocks && blocks[currentBlock]) {
-                const sequence = blocks[currentBlock].sequence || [];
+                const sequence = TrackStructure.getBlockItems(blocks[currentBlock]);
                 
                 // Если последовательность не пуста, воспроизводим её
                 if (sequence.length > 0) {
@@ -146,8 +431,20 @@ export class HeaderComponent extends BaseComponent {
                         this.eventBus.publish(EVENTS.PLAYBACK_START, { blockId: currentBlock });
                     }
                     
+                    // Настраиваем повтор для воспроизводимого блока
+                    this.playingBlockId = currentBlock;
+                    this.isSongPlayback = false;
+                    audioService.setLoop(this.state.loopEnabled, this.getLoopRange(currentBlock));
+                    
                     // Воспроизводим последовательность
-                    audioService.playSequence(sequence).then(() => {
+                    const options = {
+                        voicingStyle: blocks[currentBlock].voicingStyle,
+                        timeSignature: TrackStructure.getBlockTimeSignature(blocks[currentBlock]),
+                        rhythmPattern: blocks[currentBlock].rhythmPattern,
+                        blockId: currentBlock
+                    };
+                    
+                    audioService.playSequence(sequence, 0, options).then(() => {
                         // Публикуем событие окончания воспроизведения
                         if (this.eventBus) {
                             this.eventBus.publish(EVENTS.PLAYBACK_STOP, { blockId: currentBlock });
@@ -171,11 +468,32 @@ export class HeaderComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Обработчик нажатия на кнопку паузы
+     * Повторное нажатие продолжает воспроизведение с той же позиции
+     */
+    handlePauseClick() {
+        if (!audioService.isPlaying) {
+            return;
+        }
+        
+        if (audioService.isPaused) {
+            audioService.resumePlayback();
+        } else {
+            audioService.pausePlayback();
+        }
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(audioService.isPaused ? EVENTS.PLAYBACK_PAUSE : EVENTS.PLAYBACK_RESUME, {});
+        }
+    }
+    
     /**
      * Отрисовка компонента
      */
     render() {
-        const { tempo, arpeggiatorEnabled, isPlaying } = this.state;
+        const { tempo, arpeggiatorEnabled, arpeggiator, arpeggiatorSettingsOpen, loopEnabled, isPlaying, isPaused, canUndo, canRedo } = this.state;
         
         // Создаем фрагмент для компонента
         const fragment = document.createDocumentFragment();
@@ -245,12 +563,51 @@ export class HeaderComponent extends BaseComponent {
         });
         
         const arpeggiatorLabel = this.createElement('span', {
-            children: `ARP: ${arpeggiatorEnabled ? 'On' : 'Off'}`
+            children: `ARP: ${arpeggiatorEnabled ? `${ARPEGGIATOR_MODES[arpeggiator.mode]}, ${arpeggiator.rate}` : 'Off'}`
         });
         
         arpeggiatorToggle.appendChild(arpeggiatorDot);
         arpeggiatorToggle.appendChild(arpeggiatorLabel);
         
+        // Настройки арпеджиатора открываются под переключателем
+        const arpeggiatorControl = this.createElement('div', {
+            className: 'arpeggiator-control'
+        });
+        
+        arpeggiatorControl.appendChild(arpeggiatorToggle);
+        arpeggiatorControl.appendChild(this.createElement('button', {
+            className: 'button arpeggiator-settings-button',
+            attributes: {
+                title: 'Настройки арпеджиатора'
+            },
+            children: arpeggiatorSettingsOpen ? '▴' : '▾',
+            events: {
+                click: this.handleArpeggiatorSettingsToggle
+            }
+        }));
+        
+        if (arpeggiatorSettingsOpen) {
+            arpeggiatorControl.appendChild(this.createArpeggiatorSettings());
+        }
+        
+        // Переключатель повтора
+        const loopToggle = this.createElement('div', {
+            className: 'loop-toggle',
+            attributes: {
+                title: 'Повторять блок или выбранную в секвенции область'
+            },
+            events: {
+                click: this.handleLoopToggle
+            }
+        });
+        
+        loopToggle.appendChild(this.createElement('span', {
+            className: `dot ${loopEnabled ? 'active' : ''}`
+        }));
+        loopToggle.appendChild(this.createElement('span', {
+            children: `LOOP: ${loopEnabled ? 'On' : 'Off'}`
+        }));
+        
         // Кнопки воспроизведения
         const playbackButtons = this.createElement('div', {
             className: 'playback-buttons'
@@ -290,12 +647,79 @@ export class HeaderComponent extends BaseComponent {
         
         stopButton.appendChild(stopIcon);
         
+        const pauseButton = this.createElement('button', {
+            className: 'pause-button',
+            attributes: {
+                id: 'pause-button',
+                title: isPaused ? 'Продолжить' : 'Пауза',
+                disabled: !isPlaying ? 'disabled' : null
+            },
+            events: {
+                click: this.handlePauseClick
+            }
+        });
+        
+        // На паузе кнопка показывает значок продолжения
+        const pauseIcon = this.createElement('span', {
+            className: isPaused ? 'play-icon' : 'pause-icon'
+        });
+        
+        pauseButton.appendChild(pauseIcon);
+        
+        const playSongButton = this.createElement('button', {
+            className: 'button play-song-button',
+            attributes: {
+                id: 'play-song-button',
+                title: 'Воспроизвести все блоки в порядке аранжировки',
+                disabled: isPlaying ? 'disabled' : null
+            },
+            children: 'Песня',
+            events: {
+                click: this.handlePlaySongClick
+            }
+        });
+        
         playbackButtons.appendChild(playButton);
+        playbackButtons.appendChild(playSongButton);
+        playbackButtons.appendChild(pauseButton);
         playbackButtons.appendChild(stopButton);
         
+        // Кнопки отмены и повтора
+        const historyButtons = this.createElement('div', {
+            className: 'history-buttons'
+        });
+        
+        historyButtons.appendChild(this.createElement('button', {
+            className: 'button history-button',
+            attributes: {
+                id: 'undo-button',
+                title: 'Отменить (Ctrl+Z)',
+                disabled: !canUndo ? 'disabled' : null
+            },
+            children: '↶',
+            events: {
+                click: this.handleUndoClick
+            }
+        }));
+        
+        historyButtons.appendChild(this.createElement('button', {
+            className: 'button history-button',
+            attributes: {
+                id: 'redo-button',
+                title: 'Повторить (Ctrl+Shift+Z)',
+                disabled: !canRedo ? 'disabled' : null
+            },
+            children: '↷',
+            events: {
+                click: this.handleRedoClick
+            }
+        }));
+        
         // Собираем элементы управления
+        playbackControls.appendChild(historyButtons);
         playbackControls.appendChild(tempoControl);
-        playbackControls.appendChild(arpeggiatorToggle);
+        playbackControls.appendChild(arpeggiatorControl);
+        playbackControls.appendChild(loopToggle);
         playbackControls.appendChild(playbackButtons);
         
         // Собираем заголовок
@@ -2,7 +2,13 @@ import { BaseComponent } from './base.js';
 import { EVENTS } from '../core/eventBus.js';
 import { ChordSequence, SequenceItem } from '../models/sequence.js';
 import { Chord } from '../models/chord.js';
+import { DEFAULT_VOICING_STYLE } from '../models/voicing.js';
+import { DEFAULT_RHYTHM_PATTERN } from '../models/rhythm.js';
 import audioService from '../services/audioService.js';
+import voicingService from '../services/voicingService.js';
+import rhythmService from '../services/rhythmService.js';
+import harmonicAnalysisService, { ANALYSIS_CATEGORIES } from '../services/harmonicAnalysisService.js';
+import { TIME_SIGNATURES, DEFAULT_TIME_SIGNATURE, parseTimeSignature, getBarDuration, groupIntoBars } from '../models/meter.js';
 
 /**
  * Компонент последовательности аккордов
@@ -16,14 +22,47 @@ export class SequenceComponent extends BaseComponent {
         this.state = {
             currentBlockId: 'A1',
             blocks: {},
+            loopRegion: null,
+            rhythmPatterns: [],
+            rhythmEditorOpen: false,
+            rhythmEditorError: null,
+            rhythmEditorDraft: null,
+            midiDrums: false,
+            musicXmlVoiced: false,
             ...this.state
         };
         
+        // Поля редактора ритмического рисунка (значения читаются при сохранении)
+        this.rhythmEditorFields = null;
+        
+        // Выделение области повтора перетаскиванием: { start, end } или null
+        this.loopDrag = null;
+        this.chordElements = [];
+        
+        // Звучащий сейчас элемент: { blockId, index } или null
+        this.playingPosition = null;
+        
         // Привязка методов к контексту
         this.handleChordClick = this.handleChordClick.bind(this);
+        this.seekTo = this.seekTo.bind(this);
         this.handleChordRemove = this.handleChordRemove.bind(this);
         this.handleExportMidi = this.handleExportMidi.bind(this);
         this.handleExportText = this.handleExportText.bind(this);
+        this.handleMidiDrumsChange = this.handleMidiDrumsChange.bind(this);
+        this.handleExportMusicXml = this.handleExportMusicXml.bind(this);
+        this.handleMusicXmlVoicedChange = this.handleMusicXmlVoicedChange.bind(this);
+        this.handleBlockVoicingChange = this.handleBlockVoicingChange.bind(this);
+        this.handleItemVoicingChange = this.handleItemVoicingChange.bind(this);
+        this.handleTimeSignatureChange = this.handleTimeSignatureChange.bind(this);
+        this.handleItemDurationChange = this.handleItemDurationChange.bind(this);
+        this.handleBlockRhythmChange = this.handleBlockRhythmChange.bind(this);
+        this.handleRhythmEditorToggle = this.handleRhythmEditorToggle.bind(this);
+        this.handleRhythmPatternSave = this.handleRhythmPatternSave.bind(this);
+        this.handleRhythmPatternRemove = this.handleRhythmPatternRemove.bind(this);
+        this.handleLoopDragStart = this.handleLoopDragStart.bind(this);
+        this.handleLoopDragMove = this.handleLoopDragMove.bind(this);
+        this.handleLoopDragEnd = this.handleLoopDragEnd.bind(this);
+        this.handleLoopRegionClear = this.handleLoopRegionClear.bind(this);
     }
     
     /**
@@ -39,8 +78,32 @@ export class SequenceComponent extends BaseComponent {
             this.subscribeToStore('currentBlockId', (currentBlockId) => {
                 this.setState({ currentBlockId });
             });
+            
+            this.subscribeToStore('loopRegion', (loopRegion) => {
+                this.setState({ loopRegion });
+            });
+            
+            this.subscribeToStore('rhythmPatterns', (rhythmPatterns) => {
+                this.setState({ rhythmPatterns: rhythmPatterns || [] });
+            });
+            
+            this.subscribeToStore('midiDrums', (midiDrums) => {
+                this.setState({ midiDrums: Boolean(midiDrums) });
+            });
+            
+            this.subscribeToStore('musicXmlVoiced', (musicXmlVoiced) => {
+                this.setState({ musicXmlVoiced: Boolean(musicXmlVoiced) });
+            });
+            
+            this.setState({
+                midiDrums: Boolean(this.store.get('midiDrums')),
+                musicXmlVoiced: Boolean(this.store.get('musicXmlVoiced'))
+            });
         }
         
+        // Перетаскивание области повтора может закончиться за пределами секвенции
+        this.addEventListenerWithCleanup(document, 'mouseup', this.handleLoopDragEnd);
+        
         // Подписываемся на события добавления аккорда и паузы
         if (this.eventBus) {
             this.eventBus.subscribe(EVENTS.UI_CHORD_ADDED, () => {
@@ -50,6 +113,17 @@ export class SequenceComponent extends BaseComponent {
             this.eventBus.subscribe(EVENTS.UI_PAUSE_ADDED, () => {
                 this.update();
             });
+            
+            // Подсвечиваем звучащий аккорд
+            this.eventBus.subscribe(EVENTS.PLAYBACK_CHORD, ({ blockId, index }) => {
+                this.playingPosition = { blockId, index };
+                this.highlightPlaying();
+            });
+            
+            this.eventBus.subscribe(EVENTS.PLAYBACK_STOP, () => {
+                this.playingPosition = null;
+                this.highlightPlaying();
+            });
         }
     }
     
@@ -69,6 +143,7 @@ export class SequenceComponent extends BaseComponent {
     
     /**
      * Обработчик клика по аккорду в последовательности
+     * Во время воспроизведения клик переносит позицию воспроизведения к элементу
      * @param {number} index - Индекс аккорда
      */
     handleChordClick(index) {
@@ -76,26 +151,21 @@ export class SequenceComponent extends BaseComponent {
         
         if (index >= 0 && index < sequence.length) {
             const item = sequence[index];
+            const isSeek = this.seekTo(index);
             
             // Если это не пауза, воспроизводим аккорд
             if (!item.isPause && item.chord) {
                 // Создаем объект аккорда из данных
-                const chord = new Chord(
-                    item.chord.root,
-                    item.chord.type,
-                    {
-                        degree: item.chord.degree,
-                        function: item.chord.function,
-                        inTonality: item.chord.inTonality
-                    }
-                );
+                const chord = Chord.fromJSON(item.chord);
                 
-                // Воспроизводим аккорд
-                audioService.initialize().then(() => {
-                    audioService.playChord(chord.getNotes(), 1);
-                }).catch(error => {
-                    console.error("Ошибка при инициализации аудио:", error);
-                });
+                // Воспроизводим аккорд (при переходе он прозвучит в последовательности)
+                if (!isSeek) {
+                    audioService.initialize().then(() => {
+                        audioService.playChord(chord.getVoicedNotes(), 1);
+                    }).catch(error => {
+                        console.error("Ошибка при инициализации аудио:", error);
+                    });
+                }
                 
                 // Выбираем аккорд
                 if (this.store) {
@@ -110,6 +180,31 @@ export class SequenceComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Переход воспроизведения к элементу текущего блока
+     * @param {number} index - Индекс элемента в блоке
+     * @returns {boolean} - true, если переход выполнен
+     */
+    seekTo(index) {
+        const { currentBlockId } = this.state;
+        
+        if (!audioService.isPlaying) {
+            return false;
+        }
+        
+        const position = audioService.findPosition(currentBlockId, index);
+        if (position === -1 || !audioService.seek(position)) {
+            return false;
+        }
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.PLAYBACK_SEEK, { blockId: currentBlockId, index, position });
+        }
+        
+        return true;
+    }
+    
     /**
      * Обработчик удаления аккорда из последовательности
      * @param {number} index - Индекс аккорда
@@ -143,6 +238,656 @@ export class SequenceComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Обработчик изменения стиля расположения аккордов блока
+     * @param {Event} event - Событие изменения
+     */
+    handleBlockVoicingChange(event) {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId] || !this.store) {
+            return;
+        }
+        
+        const updatedBlocks = { ...blocks };
+        const currentBlock = { ...updatedBlocks[currentBlockId] };
+        
+        currentBlock.voicingStyle = voicingService.normalizeStyle(event.target.value);
+        
+        updatedBlocks[currentBlockId] = currentBlock;
+        this.store.set('blocks', updatedBlocks);
+    }
+    
+    /**
+     * Обработчик изменения стиля расположения отдельного аккорда
+     * @param {number} index - Индекс аккорда
+     * @param {string} style - Стиль расположения (пустая строка - как в блоке)
+     */
+    handleItemVoicingChange(index, style) {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId] || !this.store) {
+            return;
+        }
+        
+        const sequence = this.getCurrentSequence();
+        
+        if (index >= 0 && index < sequence.length) {
+            const updatedBlocks = { ...blocks };
+            const currentBlock = { ...updatedBlocks[currentBlockId] };
+            
+            currentBlock.sequence = sequence.map((item, itemIndex) => {
+                if (itemIndex !== index) {
+                    return item;
+                }
+                
+                return { ...item, voicingStyle: style ? voicingService.normalizeStyle(style) : null };
+            });
+            
+            updatedBlocks[currentBlockId] = currentBlock;
+            this.store.set('blocks', updatedBlocks);
+        }
+    }
+    
+    /**
+     * Получение размера текущего блока
+     * @returns {string} - Размер ('3/4')
+     */
+    getCurrentTimeSignature() {
+        const { blocks, currentBlockId } = this.state;
+        
+        return blocks && blocks[currentBlockId] && blocks[currentBlockId].timeSignature
+            ? blocks[currentBlockId].timeSignature
+            : DEFAULT_TIME_SIGNATURE;
+    }
+    
+    /**
+     * Обработчик изменения размера блока
+     * Длительности аккордов не меняются: неполные такты отмечаются предупреждением
+     * @param {Event} event - Событие изменения
+     */
+    handleTimeSignatureChange(event) {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId] || !this.store) {
+            return;
+        }
+        
+        const updatedBlocks = { ...blocks };
+        const currentBlock = { ...updatedBlocks[currentBlockId] };
+        
+        currentBlock.timeSignature = event.target.value;
+        
+        updatedBlocks[currentBlockId] = currentBlock;
+        this.store.set('blocks', updatedBlocks, { label: 'Изменение размера' });
+    }
+    
+    /**
+     * Обработчик изменения длительности элемента
+     * @param {number} index - Индекс элемента
+     * @param {number} duration - Длительность в долях целой ноты
+     */
+    handleItemDurationChange(index, duration) {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId] || !this.store || !(duration > 0)) {
+            return;
+        }
+        
+        const sequence = this.getCurrentSequence();
+        
+        if (index >= 0 && index < sequence.length) {
+            const updatedBlocks = { ...blocks };
+            const currentBlock = { ...updatedBlocks[currentBlockId] };
+            
+            currentBlock.sequence = sequence.map((item, itemIndex) => {
+                return itemIndex === index ? { ...item, duration } : item;
+            });
+            
+            updatedBlocks[currentBlockId] = currentBlock;
+            this.store.set('blocks', updatedBlocks, { label: 'Изменение длительности' });
+        }
+    }
+    
+    /**
+     * Обработчик изменения ритмического рисунка блока
+     * @param {Event} event - Событие изменения
+     */
+    handleBlockRhythmChange(event) {
+        this.setBlockRhythmPattern(event.target.value);
+    }
+    
+    /**
+     * Установка ритмического рисунка текущего блока
+     * @param {string} rhythmPattern - ID рисунка
+     */
+    setBlockRhythmPattern(rhythmPattern) {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId] || !this.store) {
+            return;
+        }
+        
+        const updatedBlocks = { ...blocks };
+        const currentBlock = { ...updatedBlocks[currentBlockId] };
+        
+        currentBlock.rhythmPattern = rhythmPattern;
+        
+        updatedBlocks[currentBlockId] = currentBlock;
+        this.store.set('blocks', updatedBlocks, { label: 'Изменение ритма' });
+    }
+    
+    /**
+     * Открытие и закрытие редактора ритмического рисунка
+     */
+    handleRhythmEditorToggle() {
+        this.setState({
+            rhythmEditorOpen: !this.state.rhythmEditorOpen,
+            rhythmEditorError: null,
+            rhythmEditorDraft: null
+        });
+    }
+    
+    /**
+     * Сохранение пользовательского ритмического рисунка
+     * Новый рисунок сразу назначается текущему блоку
+     */
+    handleRhythmPatternSave() {
+        if (!this.rhythmEditorFields || !this.store) {
+            return;
+        }
+        
+        const { name, notation, step, swing, gate } = this.rhythmEditorFields;
+        const pattern = {
+            id: `custom_${Date.now()}`,
+            name: name.value.trim() || 'Свой ритм',
+            notation: notation.value,
+            step: parseFloat(step.value),
+            swing: parseInt(swing.value, 10) / 100,
+            gate: parseInt(gate.value, 10) / 100
+        };
+        
+        // Проверяем запись до сохранения (при ошибке введенные значения остаются в редакторе)
+        try {
+            rhythmService.parseNotation(pattern.notation, pattern);
+        } catch (error) {
+            this.setState({ rhythmEditorError: error.message, rhythmEditorDraft: pattern });
+            return;
+        }
+        
+        this.store.batch('Новый ритм', () => {
+            this.store.set('rhythmPatterns', [...this.state.rhythmPatterns, pattern]);
+            this.setBlockRhythmPattern(pattern.id);
+        });
+        
+        this.setState({ rhythmEditorOpen: false, rhythmEditorError: null, rhythmEditorDraft: null });
+    }
+    
+    /**
+     * Удаление пользовательского ритмического рисунка текущего блока
+     * Блоки с удаленным рисунком играют рисунком по умолчанию
+     */
+    handleRhythmPatternRemove() {
+        const { blocks, currentBlockId, rhythmPatterns } = this.state;
+        const rhythmPattern = blocks && blocks[currentBlockId] ? blocks[currentBlockId].rhythmPattern : null;
+        
+        if (!this.store || !rhythmPatterns.some(pattern => pattern.id === rhythmPattern)) {
+            return;
+        }
+        
+        this.store.batch('Удаление ритма', () => {
+            this.store.set('rhythmPatterns', rhythmPatterns.filter(pattern => pattern.id !== rhythmPattern));
+            this.setBlockRhythmPattern(DEFAULT_RHYTHM_PATTERN);
+        });
+    }
+    
+    /**
+     * Создание выбора ритмического рисунка блока
+     * @param {string} value - ID текущего рисунка
+     * @returns {HTMLElement} - DOM элемент управления
+     */
+    createRhythmControl(value) {
+        const rhythmControl = this.createElement('div', {
+            className: 'rhythm-control'
+        });
+        
+        const select = this.createElement('select', {
+            className: 'select rhythm-select',
+            events: {
+                change: this.handleBlockRhythmChange
+            }
+        });
+        
+        const current = rhythmService.normalizePattern(value);
+        rhythmService.getPatterns().forEach(pattern => {
+            select.appendChild(this.createElement('option', {
+                attributes: {
+                    value: pattern.id,
+                    selected: pattern.id === current ? 'selected' : null
+                },
+                children: pattern.custom ? `${pattern.name} (свой)` : pattern.name
+            }));
+        });
+        
+        rhythmControl.appendChild(this.createElement('span', {
+            children: 'Ритм:'
+        }));
+        rhythmControl.appendChild(select);
+        
+        if (this.state.rhythmPatterns.some(pattern => pattern.id === current)) {
+            rhythmControl.appendChild(this.createElement('button', {
+                className: 'button-link',
+                children: 'Удалить',
+                events: {
+                    click: this.handleRhythmPatternRemove
+                }
+            }));
+        }
+        
+        rhythmControl.appendChild(this.createElement('button', {
+            className: 'button-link',
+            children: this.state.rhythmEditorOpen ? 'Отмена' : 'Свой ритм…',
+            events: {
+                click: this.handleRhythmEditorToggle
+            }
+        }));
+        
+        return rhythmControl;
+    }
+    
+    /**
+     * Создание редактора пользовательского ритмического рисунка
+     * @returns {HTMLElement} - DOM элемент редактора
+     */
+    createRhythmEditor() {
+        const draft = this.state.rhythmEditorDraft || { name: '', notation: '', step: 1 / 8, swing: 0, gate: 0.9 };
+        const editor = this.createElement('div', {
+            className: 'rhythm-editor'
+        });
+        
+        const createField = (label, control) => {
+            editor.appendChild(this.createElement('label', {
+                className: 'rhythm-editor-field',
+                children: [label, control]
+            }));
+            return control;
+        };
+        
+        const stepSelect = this.createElement('select', {
+            className: 'select'
+        });
+        [['1/4', 1 / 4], ['1/8', 1 / 8], ['1/16', 1 / 16]].forEach(([label, step]) => {
+            stepSelect.appendChild(this.createElement('option', {
+                attributes: {
+                    value: String(step),
+                    selected: step === draft.step ? 'selected' : null
+                },
+                children: label
+            }));
+        });
+        
+        this.rhythmEditorFields = {
+            name: createField('Название', this.createElement('input', {
+                attributes: { type: 'text', placeholder: 'Свой ритм', value: draft.name }
+            })),
+            notation: createField('Рисунок', this.createElement('input', {
+                className: 'rhythm-notation',
+                attributes: { type: 'text', placeholder: 'B-x-c-x-; ..x...x.', value: draft.notation }
+            })),
+            step: createField('Шаг', stepSelect),
+            swing: createField('Свинг', this.createElement('input', {
+                attributes: { type: 'range', min: '0', max: '100', value: String(Math.round(draft.swing * 100)) }
+            })),
+            gate: createField('Длина удара', this.createElement('input', {
+                attributes: { type: 'range', min: '10', max: '100', value: String(Math.round(draft.gate * 100)) }
+            }))
+        };
+        
+        editor.appendChild(this.createElement('div', {
+            className: 'rhythm-editor-hint',
+            children: 'x/X - аккорд (X - акцент), c - без баса, b - бас, d/u - бой вниз/вверх, ' +
+                '"-" - продолжение, "." - пауза; слои разделяются ";"'
+        }));
+        
+        if (this.state.rhythmEditorError) {
+            editor.appendChild(this.createElement('div', {
+                className: 'rhythm-editor-error',
+                children: this.state.rhythmEditorError
+            }));
+        }
+        
+        editor.appendChild(this.createElement('button', {
+            className: 'button',
+            children: 'Сохранить ритм',
+            events: {
+                click: this.handleRhythmPatternSave
+            }
+        }));
+        
+        return editor;
+    }
+    
+    /**
+     * Запись длительности в долях размера
+     * @param {number} duration - Длительность в долях целой ноты
+     * @param {string} timeSignature - Размер
+     * @returns {string} - Например, "3/8" или "2 такта"
+     */
+    formatDuration(duration, timeSignature) {
+        const { unit } = parseTimeSignature(timeSignature);
+        const bars = duration / getBarDuration(timeSignature);
+        const units = duration * unit;
+        
+        if (Math.abs(bars - Math.round(bars)) < 1e-6 && bars >= 1) {
+            const count = Math.round(bars);
+            return `${count} ${count === 1 ? 'такт' : 'такта'}`;
+        }
+        
+        if (Math.abs(units - Math.round(units)) < 1e-6) {
+            return `${Math.round(units)}/${unit}`;
+        }
+        
+        return String(duration);
+    }
+    
+    /**
+     * Создание селектора длительности элемента
+     * Варианты - от одной доли до двух тактов размера блока
+     * @param {number} value - Текущая длительность
+     * @param {string} timeSignature - Размер блока
+     * @param {Function} onChange - Обработчик изменения (получает длительность)
+     * @returns {HTMLElement} - DOM элемент селектора
+     */
+    createDurationSelect(value, timeSignature, onChange) {
+        const { beats, unit } = parseTimeSignature(timeSignature);
+        const barDuration = getBarDuration(timeSignature);
+        
+        const durations = [];
+        for (let beat = 1; beat < beats; beat++) {
+            durations.push(beat / unit);
+        }
+        durations.push(barDuration, barDuration * 2);
+        
+        // Длительность, не входящая в варианты (например, после смены размера), сохраняется в списке
+        if (!durations.some(duration => Math.abs(duration - value) < 1e-6)) {
+            durations.push(value);
+            durations.sort((a, b) => a - b);
+        }
+        
+        const select = this.createElement('select', {
+            className: 'select duration-select',
+            attributes: {
+                title: 'Длительность'
+            },
+            events: {
+                change: (event) => onChange(parseFloat(event.target.value))
+            }
+        });
+        
+        durations.forEach(duration => {
+            select.appendChild(this.createElement('option', {
+                attributes: {
+                    value: String(duration),
+                    selected: Math.abs(duration - value) < 1e-6 ? 'selected' : null
+                },
+                children: this.formatDuration(duration, timeSignature)
+            }));
+        });
+        
+        return select;
+    }
+    
+    /**
+     * Создание селектора размера блока
+     * @param {string} value - Текущий размер
+     * @returns {HTMLElement} - DOM элемент селектора
+     */
+    createTimeSignatureSelect(value) {
+        const select = this.createElement('select', {
+            className: 'select time-signature-select',
+            events: {
+                change: this.handleTimeSignatureChange
+            }
+        });
+        
+        const signatures = TIME_SIGNATURES.includes(value) ? TIME_SIGNATURES : [...TIME_SIGNATURES, value];
+        
+        signatures.forEach(signature => {
+            select.appendChild(this.createElement('option', {
+                attributes: {
+                    value: signature,
+                    selected: signature === value ? 'selected' : null
+                },
+                children: signature
+            }));
+        });
+        
+        return select;
+    }
+    
+    /**
+     * Создание предупреждения о неполных тактах
+     * @param {Array<Object>} bars - Такты последовательности
+     * @param {string} timeSignature - Размер блока
+     * @returns {HTMLElement|null} - DOM элемент предупреждения или null, если такты полные
+     */
+    createBarWarning(bars, timeSignature) {
+        const incomplete = bars.filter(bar => !bar.isComplete);
+        
+        if (incomplete.length === 0) {
+            return null;
+        }
+        
+        const messages = incomplete.map(bar => {
+            const missing = getBarDuration(timeSignature) - bar.filled;
+            return `такт ${bar.index + 1} неполный, не хватает ${this.formatDuration(missing, timeSignature)}`;
+        });
+        
+        return this.createElement('div', {
+            className: 'bar-warning',
+            children: `Размер ${timeSignature}: ${messages.join('; ')}`
+        });
+    }
+    
+    /**
+     * Создание селектора стиля расположения
+     * @param {string} value - Текущий стиль
+     * @param {Function} onChange - Обработчик изменения
+     * @param {boolean} [withBlockDefault=false] - Добавить вариант "Как в блоке"
+     * @returns {HTMLElement} - DOM элемент селектора
+     */
+    createVoicingSelect(value, onChange, withBlockDefault = false) {
+        const select = this.createElement('select', {
+            className: 'select voicing-select',
+            events: {
+                change: onChange
+            }
+        });
+        
+        const styles = voicingService.getStyles();
+        
+        if (withBlockDefault) {
+            styles.unshift({ id: '', name: 'Как в блоке' });
+        }
+        
+        styles.forEach(style => {
+            const attributes = { value: style.id };
+            
+            if (style.id === (value || '')) {
+                attributes.selected = 'selected';
+            }
+            
+            select.appendChild(this.createElement('option', {
+                attributes,
+                children: style.name
+            }));
+        });
+        
+        return select;
+    }
+    
+    /**
+     * Получение области повтора текущего блока
+     * Область ограничивается длиной последовательности
+     * @returns {Object|null} - { start, end } (включительно) или null, если область не задана
+     */
+    getLoopRegion() {
+        const { loopRegion, currentBlockId } = this.state;
+        const last = this.getCurrentSequence().length - 1;
+        
+        if (!loopRegion || loopRegion.blockId !== currentBlockId || loopRegion.start > last) {
+            return null;
+        }
+        
+        return { start: loopRegion.start, end: Math.min(loopRegion.end, last) };
+    }
+    
+    /**
+     * Сохранение области повтора текущего блока
+     * @param {Object|null} range - Диапазон { start, end } или null для сброса
+     */
+    setLoopRegion(range) {
+        const { currentBlockId } = this.state;
+        const loopRegion = range ? { blockId: currentBlockId, start: range.start, end: range.end } : null;
+        
+        if (this.store) {
+            this.store.set('loopRegion', loopRegion);
+        }
+        
+        // Публикуем событие
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.UI_LOOP_REGION_CHANGED, loopRegion);
+        }
+    }
+    
+    /**
+     * Начало выделения области повтора
+     * @param {number} index - Индекс аккорда, с которого начинается выделение
+     * @param {MouseEvent} event - Событие нажатия
+     */
+    handleLoopDragStart(index, event) {
+        // Не выделяем текст и не воспроизводим аккорд
+        event.preventDefault();
+        event.stopPropagation();
+        
+        this.loopDrag = { start: index, end: index };
+        this.highlightLoopRange(this.loopDrag);
+    }
+    
+    /**
+     * Продолжение выделения области повтора при наведении на аккорд
+     * @param {number} index - Индекс аккорда
+     */
+    handleLoopDragMove(index) {
+        if (!this.loopDrag || this.loopDrag.end === index) {
+            return;
+        }
+        
+        this.loopDrag.end = index;
+        this.highlightLoopRange(this.loopDrag);
+    }
+    
+    /**
+     * Завершение выделения области повтора
+     * Клик по единственному выделенному аккорду снимает выделение
+     */
+    handleLoopDragEnd() {
+        if (!this.loopDrag) {
+            return;
+        }
+        
+        const start = Math.min(this.loopDrag.start, this.loopDrag.end);
+        const end = Math.max(this.loopDrag.start, this.loopDrag.end);
+        const current = this.getLoopRegion();
+        
+        this.loopDrag = null;
+        
+        if (current && start === end && current.start === start && current.end === end) {
+            this.setLoopRegion(null);
+        } else {
+            this.setLoopRegion({ start, end });
+        }
+    }
+    
+    /**
+     * Обработчик сброса области повтора
+     */
+    handleLoopRegionClear() {
+        this.setLoopRegion(null);
+    }
+    
+    /**
+     * Подсветка аккордов области повтора без перерисовки компонента
+     * @param {Object|null} range - Диапазон { start, end } (границы в любом порядке)
+     */
+    highlightLoopRange(range) {
+        const start = range ? Math.min(range.start, range.end) : -1;
+        const end = range ? Math.max(range.start, range.end) : -1;
+        
+        this.chordElements.forEach((element, index) => {
+            element.classList.toggle('in-loop', index >= start && index <= end);
+        });
+    }
+    
+    /**
+     * Проверка, звучит ли сейчас элемент текущего блока
+     * Без идентификатора блока в событии считается, что играет текущий блок
+     * @param {number} index - Индекс элемента
+     * @returns {boolean} - true, если элемент звучит
+     */
+    isPlayingIndex(index) {
+        const position = this.playingPosition;
+        
+        return position !== null &&
+            position.index === index &&
+            (!position.blockId || position.blockId === this.state.currentBlockId);
+    }
+    
+    /**
+     * Подсветка звучащего аккорда без перерисовки компонента
+     */
+    highlightPlaying() {
+        this.chordElements.forEach((element, index) => {
+            element.classList.toggle('playing', this.isPlayingIndex(index));
+        });
+    }
+    
+    /**
+     * Создание строки управления областью повтора
+     * @returns {HTMLElement} - DOM элемент строки
+     */
+    createLoopRegionControl() {
+        const region = this.getLoopRegion();
+        
+        const loopControl = this.createElement('div', {
+            className: 'loop-region-control'
+        });
+        
+        if (!region) {
+            loopControl.appendChild(this.createElement('span', {
+                children: 'Протяните по полоскам над аккордами, чтобы выбрать область повтора'
+            }));
+            return loopControl;
+        }
+        
+        const label = region.start === region.end
+            ? `Область повтора: аккорд ${region.start + 1}`
+            : `Область повтора: аккорды ${region.start + 1}–${region.end + 1}`;
+        
+        loopControl.appendChild(this.createElement('span', {
+            children: label
+        }));
+        loopControl.appendChild(this.createElement('button', {
+            className: 'button-link',
+            children: 'Сбросить',
+            events: {
+                click: this.handleLoopRegionClear
+            }
+        }));
+        
+        return loopControl;
+    }
+    
     /**
      * Обработчик экспорта в MIDI
      */
@@ -169,6 +914,52 @@ export class SequenceComponent extends BaseComponent {
         }
     }
     
+    /**
+     * Обработчик переключения дорожки ударных в MIDI
+     * @param {Event} e - Событие изменения флажка
+     */
+    handleMidiDrumsChange(e) {
+        if (this.store) {
+            this.store.set('midiDrums', e.target.checked);
+        }
+    }
+    
+    /**
+     * Обработчик экспорта в MusicXML
+     */
+    handleExportMusicXml() {
+        const { blocks, currentBlockId } = this.state;
+        
+        if (!blocks || !blocks[currentBlockId]) {
+            return;
+        }
+        
+        const sequence = this.getCurrentSequence();
+        
+        if (sequence.length === 0) {
+            alert('Последовательность пуста. Нечего экспортировать.');
+            return;
+        }
+        
+        // Публикуем событие экспорта
+        if (this.eventBus) {
+            this.eventBus.publish(EVENTS.EXPORT_MUSICXML, {
+                blockId: currentBlockId,
+                sequence
+            });
+        }
+    }
+    
+    /**
+     * Обработчик переключения записи аккордов нотами в MusicXML
+     * @param {Event} e - Событие изменения флажка
+     */
+    handleMusicXmlVoicedChange(e) {
+        if (this.store) {
+            this.store.set('musicXmlVoiced', e.target.checked);
+        }
+    }
+    
     /**
      * Обработчик экспорта в текст
      */
@@ -224,17 +1015,38 @@ export class SequenceComponent extends BaseComponent {
      * Создание элемента аккорда в последовательности
      * @param {Object} item - Элемент последовательности
      * @param {number} index - Индекс элемента
+     * @param {Object|null} [analysis=null] - Результат гармонического анализа аккорда
+     * @param {boolean} [inLoop=false] - Входит ли элемент в область повтора
+     * @param {boolean} [crossesBarLine=false] - Звучит ли элемент через тактовую черту
      * @returns {HTMLElement} - DOM элемент аккорда
      */
-    createSequenceChordElement(item, index) {
+    createSequenceChordElement(item, index, analysis = null, inLoop = false, crossesBarLine = false) {
         // Определяем, пауза это или аккорд
         const isPause = item.isPause || !item.chord;
         
         // Создаем элемент
         const chordElement = this.createElement('div', {
-            className: `sequence-chord ${isPause ? 'pause' : ''}`,
+            className: `sequence-chord ${isPause ? 'pause' : ''} ${inLoop ? 'in-loop' : ''} ${crossesBarLine ? 'crosses-bar' : ''} ${this.isPlayingIndex(index) ? 'playing' : ''}`,
+            attributes: {
+                title: crossesBarLine ? 'Звучит через тактовую черту' : null
+            },
+            events: {
+                mouseenter: () => this.handleLoopDragMove(index)
+            }
         });
         
+        // Полоска для выделения области повтора
+        chordElement.appendChild(this.createElement('div', {
+            className: 'loop-marker',
+            attributes: {
+                title: 'Протяните, чтобы выбрать область повтора'
+            },
+            events: {
+                mousedown: (e) => this.handleLoopDragStart(index, e),
+                click: (e) => e.stopPropagation()
+            }
+        }));
+        
         // Добавляем содержимое
         if (isPause) {
             // Для паузы добавляем иконку
@@ -262,8 +1074,42 @@ export class SequenceComponent extends BaseComponent {
                 
                 chordElement.appendChild(badge);
             }
+            
+            // Добавляем римскую цифру из анализа блока
+            if (analysis && analysis.romanNumeral) {
+                chordElement.appendChild(this.createElement('div', {
+                    className: `chord-analysis ${analysis.category}`,
+                    attributes: {
+                        title: `${ANALYSIS_CATEGORIES[analysis.category]}: ${analysis.description}`
+                    },
+                    children: analysis.romanNumeral
+                }));
+            }
+            
+            // Добавляем выбор стиля расположения аккорда
+            const voicingSelect = this.createVoicingSelect(item.voicingStyle, (event) => {
+                this.handleItemVoicingChange(index, event.target.value);
+            }, true);
+            
+            // Клик по селектору не должен воспроизводить аккорд
+            this.addEventListenerWithCleanup(voicingSelect, 'click', (e) => {
+                e.stopPropagation();
+            });
+            
+            chordElement.appendChild(voicingSelect);
         }
         
+        // Добавляем выбор длительности
+        const durationSelect = this.createDurationSelect(item.duration || 1, this.getCurrentTimeSignature(), (duration) => {
+            this.handleItemDurationChange(index, duration);
+        });
+        
+        this.addEventListenerWithCleanup(durationSelect, 'click', (e) => {
+            e.stopPropagation();
+        });
+        
+        chordElement.appendChild(durationSelect);
+        
         // Добавляем обработчики событий
         this.addEventListenerWithCleanup(chordElement, 'click', () => {
             this.handleChordClick(index);
@@ -305,7 +1151,37 @@ export class SequenceComponent extends BaseComponent {
             children: 'Секвенция'
         });
         
+        // Добавляем выбор стиля расположения аккордов блока
+        const { blocks, currentBlockId } = this.state;
+        const blockStyle = blocks && blocks[currentBlockId]
+            ? blocks[currentBlockId].voicingStyle || DEFAULT_VOICING_STYLE
+            : DEFAULT_VOICING_STYLE;
+        
+        const voicingControl = this.createElement('div', {
+            className: 'voicing-control'
+        });
+        
+        voicingControl.appendChild(this.createElement('span', {
+            children: 'Расположение аккордов:'
+        }));
+        voicingControl.appendChild(this.createVoicingSelect(blockStyle, this.handleBlockVoicingChange));
+        
+        // Добавляем выбор размера блока
+        const timeSignature = this.getCurrentTimeSignature();
+        
+        voicingControl.appendChild(this.createElement('span', {
+            children: 'Размер:'
+        }));
+        voicingControl.appendChild(this.createTimeSignatureSelect(timeSignature));
+        
+        // Добавляем выбор ритмического рисунка блока
+        const rhythmPattern = blocks && blocks[currentBlockId]
+            ? blocks[currentBlockId].rhythmPattern || DEFAULT_RHYTHM_PATTERN
+            : DEFAULT_RHYTHM_PATTERN;
+        const rhythmControl = this.createRhythmControl(rhythmPattern);
+        
         // Создаем контейнер для последовательности
+        this.chordElements = [];
         const sequenceContainer = this.createElement('div', {
             className: 'chord-sequence',
             attributes: {
@@ -314,11 +1190,35 @@ export class SequenceComponent extends BaseComponent {
         });
         
         // Заполняем последовательность
+        let barWarning = null;
+        
         if (sequence && sequence.length > 0) {
-            sequence.forEach((item, index) => {
-                const chordElement = this.createSequenceChordElement(item, index);
-                sequenceContainer.appendChild(chordElement);
+            // Анализируем гармонию блока целиком, чтобы учесть разрешения аккордов
+            const analysis = harmonicAnalysisService.analyzeBlock(blocks[currentBlockId]);
+            const loopRegion = this.getLoopRegion();
+            const bars = groupIntoBars(sequence, timeSignature);
+            
+            bars.forEach(bar => {
+                bar.items.forEach(({ item, index, offset, crossesBarLine }) => {
+                    // Тактовая черта перед элементом, с которого начинается такт
+                    if (bar.index > 0 && offset < 1e-6) {
+                        sequenceContainer.appendChild(this.createElement('div', {
+                            className: 'bar-line',
+                            attributes: {
+                                title: `Такт ${bar.index + 1}`
+                            }
+                        }));
+                    }
+                    
+                    const inLoop = loopRegion !== null && index >= loopRegion.start && index <= loopRegion.end;
+                    const chordElement = this.createSequenceChordElement(item, index, analysis[index], inLoop, crossesBarLine);
+                    
+                    this.chordElements.push(chordElement);
+                    sequenceContainer.appendChild(chordElement);
+                });
             });
+            
+            barWarning = this.createBarWarning(bars, timeSignature);
         } else {
             // Если последовательность пуста, добавляем сообщение
             sequenceContainer.appendChild(this.createElement('div', {
@@ -348,12 +1248,72 @@ export class SequenceComponent extends BaseComponent {
             }
         });
         
+        const midiDrumsToggle = this.createElement('label', {
+            className: 'midi-drums-toggle',
+            attributes: {
+                title: 'Добавить в MIDI-файл дорожку ударных по размеру блока'
+            },
+            children: [
+                this.createElement('input', {
+                    attributes: {
+                        type: 'checkbox',
+                        checked: this.state.midiDrums ? 'checked' : null
+                    },
+                    events: {
+                        change: this.handleMidiDrumsChange
+                    }
+                }),
+                'Ударные в MIDI'
+            ]
+        });
+        
+        const musicXmlVoicedToggle = this.createElement('label', {
+            className: 'musicxml-voiced-toggle',
+            attributes: {
+                title: 'Записать в MusicXML аккорды нотами вместо ритмических косых'
+            },
+            children: [
+                this.createElement('input', {
+                    attributes: {
+                        type: 'checkbox',
+                        checked: this.state.musicXmlVoiced ? 'checked' : null
+                    },
+                    events: {
+                        change: this.handleMusicXmlVoicedChange
+                    }
+                }),
+                'Аккорды нотами'
+            ]
+        });
+        
+        const exportMusicXmlButton = this.createElement('button', {
+            className: 'button',
+            children: 'Экспорт в MusicXML',
+            events: {
+                click: this.handleExportMusicXml
+            }
+        });
+        
+        exportActions.appendChild(midiDrumsToggle);
         exportActions.appendChild(exportMidiButton);
+        exportActions.appendChild(musicXmlVoicedToggle);
+        exportActions.appendChild(exportMusicXmlButton);
         exportActions.appendChild(exportTextButton);
         
         // Собираем секцию последовательности
         sequenceSection.appendChild(title);
+        sequenceSection.appendChild(voicingControl);
+        sequenceSection.appendChild(rhythmControl);
+        if (this.state.rhythmEditorOpen) {
+            sequenceSection.appendChild(this.createRhythmEditor());
+        }
+        if (sequence && sequence.length > 0) {
+            sequenceSection.appendChild(this.createLoopRegionControl());
+        }
         sequenceSection.appendChild(sequenceContainer);
+        if (barWarning) {
+            sequenceSection.appendChild(barWarning);
+        }
         sequenceSection.appendChild(exportActions);
         
         // Добавляем секцию последовательности во фрагмент
@@ -1,6 +1,9 @@
 import { BaseComponent } from './base.js';
 import { EVENTS } from '../core/eventBus.js';
 import { Tonality, tonalityCollection } from '../models/tonality.js';
+import { Chord } from '../models/chord.js';
+import { mod12, noteToPitchClass } from '../models/scale.js';
+import keyDetectionService from '../services/keyDetectionService.js';
 
 /**
  * Компонент выбора тональности
@@ -15,6 +18,8 @@ export class TonalitySelectorComponent extends BaseComponent {
             currentBlockId: 'A1',
             blocks: {},
             showTonalityCircle: true,
+            keyCandidates: null,
+            transposeMode: 'none',
             ...this.state
         };
         
@@ -24,6 +29,9 @@ export class TonalitySelectorComponent extends BaseComponent {
         this.handleToggleCircle = this.handleToggleCircle.bind(this);
         this.handleTonalityClick = this.handleTonalityClick.bind(this);
         this.updateTonality = this.updateTonality.bind(this);
+        this.handleDetectKey = this.handleDetectKey.bind(this);
+        this.handleApplyCandidate = this.handleApplyCandidate.bind(this);
+        this.handleTransposeModeChange = this.handleTransposeModeChange.bind(this);
     }
     
     /**
@@ -37,7 +45,8 @@ export class TonalitySelectorComponent extends BaseComponent {
             });
             
             this.subscribeToStore('currentBlockId', (currentBlockId) => {
-                this.setState({ currentBlockId });
+                // Варианты тональности относятся к предыдущему блоку
+                this.setState({ currentBlockId, keyCandidates: null });
             });
             
             this.subscribeToStore('showTonalityCircle', (showTonalityCircle) => {
@@ -121,26 +130,163 @@ export class TonalitySelectorComponent extends BaseComponent {
         this.updateTonality({ note, type });
     }
     
+    /**
+     * Обработчик изменения режима транспонирования
+     * @param {Event} event - Событие изменения
+     */
+    handleTransposeModeChange(event) {
+        this.setState({ transposeMode: event.target.value });
+    }
+    
+    /**
+     * Транспонирование блоков при смене тональности
+     * Текущий блок переходит в выбранную тональность, остальные блоки (в режиме "весь трек")
+     * сдвигаются на тот же интервал
+     * @param {Object} blocks - Блоки из хранилища
+     * @param {Array<string>} blockIds - ID транспонируемых блоков
+     * @param {number} semitones - Интервал в полутонах
+     * @param {Tonality} newTonality - Новая тональность текущего блока
+     * @returns {Object} - Новый объект блоков
+     */
+    transposeBlocks(blocks, blockIds, semitones, newTonality) {
+        const { currentBlockId } = this.state;
+        const updatedBlocks = { ...blocks };
+        
+        blockIds.forEach(blockId => {
+            const block = blocks[blockId];
+            const blockTonality = Tonality.fromJSON(block.tonality);
+            const tonality = blockId === currentBlockId
+                ? newTonality
+                : (blockTonality && blockTonality.transpose(semitones)) || blockTonality;
+            
+            updatedBlocks[blockId] = {
+                ...block,
+                tonality,
+                sequence: (block.sequence || []).map(item => {
+                    if (item.isPause || !item.chord) {
+                        return item;
+                    }
+                    
+                    const chord = item.chord instanceof Chord ? item.chord : Chord.fromJSON(item.chord);
+                    return { ...item, chord: chord.transpose(semitones, tonality) };
+                })
+            };
+        });
+        
+        return updatedBlocks;
+    }
+    
+    /**
+     * Обработчик определения тональности по аккордам текущего блока
+     */
+    handleDetectKey() {
+        const { blocks, currentBlockId } = this.state;
+        const block = blocks && blocks[currentBlockId];
+        
+        const keyCandidates = block ? keyDetectionService.detectKey(block.sequence || [], { limit: 3 }) : [];
+        
+        this.setState({ keyCandidates });
+    }
+    
+    /**
+     * Обработчик применения найденной тональности
+     * @param {Tonality} tonality - Выбранная тональность
+     */
+    handleApplyCandidate(tonality) {
+        this.setState({ keyCandidates: null });
+        
+        this.updateTonality({
+            note: tonality.getRootNote(),
+            type: tonality.type
+        });
+    }
+    
+    /**
+     * Отрисовка вариантов тональности, найденных по аккордам
+     * @param {Array<Object>} candidates - Варианты от keyDetectionService
+     * @returns {HTMLElement} - DOM элемент списка вариантов
+     */
+    renderKeyCandidates(candidates) {
+        const container = this.createElement('div', {
+            className: 'key-candidates'
+        });
+        
+        if (candidates.length === 0) {
+            container.appendChild(this.createElement('span', {
+                className: 'key-candidates-empty',
+                children: 'Добавьте аккорды в последовательность, чтобы определить тональность.'
+            }));
+            
+            return container;
+        }
+        
+        container.appendChild(this.createElement('span', {
+            children: 'Похоже на:'
+        }));
+        
+        candidates.forEach(({ tonality, confidence }) => {
+            container.appendChild(this.createElement('button', {
+                className: 'button key-candidate',
+                attributes: {
+                    title: 'Применить тональность к блоку'
+                },
+                children: `${tonality.name} (${Math.round(confidence * 100)}%)`,
+                events: {
+                    click: () => this.handleApplyCandidate(tonality)
+                }
+            }));
+        });
+        
+        return container;
+    }
+    
     /**
      * Обновление тональности
      * @param {Object} tonalityData - Данные тональности
      */
     updateTonality(tonalityData) {
         const { note, type } = tonalityData;
-        const { blocks, currentBlockId } = this.state;
+        const { blocks, currentBlockId, transposeMode } = this.state;
         
-        // Создаем новую тональность
-        const newTonality = new Tonality(note, type);
+        // Находим тональность в коллекции
+        const newTonality = tonalityCollection.findTonality(note, type);
+        
+        if (!newTonality) {
+            return;
+        }
         
         // Обновляем блок в хранилище
         if (this.store && blocks && blocks[currentBlockId]) {
-            const updatedBlocks = { ...blocks };
-            updatedBlocks[currentBlockId] = {
-                ...updatedBlocks[currentBlockId],
-                tonality: newTonality
-            };
+            const currentTonality = Tonality.fromJSON(blocks[currentBlockId].tonality);
             
-            this.store.set('blocks', updatedBlocks);
+            if (transposeMode !== 'none' && currentTonality) {
+                // Переносим аккорды на интервал между старой и новой тоникой
+                const semitones = mod12(noteToPitchClass(newTonality.note) - noteToPitchClass(currentTonality.note));
+                const blockIds = transposeMode === 'track' ? Object.keys(blocks) : [currentBlockId];
+                
+                const transposedBlocks = this.transposeBlocks(blocks, blockIds, semitones, newTonality);
+                
+                // Транспонирование - один шаг истории, отменяется как любое другое действие
+                this.store.batch('Транспонирование', () => {
+                    this.store.set('blocks', transposedBlocks);
+                });
+                
+                if (this.eventBus) {
+                    this.eventBus.publish(EVENTS.UI_SEQUENCE_TRANSPOSED, {
+                        blockIds,
+                        semitones,
+                        tonality: newTonality
+                    });
+                }
+            } else {
+                const updatedBlocks = { ...blocks };
+                updatedBlocks[currentBlockId] = {
+                    ...updatedBlocks[currentBlockId],
+                    tonality: newTonality
+                };
+                
+                this.store.set('blocks', updatedBlocks);
+            }
         }
         
         // Публикуем событие
@@ -259,7 +405,7 @@ export class TonalitySelectorComponent extends BaseComponent {
         tonalities.forEach(tonality => {
             const isActive = currentTonality &&
                 tonality.note === currentTonality.note &&
-                currentTonality.type === 'dur';
+                Tonality.normalizeType(currentTonality.type) === 'major';
             
             svg.appendChild(createTonalityCircle(tonality, isActive));
         });
@@ -268,7 +414,7 @@ export class TonalitySelectorComponent extends BaseComponent {
         minorTonalities.forEach(tonality => {
             const isActive = currentTonality &&
                 tonality.note === currentTonality.note &&
-                currentTonality.type === 'moll';
+                Tonality.normalizeType(currentTonality.type) === 'minor';
             
             svg.appendChild(createTonalityCircle(tonality, isActive));
         });
@@ -283,8 +429,9 @@ export class TonalitySelectorComponent extends BaseComponent {
      * Отрисовка компонента
      */
     render() {
-        const { showTonalityCircle } = this.state;
-        const currentTonality = this.getCurrentTonality() || new Tonality('C', 'dur');
+        const { showTonalityCircle, keyCandidates, transposeMode } = this.state;
+        const currentTonality = Tonality.fromJSON(this.getCurrentTonality()) ||
+            tonalityCollection.findTonality('C', 'major');
         
         // Создаем фрагмент для компонента
         const fragment = document.createDocumentFragment();
@@ -315,7 +462,7 @@ export class TonalitySelectorComponent extends BaseComponent {
             const option = this.createElement('option', {
                 attributes: {
                     value: note,
-                    selected: currentTonality.note === note ? 'selected' : null
+                    selected: noteToPitchClass(currentTonality.note) === noteToPitchClass(note) ? 'selected' : null
                 },
                 children: `${note} (${this.getNoteLocalizedName(note)})`
             });
@@ -336,13 +483,18 @@ export class TonalitySelectorComponent extends BaseComponent {
         
         // Добавляем опции для типов тональности
         [
-            { value: 'dur', text: 'dur (Мажор)' },
-            { value: 'moll', text: 'moll (Минор)' }
+            { value: 'major', text: 'dur (Мажор)' },
+            { value: 'minor', text: 'moll (Минор)' },
+            { value: 'dorian', text: 'Дорийский' },
+            { value: 'phrygian', text: 'Фригийский' },
+            { value: 'lydian', text: 'Лидийский' },
+            { value: 'mixolydian', text: 'Миксолидийский' },
+            { value: 'locrian', text: 'Локрийский' }
         ].forEach(type => {
             const option = this.createElement('option', {
                 attributes: {
                     value: type.value,
-                    selected: currentTonality.type === type.value ? 'selected' : null
+                    selected: Tonality.normalizeType(currentTonality.type) === type.value ? 'selected' : null
                 },
                 children: type.text
             });
@@ -362,14 +514,62 @@ export class TonalitySelectorComponent extends BaseComponent {
             }
         });
         
+        // Кнопка определения тональности по аккордам блока
+        const detectKeyButton = this.createElement('button', {
+            className: 'button-link',
+            attributes: {
+                id: 'detect-key'
+            },
+            children: 'Определить тональность',
+            events: {
+                click: this.handleDetectKey
+            }
+        });
+        
+        // Селектор транспонирования при смене тональности
+        const transposeSelector = this.createElement('select', {
+            className: 'select',
+            attributes: {
+                id: 'tonality-transpose',
+                title: 'Что делать с аккордами при смене тональности'
+            },
+            events: {
+                change: this.handleTransposeModeChange
+            }
+        });
+        
+        [
+            { value: 'none', text: 'Аккорды не переносить' },
+            { value: 'block', text: 'Транспонировать блок' },
+            { value: 'track', text: 'Транспонировать весь трек' }
+        ].forEach(mode => {
+            const option = this.createElement('option', {
+                attributes: {
+                    value: mode.value,
+                    selected: transposeMode === mode.value ? 'selected' : null
+                },
+                children: mode.text
+            });
+            
+            transposeSelector.appendChild(option);
+        });
+        
         // Добавляем селекторы
         tonalitySelectors.appendChild(noteSelector);
         tonalitySelectors.appendChild(typeSelector);
+        tonalitySelectors.appendChild(transposeSelector);
+        
+        tonalitySelectors.appendChild(detectKeyButton);
         tonalitySelectors.appendChild(toggleCircleButton);
         
         // Добавляем селекторы в секцию
         tonalitySection.appendChild(tonalitySelectors);
         
+        // Добавляем найденные варианты тональности
+        if (keyCandidates) {
+            tonalitySection.appendChild(this.renderKeyCandidates(keyCandidates));
+        }
+        
         // Добавляем круг квинт, если он включен
         if (showTonalityCircle) {
             tonalitySection.appendChild(this.renderTonalityCircle(currentTonality));
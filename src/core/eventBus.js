@@ -77,14 +77,32 @@ export const EVENTS = {
     UI_CHORD_ADDED: 'ui:chord:added',
     UI_PAUSE_ADDED: 'ui:pause:added',
     UI_TONALITY_CHANGED: 'ui:tonality:changed',
+    UI_SEQUENCE_TRANSPOSED: 'ui:sequence:transposed',
     UI_TEMPO_CHANGED: 'ui:tempo:changed',
     UI_ARPEGGIATOR_TOGGLED: 'ui:arpeggiator:toggled',
+    UI_ARPEGGIATOR_CHANGED: 'ui:arpeggiator:changed',
     UI_METRONOME_TOGGLED: 'ui:metronome:toggled',
+    UI_LOOP_TOGGLED: 'ui:loop:toggled',
+    UI_LOOP_REGION_CHANGED: 'ui:loop:region:changed',
+    UI_ARRANGEMENT_CHANGED: 'ui:arrangement:changed',
     
     // События воспроизведения
     PLAYBACK_START: 'playback:start',
     PLAYBACK_STOP: 'playback:stop',
+    PLAYBACK_PAUSE: 'playback:pause',
+    PLAYBACK_RESUME: 'playback:resume',
+    PLAYBACK_SEEK: 'playback:seek',
     PLAYBACK_CHORD: 'playback:chord',
+    PLAYBACK_BLOCK: 'playback:block',
+    
+    // События MIDI-клавиатуры
+    MIDI_INPUT_TOGGLED: 'midi:input:toggled',
+    MIDI_INPUT_NOTES: 'midi:input:notes',
+    
+    // События истории изменений
+    HISTORY_CHANGE: 'history:change',
+    HISTORY_UNDO: 'history:undo',
+    HISTORY_REDO: 'history:redo',
     
     // События хранения
     STORAGE_SAVE: 'storage:save',
@@ -93,8 +111,13 @@ export const EVENTS = {
     // События экспорта и импорта
     EXPORT_MIDI: 'export:midi',
     EXPORT_TEXT: 'export:text',
+    EXPORT_SONG_MIDI: 'export:song:midi',
+    EXPORT_SONG_TEXT: 'export:song:text',
+    EXPORT_MUSICXML: 'export:musicxml',
+    EXPORT_SONG_MUSICXML: 'export:song:musicxml',
     EXPORT_PROJECT: 'export:project',
-    IMPORT_PROJECT: 'import:project'
+    IMPORT_PROJECT: 'import:project',
+    IMPORT_MIDI: 'import:midi'
 };
 
 export default eventBus;
\ No newline at end of file
@@ -1,14 +1,31 @@
+import eventBus, { EVENTS } from './eventBus.js';
+
 /**
  * Хранилище данных приложения
  * Реализует паттерн наблюдатель для обновления компонентов
+ * и историю изменений (отмена и повтор действий)
  */
 export class Store {
     /**
      * @param {Object} initialState - Начальное состояние
+     * @param {Object} [options] - Опции хранилища
+     * @param {Array<string>} [options.historyKeys] - Ключи состояния, изменения которых попадают в историю
+     * @param {number} [options.historyDepth=100] - Максимальное количество шагов отмены
+     * @param {number} [options.groupInterval=300] - Интервал (мс), в котором изменения объединяются в один шаг
      */
-    constructor(initialState = {}) {
+    constructor(initialState = {}, options = {}) {
         this.state = initialState;
         this.listeners = {};
+        
+        // История изменений: шаги хранят предыдущие значения ключей.
+        // Состояние обновляется без мутаций, поэтому достаточно хранить ссылки
+        this.historyKeys = new Set(options.historyKeys || []);
+        this.historyDepth = options.historyDepth || 100;
+        this.groupInterval = options.groupInterval !== undefined ? options.groupInterval : 300;
+        this.past = [];
+        this.future = [];
+        this.currentGroup = null;
+        this.isApplyingHistory = false;
     }
 
     /**
@@ -33,6 +50,10 @@ export class Store {
      * @param {Object} newState - Новое состояние для объединения с текущим
      */
     update(newState) {
+        Object.keys(newState).forEach(key => {
+            this.recordChange(key, this.state[key], newState[key]);
+        });
+        
         this.state = { ...this.state, ...newState };
         this.notify();
     }
@@ -41,12 +62,234 @@ export class Store {
      * Обновление части состояния по ключу
      * @param {string} key - Ключ для обновления
      * @param {*} value - Новое значение
+     * @param {Object} [options] - Опции изменения
+     * @param {string} [options.label] - Название действия для истории
+     * @param {boolean} [options.history=true] - Записывать ли изменение в историю
      */
-    set(key, value) {
+    set(key, value, options = {}) {
+        if (options.history !== false) {
+            this.recordChange(key, this.state[key], value, options.label);
+        }
+        
         this.state[key] = value;
         this.notify(key);
     }
 
+    /**
+     * Запись изменения в историю
+     * Изменения внутри группы (batch) или идущие чаще groupInterval объединяются в один шаг
+     * @param {string} key - Ключ состояния
+     * @param {*} previousValue - Значение до изменения
+     * @param {*} value - Новое значение
+     * @param {string} [label] - Название действия
+     */
+    recordChange(key, previousValue, value, label = null) {
+        if (this.isApplyingHistory || !this.historyKeys.has(key) || previousValue === value) {
+            return;
+        }
+        
+        const now = Date.now();
+        const last = this.past[this.past.length - 1];
+        
+        // Внутри группы только запоминаем изменение, шаг добавится по ее завершении
+        if (this.currentGroup) {
+            this.mergeHistoryChange(this.currentGroup, key, previousValue, label, now);
+            return;
+        }
+        
+        if (last && !last.closed && now - last.timestamp < this.groupInterval) {
+            this.mergeHistoryChange(last, key, previousValue, label, now);
+        } else {
+            this.pushHistoryEntry({ label, changes: { [key]: previousValue }, timestamp: now, closed: false });
+        }
+        
+        // Новое действие делает повтор отмененных шагов невозможным
+        this.future = [];
+        this.publishHistoryChange();
+    }
+
+    /**
+     * Добавление изменения в существующий шаг истории
+     * Для каждого ключа сохраняется только самое раннее значение
+     * @param {Object} entry - Шаг истории
+     * @param {string} key - Ключ состояния
+     * @param {*} previousValue - Значение до изменения
+     * @param {string|null} label - Название действия
+     * @param {number} timestamp - Время изменения
+     * @private
+     */
+    mergeHistoryChange(entry, key, previousValue, label, timestamp) {
+        if (!(key in entry.changes)) {
+            entry.changes[key] = previousValue;
+        }
+        
+        entry.timestamp = timestamp;
+        entry.label = entry.label || label;
+    }
+
+    /**
+     * Добавление шага в стек отмены с учетом глубины истории
+     * @param {Object} entry - Шаг истории
+     * @private
+     */
+    pushHistoryEntry(entry) {
+        this.past.push(entry);
+        
+        if (this.past.length > this.historyDepth) {
+            this.past.splice(0, this.past.length - this.historyDepth);
+        }
+    }
+
+    /**
+     * Выполнение нескольких изменений как одного шага истории
+     * @param {string} label - Название действия
+     * @param {Function} callback - Функция, выполняющая изменения
+     */
+    batch(label, callback) {
+        // Вложенные группы входят во внешнюю
+        if (this.currentGroup) {
+            callback();
+            return;
+        }
+        
+        this.currentGroup = { label, changes: {}, timestamp: Date.now(), closed: true };
+        
+        try {
+            callback();
+        } finally {
+            const group = this.currentGroup;
+            this.currentGroup = null;
+            
+            if (Object.keys(group.changes).length > 0) {
+                this.pushHistoryEntry(group);
+                this.future = [];
+                this.publishHistoryChange();
+            }
+        }
+    }
+
+    /**
+     * Отмена последнего шага
+     * @returns {boolean} - true, если шаг был отменен
+     */
+    undo() {
+        const entry = this.past.pop();
+        if (!entry) {
+            return false;
+        }
+        
+        this.future.push(this.applyHistoryEntry(entry));
+        
+        eventBus.publish(EVENTS.HISTORY_UNDO, { label: entry.label });
+        this.publishHistoryChange();
+        return true;
+    }
+
+    /**
+     * Повтор последнего отмененного шага
+     * @returns {boolean} - true, если шаг был повторен
+     */
+    redo() {
+        const entry = this.future.pop();
+        if (!entry) {
+            return false;
+        }
+        
+        this.past.push(this.applyHistoryEntry(entry));
+        
+        eventBus.publish(EVENTS.HISTORY_REDO, { label: entry.label });
+        this.publishHistoryChange();
+        return true;
+    }
+
+    /**
+     * Применение шага истории
+     * @param {Object} entry - Шаг истории
+     * @returns {Object} - Обратный шаг (для переноса между стеками отмены и повтора)
+     * @private
+     */
+    applyHistoryEntry(entry) {
+        const reverse = { label: entry.label, changes: {}, timestamp: 0, closed: true };
+        
+        Object.entries(entry.changes).forEach(([key, value]) => {
+            reverse.changes[key] = this.state[key];
+            this.state[key] = value;
+        });
+        
+        // Изменения, сделанные подписчиками во время применения, в историю не попадают
+        this.isApplyingHistory = true;
+        try {
+            Object.keys(entry.changes).forEach(key => this.notify(key));
+        } finally {
+            this.isApplyingHistory = false;
+        }
+        
+        return reverse;
+    }
+
+    /**
+     * Проверка возможности отмены
+     * @returns {boolean} - true, если есть шаги для отмены
+     */
+    canUndo() {
+        return this.past.length > 0;
+    }
+
+    /**
+     * Проверка возможности повтора
+     * @returns {boolean} - true, если есть отмененные шаги
+     */
+    canRedo() {
+        return this.future.length > 0;
+    }
+
+    /**
+     * Установка глубины истории
+     * @param {number} depth - Максимальное количество шагов отмены
+     */
+    setHistoryDepth(depth) {
+        if (typeof depth !== 'number' || depth < 1) {
+            console.warn('Глубина истории должна быть положительным числом');
+            return;
+        }
+        
+        this.historyDepth = depth;
+        
+        if (this.past.length > depth) {
+            this.past.splice(0, this.past.length - depth);
+        }
+        if (this.future.length > depth) {
+            this.future.splice(0, this.future.length - depth);
+        }
+        
+        this.publishHistoryChange();
+    }
+
+    /**
+     * Очистка истории изменений
+     */
+    clearHistory() {
+        this.past = [];
+        this.future = [];
+        this.publishHistoryChange();
+    }
+
+    /**
+     * Публикация состояния истории
+     * @private
+     */
+    publishHistoryChange() {
+        const last = this.past[this.past.length - 1];
+        const next = this.future[this.future.length - 1];
+        
+        eventBus.publish(EVENTS.HISTORY_CHANGE, {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: last ? last.label : null,
+            redoLabel: next ? next.label : null
+        });
+    }
+
     /**
      * Подписка на изменения состояния
      * @param {string} key - Ключ для подписки (или '*' для всех изменений)
@@ -130,7 +373,17 @@ const store = new Store({
     showTonalityCircle: true,
     tempo: 120,
     arpeggiatorEnabled: false,
-    metronomeEnabled: false
+    arpeggiator: { mode: 'up', octaves: 1, rate: '1/16', gate: 0.8, latch: false },
+    metronomeEnabled: false,
+    loopEnabled: false,
+    loopRegion: null,
+    arrangement: [],
+    rhythmPatterns: [],
+    midiDrums: false,
+    musicXmlVoiced: false
+}, {
+    historyKeys: ['blocks', 'arrangement'],
+    historyDepth: 100
 });
 
 export default store;
\ No newline at end of file
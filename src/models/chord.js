@@ -1,4 +1,119 @@
-import { Tonality } from './tonality.js';
+import { Tonality, tonalityCollection } from './tonality.js';
+import { parseChordSymbol, ChordParseError } from './chordParser.js';
+import { mod12, noteToPitchClass, transposeNote, spellPitchClass } from './scale.js';
+
+export { ChordParseError };
+
+/**
+ * Интервалы аккордов разных типов в полутонах от основной ноты
+ * @type {Object<string, Array<number>>}
+ */
+export const CHORD_INTERVALS = {
+    'maj': [0, 4, 7],                   // Мажорное трезвучие (1-3-5)
+    'min': [0, 3, 7],                   // Минорное трезвучие (1-b3-5)
+    'dim': [0, 3, 6],                   // Уменьшенное трезвучие (1-b3-b5)
+    'aug': [0, 4, 8],                   // Увеличенное трезвучие (1-3-#5)
+    'maj7': [0, 4, 7, 11],              // Большой мажорный септаккорд (1-3-5-7)
+    'min7': [0, 3, 7, 10],              // Малый минорный септаккорд (1-b3-5-b7)
+    '7': [0, 4, 7, 10],                 // Малый мажорный септаккорд (доминантсептаккорд) (1-3-5-b7)
+    'm7b5': [0, 3, 6, 10],              // Полууменьшенный септаккорд (1-b3-b5-b7)
+    'dim7': [0, 3, 6, 9],               // Уменьшенный септаккорд (1-b3-b5-bb7)
+    'mMaj7': [0, 3, 7, 11],             // Минорный большой септаккорд (1-b3-5-7)
+    'augMaj7': [0, 4, 8, 11],           // Большой увеличенный септаккорд (1-3-#5-7)
+    'maj9': [0, 4, 7, 11, 14],          // Большой мажорный нонаккорд (1-3-5-7-9)
+    'min9': [0, 3, 7, 10, 14],          // Малый минорный нонаккорд (1-b3-5-b7-9)
+    '9': [0, 4, 7, 10, 14],             // Малый мажорный нонаккорд (1-3-5-b7-9)
+    'sus2': [0, 2, 7],                  // Трезвучие с секундой (1-2-5)
+    'sus4': [0, 5, 7],                  // Трезвучие с квартой (1-4-5)
+    '6': [0, 4, 7, 9],                  // Мажорный секстаккорд (1-3-5-6)
+    'm6': [0, 3, 7, 9],                 // Минорный секстаккорд (1-b3-5-6)
+    'add9': [0, 4, 7, 14],              // Мажорное трезвучие с ноной (1-3-5-9)
+    'madd9': [0, 3, 7, 14],             // Минорное трезвучие с ноной (1-b3-5-9)
+    '11': [0, 4, 7, 10, 14, 17],        // Доминантовый ундецимаккорд (1-3-5-b7-9-11)
+    'm11': [0, 3, 7, 10, 14, 17],       // Минорный ундецимаккорд (1-b3-5-b7-9-11)
+    '13': [0, 4, 7, 10, 14, 21],        // Доминантовый терцдецимаккорд (1-3-5-b7-9-13)
+    'maj13': [0, 4, 7, 11, 14, 21],     // Большой мажорный терцдецимаккорд (1-3-5-7-9-13)
+    '7b9': [0, 4, 7, 10, 13],           // Доминантсептаккорд с малой ноной (1-3-5-b7-b9)
+    '7#9': [0, 4, 7, 10, 15],           // Доминантсептаккорд с увеличенной ноной (1-3-5-b7-#9)
+    '7#5': [0, 4, 8, 10],               // Доминантсептаккорд с повышенной квинтой (1-3-#5-b7)
+    '7b5': [0, 4, 6, 10],               // Доминантсептаккорд с пониженной квинтой (1-3-b5-b7)
+    '7alt': [0, 4, 10, 13, 15, 18, 20], // Альтерированный доминант (1-3-b7-b9-#9-#11-b13)
+    '7sus4': [0, 5, 7, 10]              // Доминантсептаккорд с квартой (1-4-5-b7)
+};
+
+/**
+ * Смещение буквы (в ступенях) для интервалов аккорда:
+ * терция пишется через две буквы от основной ноты, квинта - через четыре и т.д.
+ * (#9 - это нона, а не малая терция; #11 - ундецима, а не уменьшенная квинта)
+ * @type {Object<number, number>}
+ */
+const INTERVAL_STEPS = {
+    0: 0,   // Прима
+    1: 1,   // Малая секунда (b9)
+    2: 1,   // Большая секунда
+    3: 2,   // Малая терция
+    4: 2,   // Большая терция
+    5: 3,   // Кварта
+    6: 4,   // Уменьшенная квинта
+    7: 4,   // Чистая квинта
+    8: 4,   // Увеличенная квинта
+    9: 5,   // Большая секста
+    10: 6,  // Малая септима
+    11: 6,  // Большая септима
+    13: 1,  // Малая нона
+    14: 1,  // Большая нона
+    15: 1,  // Увеличенная нона
+    17: 3,  // Ундецима
+    18: 3,  // Увеличенная ундецима
+    20: 5,  // Малая терцдецима
+    21: 5   // Терцдецима
+};
+
+/**
+ * Исключения из INTERVAL_STEPS для отдельных типов аккордов
+ * @type {Object<string, Object<number, number>>}
+ */
+const CHORD_STEP_OVERRIDES = {
+    'dim7': { 9: 6 } // Уменьшенная септима (bb7), а не секста
+};
+
+/**
+ * Расширенные типы аккордов (секстаккорды, аккорды с добавленными ступенями,
+ * ундецим- и терцдецимаккорды, альтерированные доминанты)
+ * @type {Array<string>}
+ */
+export const EXTENDED_CHORD_TYPES = [
+    '6', 'm6', 'add9', 'madd9', '9', 'min9', 'maj9', '11', 'm11', '13', 'maj13',
+    '7b9', '7#9', '7#5', '7b5', '7alt', 'mMaj7', 'dim7', '7sus4'
+];
+
+/**
+ * Запись высотного класса в тональности: диатоническая нота - как в гамме,
+ * хроматическая - знаками тональности (бемолями или диезами)
+ * @param {number} pitchClass - Высотный класс
+ * @param {Tonality|null} tonality - Тональность
+ * @returns {string|null} - Название ноты или null, если запись не определяется тональностью
+ */
+function spellInTonality(pitchClass, tonality) {
+    if (!tonality) {
+        return null;
+    }
+    
+    const scaleNote = tonality.getScaleNotes().find(note => noteToPitchClass(note) === mod12(pitchClass));
+    if (scaleNote) {
+        return scaleNote;
+    }
+    
+    if (tonality.signature.includes('b')) {
+        return spellPitchClass(pitchClass, true);
+    }
+    
+    if (tonality.signature.includes('#')) {
+        return spellPitchClass(pitchClass, false);
+    }
+    
+    return null;
+}
 
 /**
  * Класс, представляющий музыкальный аккорд
@@ -11,6 +126,9 @@ export class Chord {
      * @param {number} [options.degree] - Ступень аккорда в тональности
      * @param {string} [options.function] - Функция аккорда (T, S, D)
      * @param {string} [options.inTonality] - Тональность, в которой находится аккорд
+     * @param {string} [options.bass] - Басовая нота (для аккордов вида "C/E")
+     * @param {Array<number>} [options.intervals] - Интервалы аккорда нестандартного типа
+     * @param {number} [options.inversion] - Номер обращения (0 - основной вид, 1 - первое обращение и т.д.)
      */
     constructor(root, type, options = {}) {
         this.root = root;
@@ -18,6 +136,38 @@ export class Chord {
         this.degree = options.degree || null;
         this.function = options.function || null;
         this.inTonality = options.inTonality || null;
+        this.bass = options.bass || null;
+        this.intervals = options.intervals || null;
+        this.inversion = options.inversion || 0;
+    }
+
+    /**
+     * Создание аккорда из буквенно-цифрового обозначения
+     * @param {string} symbol - Обозначение аккорда (например, "F#m7b5/C#", "Bb7sus4", "C6/9")
+     * @returns {Chord} - Новый экземпляр аккорда
+     * @throws {ChordParseError} - Если обозначение не удалось разобрать
+     */
+    static parse(symbol) {
+        const parsed = parseChordSymbol(symbol);
+        const type = Chord.findTypeByIntervals(parsed.intervals);
+        
+        // Для известной структуры используем стандартный тип,
+        // иначе сохраняем исходный суффикс и интервалы
+        return new Chord(parsed.root, type || parsed.suffix, {
+            bass: parsed.bass,
+            intervals: type ? null : parsed.intervals
+        });
+    }
+
+    /**
+     * Поиск типа аккорда по набору интервалов
+     * @param {Array<number>} intervals - Интервалы в полутонах от основной ноты
+     * @returns {string|null} - Тип аккорда или null, если структура неизвестна
+     */
+    static findTypeByIntervals(intervals) {
+        const key = intervals.join(',');
+        const type = Object.keys(CHORD_INTERVALS).find(name => CHORD_INTERVALS[name].join(',') === key);
+        return type || null;
     }
 
     /**
@@ -25,6 +175,16 @@ export class Chord {
      * @returns {string} - Название аккорда (например, "Cmaj7" или "Dmin")
      */
     getName() {
+        const bassNote = this.bass || (this.inversion > 0 ? this.getBassNote() : null);
+        const bass = bassNote ? `/${bassNote}` : '';
+        return `${this.getSpelledRoot()}${this.getTypeAbbreviation()}${bass}`;
+    }
+
+    /**
+     * Получение обозначения типа аккорда (часть названия после основной ноты)
+     * @returns {string} - Обозначение типа (например, "m7" или "" для мажорного трезвучия)
+     */
+    getTypeAbbreviation() {
         // Преобразование типа аккорда в обозначение
         const typeAbbreviation = {
             'maj': '',
@@ -35,14 +195,31 @@ export class Chord {
             'min7': 'm7',
             '7': '7',
             'm7b5': 'm7b5',
+            'dim7': 'dim7',
+            'mMaj7': 'mMaj7',
+            'augMaj7': 'maj7#5',
             'maj9': 'maj9',
             'min9': 'm9',
             '9': '9',
             'sus2': 'sus2',
-            'sus4': 'sus4'
+            'sus4': 'sus4',
+            '6': '6',
+            'm6': 'm6',
+            'add9': 'add9',
+            'madd9': 'madd9',
+            '11': '11',
+            'm11': 'm11',
+            '13': '13',
+            'maj13': 'maj13',
+            '7b9': '7b9',
+            '7#9': '7#9',
+            '7#5': '7#5',
+            '7b5': '7b5',
+            '7alt': '7alt',
+            '7sus4': '7sus4'
         };
 
-        return `${this.root}${typeAbbreviation[this.type] || this.type}`;
+        return this.type in typeAbbreviation ? typeAbbreviation[this.type] : this.type;
     }
 
     /**
@@ -79,14 +256,32 @@ export class Chord {
             'min7': 'малый минорный септаккорд',
             '7': 'малый мажорный септаккорд',
             'm7b5': 'полууменьшенный септаккорд',
+            'dim7': 'уменьшенный септаккорд',
+            'mMaj7': 'минорный большой септаккорд',
+            'augMaj7': 'большой увеличенный септаккорд',
             'maj9': 'большой мажорный нонаккорд',
             'min9': 'малый минорный нонаккорд',
             '9': 'малый мажорный нонаккорд',
             'sus2': 'с секундой',
-            'sus4': 'с квартой'
+            'sus4': 'с квартой',
+            '6': 'мажорный секстаккорд',
+            'm6': 'минорный секстаккорд',
+            'add9': 'мажор с добавленной ноной',
+            'madd9': 'минор с добавленной ноной',
+            '11': 'доминантовый ундецимаккорд',
+            'm11': 'минорный ундецимаккорд',
+            '13': 'доминантовый терцдецимаккорд',
+            'maj13': 'большой мажорный терцдецимаккорд',
+            '7b9': 'доминантсептаккорд с малой ноной',
+            '7#9': 'доминантсептаккорд с увеличенной ноной',
+            '7#5': 'доминантсептаккорд с повышенной квинтой',
+            '7b5': 'доминантсептаккорд с пониженной квинтой',
+            '7alt': 'альтерированный доминантсептаккорд',
+            '7sus4': 'доминантсептаккорд с квартой'
         };
 
-        return `${noteNames[this.root] || this.root} ${typeNames[this.type] || this.type}`;
+        const root = this.getSpelledRoot();
+        return `${noteNames[root] || root} ${typeNames[this.type] || this.type}`;
     }
 
     /**
@@ -94,62 +289,179 @@ export class Chord {
      * @returns {Array<number>} - Массив интервалов в полутонах
      */
     getIntervals() {
-        // Определяем интервалы для разных типов аккордов
-        const intervalPatterns = {
-            'maj': [0, 4, 7],          // Мажорное трезвучие (1-3-5)
-            'min': [0, 3, 7],          // Минорное трезвучие (1-b3-5)
-            'dim': [0, 3, 6],          // Уменьшенное трезвучие (1-b3-b5)
-            'aug': [0, 4, 8],          // Увеличенное трезвучие (1-3-#5)
-            'maj7': [0, 4, 7, 11],     // Большой мажорный септаккорд (1-3-5-7)
-            'min7': [0, 3, 7, 10],     // Малый минорный септаккорд (1-b3-5-b7)
-            '7': [0, 4, 7, 10],        // Малый мажорный септаккорд (доминантсептаккорд) (1-3-5-b7)
-            'm7b5': [0, 3, 6, 10],     // Полууменьшенный септаккорд (1-b3-b5-b7)
-            'dim7': [0, 3, 6, 9],      // Уменьшенный септаккорд (1-b3-b5-bb7)
-            'maj9': [0, 4, 7, 11, 14], // Большой мажорный нонаккорд (1-3-5-7-9)
-            'min9': [0, 3, 7, 10, 14], // Малый минорный нонаккорд (1-b3-5-b7-9)
-            '9': [0, 4, 7, 10, 14],    // Малый мажорный нонаккорд (1-3-5-b7-9)
-            'sus2': [0, 2, 7],         // Трезвучие с секундой (1-2-5)
-            'sus4': [0, 5, 7]          // Трезвучие с квартой (1-4-5)
-        };
+        // Аккорд с произвольной структурой (например, разобранный из обозначения)
+        if (this.intervals) {
+            return [...this.intervals];
+        }
 
-        return intervalPatterns[this.type] || intervalPatterns.maj;
+        return CHORD_INTERVALS[this.type] || CHORD_INTERVALS.maj;
+    }
+
+    /**
+     * Получение тональности, в которой находится аккорд
+     * @returns {Tonality|null} - Тональность или null, если она не задана или не найдена
+     * @private
+     */
+    _getTonality() {
+        if (!this.inTonality) {
+            return null;
+        }
+        
+        if (this.inTonality instanceof Tonality) {
+            return this.inTonality;
+        }
+        
+        if (typeof this.inTonality === 'string') {
+            tonalityCollection.initializeIfEmpty();
+            return tonalityCollection.getTonality(this.inTonality) || null;
+        }
+        
+        return Tonality.fromJSON(this.inTonality);
+    }
+
+    /**
+     * Получение основной ноты в записи, соответствующей тональности
+     * (например, A# в Фа мажоре записывается как Bb)
+     * @returns {string} - Название основной ноты
+     */
+    getSpelledRoot() {
+        const tonality = this._getTonality();
+        const pitchClass = noteToPitchClass(this.root);
+        
+        if (!tonality || pitchClass === -1) {
+            return this.root;
+        }
+        
+        return spellInTonality(pitchClass, tonality) || this.root;
+    }
+
+    /**
+     * Транспонирование аккорда
+     * Основной тон и бас записываются по целевой тональности,
+     * ступень и функция пересчитываются для нее
+     * @param {number} semitones - Интервал в полутонах (может быть отрицательным)
+     * @param {Tonality|null} [tonality] - Целевая тональность (по умолчанию - тональность аккорда)
+     * @returns {Chord} - Новый транспонированный аккорд
+     */
+    transpose(semitones, tonality = null) {
+        const target = tonality || this._getTonality();
+        
+        const transposeName = note => {
+            const pitchClass = noteToPitchClass(note);
+            if (pitchClass === -1) {
+                return note;
+            }
+            
+            // Без тональности сохраняем направление знаков исходной записи
+            return spellInTonality(pitchClass + semitones, target) ||
+                spellPitchClass(pitchClass + semitones, note.includes('b'));
+        };
+        
+        const chord = new Chord(transposeName(this.root), this.type, {
+            inTonality: target ? target.getName() : this.inTonality,
+            bass: this.bass ? transposeName(this.bass) : null,
+            intervals: this.intervals,
+            inversion: this.inversion
+        });
+        
+        if (target) {
+            const functionInfo = chord.getChordFunction(target);
+            chord.degree = functionInfo.degree;
+            chord.function = functionInfo.function;
+        }
+        
+        return chord;
     }
 
     /**
      * Получение нот аккорда
+     * Ноты записываются от основной ноты по ступеням (терция через две буквы, квинта через четыре),
+     * поэтому Bb мажор дает Bb-D-F, а F# мажор - F#-A#-C#
      * @returns {Array<string>} - Массив нот аккорда
      */
     getNotes() {
-        const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const intervals = this.getIntervals();
-        
-        // Определяем индекс стартовой ноты в хроматической гамме
-        let startIndex = chromaticScale.indexOf(this.root);
-        if (startIndex === -1) {
-            // Обработка альтернативных названий (бемолей)
-            const enharmonics = {
-                'Db': 'C#',
-                'Eb': 'D#',
-                'Gb': 'F#',
-                'Ab': 'G#',
-                'Bb': 'A#'
-            };
+        const root = this.getSpelledRoot();
+        const rootPitch = noteToPitchClass(root);
+        
+        // Если нота не распознана, возвращаем пустой массив
+        if (rootPitch === -1) {
+            return [];
+        }
+        
+        const overrides = CHORD_STEP_OVERRIDES[this.type] || {};
+        const preferFlats = root.includes('b');
+        
+        return this.getIntervals().map(interval => {
+            const steps = interval in overrides
+                ? overrides[interval]
+                : INTERVAL_STEPS[interval in INTERVAL_STEPS ? interval : interval % 12];
             
-            if (enharmonics[this.root]) {
-                startIndex = chromaticScale.indexOf(enharmonics[this.root]);
-            }
+            // Если запись требует больше двух знаков альтерации, пишем ноту без учета ступени
+            const note = steps !== undefined ? transposeNote(root, interval, steps) : null;
+            return note || spellPitchClass(rootPitch + interval, preferFlats);
+        });
+    }
+
+    /**
+     * Получение басовой ноты аккорда
+     * Явно заданный бас имеет приоритет, иначе бас определяется обращением
+     * @returns {string|null} - Басовая нота или null, если ноты аккорда не определены
+     */
+    getBassNote() {
+        if (this.bass) {
+            return this.bass;
         }
         
-        // Если нота всё еще не найдена, возвращаем пустой массив
-        if (startIndex === -1) {
-            return [];
+        const notes = this.getNotes();
+        if (notes.length === 0) {
+            return null;
+        }
+        
+        return notes[this.inversion % notes.length];
+    }
+
+    /**
+     * Получение нот аккорда в порядке расположения снизу вверх (басовая нота первая)
+     * Если бас не входит в аккорд (например, "C/D"), он добавляется под аккордом
+     * @returns {Array<string>} - Массив нот аккорда
+     */
+    getVoicedNotes() {
+        const notes = this.getNotes();
+        const bass = this.getBassNote();
+        
+        if (!bass || notes.length === 0) {
+            return notes;
         }
         
-        // Строим ноты аккорда
-        return intervals.map(interval => {
-            const index = (startIndex + interval) % 12;
-            return chromaticScale[index];
+        const bassPitch = noteToPitchClass(bass);
+        const bassIndex = notes.findIndex(note => noteToPitchClass(note) === bassPitch);
+        
+        if (bassIndex === -1) {
+            return [bass, ...notes];
+        }
+        
+        return [...notes.slice(bassIndex), ...notes.slice(0, bassIndex)];
+    }
+
+    /**
+     * Поиск аккорда среди аккордов тональности (включая гармонический и мелодический минор)
+     * @param {Tonality} tonality - Тональность для поиска
+     * @returns {Object} - { match, sameRoot }: точное совпадение и первый аккорд с той же основной нотой
+     * @private
+     */
+    _findInTonality(tonality) {
+        const chordsInTonality = tonality.getAllChordsInTonality();
+        
+        // Ищем аккорды с той же основной нотой (с учетом энгармонизма: A# и Bb)
+        const rootPitch = noteToPitchClass(this.root);
+        const sameRoot = chordsInTonality.filter(chord => noteToPitchClass(chord.root) === rootPitch);
+        
+        // Проверяем соответствие типа аккорда (трезвучие или септаккорд)
+        const match = sameRoot.find(chord => {
+            return chord.type === this.type || chord.seventhType === this.type;
         });
+        
+        return { match: match || null, sameRoot: sameRoot[0] || null };
     }
 
     /**
@@ -162,39 +474,26 @@ export class Chord {
             return { function: null, degree: null, romanNumeral: null };
         }
         
-        const chordsInTonality = tonality.getChordsInTonality();
+        const { match, sameRoot } = this._findInTonality(tonality);
         
-        // Ищем аккорд с той же основной нотой
-        const matchingChord = chordsInTonality.find(chord => chord.root === this.root);
-        
-        if (!matchingChord) {
-            return { function: null, degree: null, romanNumeral: null };
-        }
-        
-        // Проверяем соответствие типа аккорда
-        const basicTypeMatch = (this.type === 'maj' && matchingChord.type === 'maj') || 
-                               (this.type === 'min' && matchingChord.type === 'min') ||
-                               (this.type === 'dim' && matchingChord.type === 'dim') ||
-                               (this.type === 'aug' && matchingChord.type === 'aug');
-                               
-        const seventhTypeMatch = (this.type === 'maj7' && matchingChord.seventhType === 'maj7') ||
-                                 (this.type === 'min7' && matchingChord.seventhType === 'min7') ||
-                                 (this.type === '7' && matchingChord.seventhType === '7') ||
-                                 (this.type === 'm7b5' && matchingChord.seventhType === 'm7b5');
-        
-        if (basicTypeMatch || seventhTypeMatch) {
+        if (match) {
             return {
-                function: matchingChord.function,
-                degree: matchingChord.degree,
-                romanNumeral: matchingChord.romanNumeral,
+                function: match.function,
+                degree: match.degree,
+                romanNumeral: match.romanNumeral,
+                variant: match.variant,
                 inTonality: tonality.getName()
             };
         }
         
+        if (!sameRoot) {
+            return { function: null, degree: null, romanNumeral: null };
+        }
+        
         // Если типы не совпадают, возвращаем только информацию о ступени
         return {
             function: null,
-            degree: matchingChord.degree,
+            degree: sameRoot.degree,
             romanNumeral: null,
             inTonality: tonality.getName()
         };
@@ -223,27 +522,12 @@ export class Chord {
 
     /**
      * Проверка, является ли аккорд диатоническим в тональности
+     * (для минора учитываются гармонический и мелодический виды)
      * @param {Tonality} tonality - Тональность для проверки
      * @returns {boolean} - true, если аккорд диатонический
      */
     isDiatonicIn(tonality) {
-        const chordsInTonality = tonality.getChordsInTonality();
-        const basicMatch = chordsInTonality.some(chord => 
-            chord.root === this.root && 
-            ((this.type === 'maj' && chord.type === 'maj') ||
-             (this.type === 'min' && chord.type === 'min') ||
-             (this.type === 'dim' && chord.type === 'dim'))
-        );
-        
-        const seventhMatch = chordsInTonality.some(chord => 
-            chord.root === this.root && 
-            ((this.type === 'maj7' && chord.seventhType === 'maj7') ||
-             (this.type === 'min7' && chord.seventhType === 'min7') ||
-             (this.type === '7' && chord.seventhType === '7') ||
-             (this.type === 'm7b5' && chord.seventhType === 'm7b5'))
-        );
-        
-        return basicMatch || seventhMatch;
+        return this._findInTonality(tonality).match !== null;
     }
 
     /**
@@ -263,11 +547,18 @@ export class Chord {
 
     /**
      * Сравнение с другим аккордом
+     * Энгармонически равные аккорды (A# и Bb) считаются равными
      * @param {Chord} other - Другой аккорд для сравнения
      * @returns {boolean} - true, если аккорды равны
      */
     equals(other) {
-        return this.root === other.root && this.type === other.type;
+        if (!other) {
+            return false;
+        }
+        
+        return noteToPitchClass(this.root) === noteToPitchClass(other.root) &&
+               this.type === other.type &&
+               noteToPitchClass(this.getBassNote()) === noteToPitchClass(other.getBassNote());
     }
 
     /**
@@ -288,7 +579,10 @@ export class Chord {
             type: this.type,
             degree: this.degree,
             function: this.function,
-            inTonality: this.inTonality
+            inTonality: this.inTonality,
+            bass: this.bass,
+            intervals: this.intervals,
+            inversion: this.inversion
         };
     }
 
@@ -301,7 +595,10 @@ export class Chord {
         return new Chord(obj.root, obj.type, {
             degree: obj.degree,
             function: obj.function,
-            inTonality: obj.inTonality
+            inTonality: obj.inTonality,
+            bass: obj.bass,
+            intervals: obj.intervals,
+            inversion: obj.inversion
         });
     }
 }
@@ -317,6 +614,7 @@ export class ChordCollection {
         this.tonality = tonality;
         this.basicChords = [];
         this.seventhChords = [];
+        this.variantChords = [];
         this.initializeChords();
     }
 
@@ -343,6 +641,41 @@ export class ChordCollection {
                 inTonality: this.tonality.getName()
             });
         });
+        
+        // Создаем аккорды гармонического и мелодического минора
+        const variants = this.tonality.getChordVariants();
+        
+        this.variantChords = [];
+        Object.entries(variants).forEach(([variant, infos]) => {
+            infos.forEach(info => {
+                const options = {
+                    degree: info.degree,
+                    function: info.function,
+                    inTonality: this.tonality.getName()
+                };
+                
+                // Добавляем только отличающиеся от натурального минора аккорды,
+                // общие для обоих видов минора аккорды (V, V7) добавляем один раз
+                const natural = chordsInfo[info.degree - 1];
+                const addVariant = type => {
+                    const exists = this.variantChords.some(item => {
+                        return item.chord.root === info.root && item.chord.type === type;
+                    });
+                    
+                    if (!exists) {
+                        this.variantChords.push({ variant, chord: new Chord(info.root, type, options) });
+                    }
+                };
+                
+                if (info.type !== natural.type) {
+                    addVariant(info.type);
+                }
+                
+                if (info.seventhType !== natural.seventhType) {
+                    addVariant(info.seventhType);
+                }
+            });
+        });
     }
 
     /**
@@ -361,12 +694,20 @@ export class ChordCollection {
         return [...this.seventhChords];
     }
 
+    /**
+     * Получение аккордов гармонического и мелодического минора
+     * @returns {Array<Object>} - Массив объектов { variant, chord }
+     */
+    getVariantChords() {
+        return [...this.variantChords];
+    }
+
     /**
      * Получение всех аккордов
      * @returns {Array<Chord>} - Массив всех аккордов
      */
     getAllChords() {
-        return [...this.basicChords, ...this.seventhChords];
+        return [...this.basicChords, ...this.seventhChords, ...this.variantChords.map(item => item.chord)];
     }
 
     /**
@@ -409,6 +750,7 @@ export class ChordCollection {
         this.tonality = tonality;
         this.basicChords = [];
         this.seventhChords = [];
+        this.variantChords = [];
         this.initializeChords();
     }
 }
@@ -0,0 +1,371 @@
+/**
+ * Разбор буквенно-цифровых обозначений аккордов ("F#m7b5/C#", "Bb7sus4", "C6/9", "G7(b9,#11)", "Cmaj7omit3")
+ * Результат разбора - основная нота, интервалы в полутонах и басовая нота
+ */
+
+/**
+ * Ошибка разбора обозначения аккорда
+ * Содержит исходную строку и позицию, на которой разбор не удался
+ */
+export class ChordParseError extends Error {
+    /**
+     * @param {string} message - Описание ошибки
+     * @param {string} input - Исходное обозначение
+     * @param {number} position - Позиция ошибки в строке
+     */
+    constructor(message, input, position) {
+        super(message);
+        this.name = 'ChordParseError';
+        this.input = input;
+        this.position = position;
+        this.token = typeof input === 'string' ? input.slice(position) : '';
+    }
+
+    /**
+     * Создание объекта для сериализации
+     * @returns {Object} - Объект с описанием ошибки
+     */
+    toJSON() {
+        return {
+            message: this.message,
+            input: this.input,
+            position: this.position,
+            token: this.token
+        };
+    }
+}
+
+// Интервалы ступеней аккорда в полутонах от основной ноты
+const DEGREE_INTERVALS = {
+    '2': 2,
+    '4': 5,
+    '6': 9,
+    '9': 14,
+    '11': 17,
+    '13': 21
+};
+
+// Регулярное выражение для названия ноты (основной и басовой)
+const NOTE_PATTERN = /^[A-G](?:#|♯|b|♭|x)*/;
+
+/**
+ * Нормализация записи ноты (замена символов ♯ и ♭)
+ * @param {string} note - Название ноты
+ * @returns {string} - Нормализованное название
+ */
+function normalizeNote(note) {
+    return note.replace(/♯/g, '#').replace(/♭/g, 'b');
+}
+
+/**
+ * Правила разбора суффикса аккорда
+ * Каждое правило проверяется в текущей позиции; при совпадении изменяет состояние разбора
+ * Порядок важен: более длинные обозначения проверяются раньше
+ */
+const SUFFIX_RULES = [
+    // Разделители внутри скобок: "C7(b9, #11)"
+    {
+        pattern: /^[\s,()]/,
+        apply: () => {}
+    },
+    // Минорный аккорд с большой септимой: "mMaj7", "m(maj7)", "mM7", "-Δ7"
+    {
+        pattern: /^(?:m|min|-)\(?(?:maj|Maj|M|Δ|\^)(7|9|11|13)?\)?/,
+        apply: (state, match) => {
+            state.third = 'minor';
+            state.seventh = 'major';
+            state.extend(match[1] || '7');
+        }
+    },
+    // Большая септима: "maj7", "Maj9", "M7", "Δ", "^7"
+    {
+        pattern: /^(?:maj|Maj|MA|ma(?!dd)|M|Δ|\^)(7|9|11|13)?/,
+        apply: (state, match) => {
+            state.seventh = 'major';
+            state.extend(match[1] || '7');
+        }
+    },
+    // Пропущенные ступени: "no3", "omit5" (до уменьшенного аккорда: "o" в "omit" - не "°")
+    {
+        pattern: /^(?:no|omit)(3|5)/,
+        apply: (state, match) => {
+            state.omit.push(match[1]);
+        }
+    },
+    // Уменьшенный аккорд: "dim", "dim7", "°", "°7", "o7"
+    {
+        pattern: /^(?:dim|°|o)(7)?/,
+        apply: (state, match) => {
+            state.third = 'minor';
+            state.fifth = -1;
+            if (match[1]) {
+                state.seventh = 'diminished';
+            }
+        }
+    },
+    // Полууменьшенный септаккорд: "ø", "ø7"
+    {
+        pattern: /^[øØ](7)?/,
+        apply: state => {
+            state.third = 'minor';
+            state.fifth = -1;
+            state.seventh = 'minor';
+        }
+    },
+    // Альтерированный доминант: "alt"
+    {
+        pattern: /^alt/,
+        apply: state => {
+            state.seventh = state.seventh || 'minor';
+            state.altered = true;
+        }
+    },
+    // Добавленные ступени: "add9", "add#11", "add2"
+    {
+        pattern: /^add(b|#)?(2|4|9|11|13)/,
+        apply: (state, match) => {
+            state.added.push((match[1] || '') + match[2]);
+        }
+    },
+    // Задержания: "sus", "sus2", "sus4"
+    {
+        pattern: /^sus(2|4)?/,
+        apply: (state, match) => {
+            state.sus = match[1] || '4';
+        }
+    },
+    // Увеличенный аккорд: "aug", "+" (но не "+5", "+9", "+11" - это альтерации)
+    {
+        pattern: /^(?:aug|\+(?!5|9|11|13))/,
+        apply: state => {
+            state.fifth = 1;
+        }
+    },
+    // Альтерации: "b5", "#5", "b9", "#9", "#11", "b13", "+5", "-9" (минус - только не в начале суффикса)
+    {
+        pattern: /^(b|#|♭|♯|\+|-)(5|9|11|13)/,
+        apply: (state, match) => {
+            const sign = match[1] === '#' || match[1] === '♯' || match[1] === '+' ? '#' : 'b';
+            state.alter(sign, match[2]);
+        },
+        notAtStart: ['-']
+    },
+    // Минорное трезвучие: "m", "min", "mi", "-"
+    {
+        pattern: /^(?:min|mi|m|-)/,
+        apply: state => {
+            state.third = 'minor';
+        }
+    },
+    // Секстнонаккорд: "6/9", "69"
+    {
+        pattern: /^6\/?9/,
+        apply: state => {
+            state.sixth = true;
+            state.added.push('9');
+        }
+    },
+    // Ступени: "5" (квинтаккорд), "6", "7", "9", "11", "13"
+    {
+        pattern: /^(13|11|9|7|6|5)/,
+        apply: (state, match) => {
+            if (match[1] === '5') {
+                state.power = true;
+            } else if (match[1] === '6') {
+                state.sixth = true;
+            } else {
+                state.seventh = state.seventh || 'minor';
+                state.extend(match[1]);
+            }
+        }
+    }
+];
+
+/**
+ * Создание начального состояния разбора
+ * @returns {Object} - Состояние разбора
+ */
+function createState() {
+    const state = {
+        third: 'major',     // major | minor
+        fifth: 0,           // -1 (b5), 0, 1 (#5)
+        seventh: null,      // null | minor | major | diminished
+        sixth: false,
+        power: false,
+        altered: false,
+        sus: null,          // null | '2' | '4'
+        extensions: [],     // '9', '11', '13'
+        alterations: [],    // 'b9', '#9', '#11', 'b13'
+        added: [],          // '9', '#11', '2' ...
+        omit: []            // '3', '5'
+    };
+
+    // Расширение аккорда до ступени: 9 включает септиму, 11 - септиму и нону, 13 - септиму и нону
+    state.extend = degree => {
+        const implied = {
+            '7': [],
+            '9': ['9'],
+            '11': ['9', '11'],
+            '13': ['9', '13']
+        };
+
+        (implied[degree] || []).forEach(ext => {
+            if (!state.extensions.includes(ext)) {
+                state.extensions.push(ext);
+            }
+        });
+    };
+
+    // Альтерация ступени
+    state.alter = (sign, degree) => {
+        if (degree === '5') {
+            state.fifth = sign === '#' ? 1 : -1;
+        } else {
+            state.alterations.push(`${sign}${degree}`);
+        }
+    };
+
+    return state;
+}
+
+/**
+ * Получение интервала для ступени с альтерацией ("b9", "#11", "9")
+ * @param {string} degree - Ступень
+ * @returns {number} - Интервал в полутонах
+ */
+function degreeToInterval(degree) {
+    const match = degree.match(/^(b|#)?(\d+)$/);
+    const base = DEGREE_INTERVALS[match[2]];
+    const shift = match[1] === 'b' ? -1 : (match[1] === '#' ? 1 : 0);
+    return base + shift;
+}
+
+/**
+ * Построение интервалов аккорда по состоянию разбора
+ * @param {Object} state - Состояние разбора
+ * @returns {Array<number>} - Отсортированные интервалы в полутонах
+ */
+function buildIntervals(state) {
+    const intervals = new Set([0]);
+
+    // Терция (или задержание)
+    if (!state.power && !state.omit.includes('3')) {
+        if (state.sus) {
+            intervals.add(state.sus === '2' ? 2 : 5);
+        } else {
+            intervals.add(state.third === 'minor' ? 3 : 4);
+        }
+    }
+
+    // Альтерированный доминант: b9, #9, #11 (b5), b13 (#5) без чистой квинты
+    if (state.altered) {
+        [13, 15, 18, 20].forEach(interval => intervals.add(interval));
+    } else if (!state.omit.includes('5')) {
+        intervals.add(7 + state.fifth);
+    }
+
+    if (state.sixth) {
+        intervals.add(9);
+    }
+
+    // Септима
+    const sevenths = { minor: 10, major: 11, diminished: 9 };
+    if (state.seventh) {
+        intervals.add(sevenths[state.seventh]);
+    }
+
+    // Расширения, заменяемые альтерациями той же ступени
+    state.extensions.forEach(ext => {
+        const altered = state.alterations.some(alt => alt.slice(1) === ext);
+        if (!altered) {
+            intervals.add(degreeToInterval(ext));
+        }
+    });
+
+    state.alterations.forEach(alt => intervals.add(degreeToInterval(alt)));
+    state.added.forEach(add => intervals.add(degreeToInterval(add)));
+
+    return Array.from(intervals).sort((a, b) => a - b);
+}
+
+/**
+ * Разбор обозначения аккорда
+ * @param {string} input - Обозначение аккорда (например, "F#m7b5/C#")
+ * @returns {Object} - { root, suffix, intervals, bass, symbol }
+ * @throws {ChordParseError} - Если обозначение не удалось разобрать
+ */
+export function parseChordSymbol(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        throw new ChordParseError('Пустое обозначение аккорда', String(input || ''), 0);
+    }
+
+    const symbol = input.trim();
+
+    // Основная нота
+    const rootMatch = symbol.match(NOTE_PATTERN);
+    if (!rootMatch) {
+        throw new ChordParseError(`Неизвестная основная нота "${symbol.charAt(0)}"`, symbol, 0);
+    }
+
+    const root = normalizeNote(rootMatch[0]);
+
+    // Отделяем басовую ноту: последняя "/" с нотой после нее ("6/9" не считается басом)
+    let body = symbol.slice(rootMatch[0].length);
+    let bass = null;
+
+    const bassMatch = body.match(/\/([^/]*)$/);
+    if (bassMatch && !/^\d/.test(bassMatch[1])) {
+        const bassNote = bassMatch[1].match(NOTE_PATTERN);
+        const bassPosition = symbol.length - bassMatch[1].length;
+
+        if (!bassNote || bassNote[0] !== bassMatch[1]) {
+            throw new ChordParseError(`Неизвестная басовая нота "${bassMatch[1]}"`, symbol, bassPosition);
+        }
+
+        bass = normalizeNote(bassNote[0]);
+        body = body.slice(0, -bassMatch[0].length);
+    }
+
+    // Разбираем суффикс по правилам
+    const state = createState();
+    const start = rootMatch[0].length;
+    let position = 0;
+
+    while (position < body.length) {
+        const rest = body.slice(position);
+
+        const rule = SUFFIX_RULES.find(candidate => {
+            const match = rest.match(candidate.pattern);
+            if (!match) return false;
+
+            // Некоторые знаки (например, "-") в начале суффикса означают минор, а не альтерацию
+            if (position === 0 && candidate.notAtStart && candidate.notAtStart.includes(match[1])) {
+                return false;
+            }
+
+            return true;
+        });
+
+        if (!rule) {
+            throw new ChordParseError(
+                `Неизвестное обозначение "${rest}" в аккорде "${symbol}"`,
+                symbol,
+                start + position
+            );
+        }
+
+        const match = rest.match(rule.pattern);
+        rule.apply(state, match);
+        position += match[0].length;
+    }
+
+    return {
+        root,
+        suffix: body,
+        intervals: buildIntervals(state),
+        bass,
+        symbol
+    };
+}
+
+export default parseChordSymbol;
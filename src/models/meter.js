@@ -0,0 +1,186 @@
+/**
+ * Размеры (метр): длина такта, доли, акценты и разбиение последовательности на такты.
+ * Длительности в приложении задаются в долях целой ноты (1 - целая, 0.25 - четверть)
+ */
+
+/**
+ * Размер по умолчанию
+ * @type {string}
+ */
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+/**
+ * Размеры, доступные для выбора
+ * @type {Array<string>}
+ */
+export const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '9/8', '12/8'];
+
+/**
+ * Группировка долей такта (количество долей в группе).
+ * Первая доля группы получает дополнительный акцент.
+ * В остальных размерах весь такт - одна группа
+ * @type {Object<string, Array<number>>}
+ */
+const BEAT_GROUPS = {
+    '4/4': [2, 2],
+    '5/4': [3, 2],
+    '5/8': [3, 2],
+    '6/8': [3, 3],
+    '7/8': [2, 2, 3],
+    '9/8': [3, 3, 3],
+    '12/8': [3, 3, 3, 3]
+};
+
+/**
+ * Погрешность сравнения длительностей
+ * @type {number}
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Разбор размера
+ * @param {string|Object} value - Размер ('3/4') или объект { beats, unit }
+ * @returns {Object} - { beats, unit }; некорректное значение заменяется размером по умолчанию
+ */
+export function parseTimeSignature(value) {
+    const match = typeof value === 'string'
+        ? value.match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/)
+        : null;
+
+    const beats = match ? parseInt(match[1], 10) : (value && value.beats);
+    const unit = match ? parseInt(match[2], 10) : (value && value.unit);
+
+    // Знаменатель - степень двойки (от целой до тридцать второй)
+    const isValid = Number.isInteger(beats) && beats > 0 && beats <= 32 &&
+        [1, 2, 4, 8, 16, 32].includes(unit);
+
+    // Размер по умолчанию (DEFAULT_TIME_SIGNATURE)
+    if (!isValid) {
+        return { beats: 4, unit: 4 };
+    }
+
+    return { beats, unit };
+}
+
+/**
+ * Запись размера
+ * @param {string|Object} value - Размер
+ * @returns {string} - Размер в виде '3/4'
+ */
+export function formatTimeSignature(value) {
+    const { beats, unit } = parseTimeSignature(value);
+    return `${beats}/${unit}`;
+}
+
+/**
+ * Длительность доли
+ * @param {string|Object} value - Размер
+ * @returns {number} - Длительность доли в долях целой ноты
+ */
+export function getBeatDuration(value) {
+    return 1 / parseTimeSignature(value).unit;
+}
+
+/**
+ * Длительность такта
+ * @param {string|Object} value - Размер
+ * @returns {number} - Длительность такта в долях целой ноты (3/4 - 0.75)
+ */
+export function getBarDuration(value) {
+    const { beats, unit } = parseTimeSignature(value);
+    return beats / unit;
+}
+
+/**
+ * Группы долей такта
+ * @param {string|Object} value - Размер
+ * @returns {Array<number>} - Количество долей в каждой группе
+ */
+export function getBeatGroups(value) {
+    return BEAT_GROUPS[formatTimeSignature(value)] || [parseTimeSignature(value).beats];
+}
+
+/**
+ * Акценты долей такта
+ * @param {string|Object} value - Размер
+ * @returns {Array<number>} - Сила акцента для каждой доли: 2 - сильная доля, 1 - начало группы, 0 - слабая
+ */
+export function getAccentLevels(value) {
+    const levels = [];
+
+    getBeatGroups(value).forEach(size => {
+        for (let beat = 0; beat < size; beat++) {
+            levels.push(beat === 0 ? 1 : 0);
+        }
+    });
+
+    levels[0] = 2;
+    return levels;
+}
+
+/**
+ * Разбиение элементов последовательности на такты
+ * Элемент относится к такту, в котором начинается. Элемент, звучащий через тактовую черту
+ * не от начала такта или не до его конца, отмечается crossesBarLine
+ * @param {Array<Object>} items - Элементы последовательности ({ duration })
+ * @param {string|Object} [timeSignature] - Размер
+ * @returns {Array<Object>} - Такты: { index, start, items: [{ item, index, offset, duration, crossesBarLine }], filled, isComplete }
+ */
+export function groupIntoBars(items, timeSignature = DEFAULT_TIME_SIGNATURE) {
+    const barDuration = getBarDuration(timeSignature);
+    const bars = [];
+    let offset = 0;
+
+    const addBar = () => {
+        bars.push({ index: bars.length, start: bars.length * barDuration, items: [] });
+    };
+
+    (items || []).forEach((item, index) => {
+        const duration = item.duration || 0;
+        const barIndex = Math.floor(offset / barDuration + EPSILON);
+        const barStart = barIndex * barDuration;
+        const end = offset + duration;
+
+        while (bars.length <= barIndex) {
+            addBar();
+        }
+
+        const isAligned = position => Math.abs(position / barDuration - Math.round(position / barDuration)) < EPSILON;
+        const spansBarLine = end > barStart + barDuration + EPSILON;
+
+        bars[barIndex].items.push({
+            item,
+            index,
+            offset: offset - barStart,
+            duration,
+            crossesBarLine: spansBarLine && !(isAligned(offset) && isAligned(end))
+        });
+
+        offset = end;
+    });
+
+    // Такты, целиком занятые длинными элементами
+    const barCount = Math.ceil(offset / barDuration - EPSILON);
+    while (bars.length < barCount) {
+        addBar();
+    }
+
+    bars.forEach(bar => {
+        bar.filled = Math.min(barDuration, Math.max(0, offset - bar.start));
+        bar.isComplete = bar.filled >= barDuration - EPSILON;
+    });
+
+    return bars;
+}
+
+export default {
+    DEFAULT_TIME_SIGNATURE,
+    TIME_SIGNATURES,
+    parseTimeSignature,
+    formatTimeSignature,
+    getBeatDuration,
+    getBarDuration,
+    getBeatGroups,
+    getAccentLevels,
+    groupIntoBars
+};
@@ -0,0 +1,69 @@
+/**
+ * Встроенные ритмические рисунки и рисунок по умолчанию.
+ * Разбор записи и расчет ударов - в rhythmService
+ */
+
+/**
+ * Ритмические рисунки аккомпанемента
+ * Рисунок записывается шагами: один символ - один шаг длительностью step (доля целой ноты).
+ * Несколько слоев (например, бас и аккорды) разделяются точкой с запятой или переводом строки.
+ *
+ * x / X - весь аккорд (X - с акцентом)
+ * c / C - аккорд без баса
+ * b / B - басовая нота
+ * d / D - бой вниз (звуки аккорда снизу вверх с небольшим разносом)
+ * u / U - бой вверх (сверху вниз)
+ * -     - продолжение предыдущего удара
+ * .     - пауза
+ * Пробелы и "|" служат для наглядности и пропускаются
+ * @type {Object<string, Object>}
+ */
+export const RHYTHM_PATTERNS = {
+    sustain: {
+        name: 'Выдержанный аккорд',
+        notation: null
+    },
+    pop: {
+        name: 'Поп (восьмые)',
+        notation: 'XxXxXxXx',
+        step: 1 / 8,
+        gate: 0.5
+    },
+    waltz: {
+        name: 'Вальс (бас-аккорд-аккорд)',
+        notation: 'Bcc',
+        step: 1 / 4,
+        gate: 0.8
+    },
+    bossa: {
+        name: 'Босса-нова',
+        notation: 'B-----b-B-----b-; c..c..c...c.c...',
+        step: 1 / 16,
+        gate: 0.9
+    },
+    charleston: {
+        name: 'Чарльстон',
+        notation: 'X--x....',
+        step: 1 / 8,
+        gate: 0.9,
+        swing: 0.5
+    },
+    reggae: {
+        name: 'Регги (офбит)',
+        notation: '.X.x.X.x',
+        step: 1 / 8,
+        gate: 0.4
+    },
+    strum: {
+        name: 'Гитарный бой (вниз-вверх)',
+        notation: 'D.du.uDu',
+        step: 1 / 8,
+        gate: 1
+    }
+};
+
+/**
+ * Ритмический рисунок по умолчанию
+ * @type {string}
+ */
+export const DEFAULT_RHYTHM_PATTERN = 'sustain';
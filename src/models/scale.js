@@ -0,0 +1,281 @@
+/**
+ * Движок звукорядов: разбор названий нот и построение гамм по интервалам
+ * с правильной энгармонической записью (E#, Cb, дубль-диезы и дубль-бемоли)
+ */
+
+/**
+ * Буквенные названия ступеней в порядке звукоряда
+ * @type {Array<string>}
+ */
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+/**
+ * Высота натуральных нот в полутонах от C
+ * @type {Object<string, number>}
+ */
+export const LETTER_PITCHES = {
+    'C': 0,
+    'D': 2,
+    'E': 4,
+    'F': 5,
+    'G': 7,
+    'A': 9,
+    'B': 11
+};
+
+/**
+ * Интервальные структуры гамм (полутоны от тоники для каждой из 7 ступеней)
+ * @type {Object<string, Array<number>>}
+ */
+export const SCALE_PATTERNS = {
+    major: [0, 2, 4, 5, 7, 9, 11],         // Натуральный мажор (ионийский)
+    minor: [0, 2, 3, 5, 7, 8, 10],         // Натуральный минор (эолийский)
+    dorian: [0, 2, 3, 5, 7, 9, 10],        // Дорийский
+    phrygian: [0, 1, 3, 5, 7, 8, 10],      // Фригийский
+    lydian: [0, 2, 4, 6, 7, 9, 11],        // Лидийский
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],    // Миксолидийский
+    locrian: [0, 1, 3, 5, 6, 8, 10],       // Локрийский
+    harmonicMinor: [0, 2, 3, 5, 7, 8, 11], // Гармонический минор
+    melodicMinor: [0, 2, 3, 5, 7, 9, 11]   // Мелодический минор
+};
+
+/**
+ * Приведение числа к диапазону 0-11
+ * @param {number} value - Значение в полутонах
+ * @returns {number} - Высотный класс
+ */
+export function mod12(value) {
+    return ((value % 12) + 12) % 12;
+}
+
+/**
+ * Разбор названия ноты
+ * @param {string} name - Название ноты (C, F#, Bb, Fx, Ebb, C##)
+ * @returns {Object|null} - { letter, alter, pitchClass } или null, если название некорректно
+ */
+export function parseNote(name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+
+    const match = name.trim().match(/^([A-Ga-g])(#{1,2}|x|b{1,2})?$/);
+    if (!match) {
+        return null;
+    }
+
+    const letter = match[1].toUpperCase();
+    const accidental = match[2] || '';
+    let alter = 0;
+
+    if (accidental === 'x') {
+        alter = 2;
+    } else if (accidental.startsWith('#')) {
+        alter = accidental.length;
+    } else if (accidental.startsWith('b')) {
+        alter = -accidental.length;
+    }
+
+    return {
+        letter,
+        alter,
+        pitchClass: mod12(LETTER_PITCHES[letter] + alter)
+    };
+}
+
+/**
+ * Запись ноты по букве и знаку альтерации
+ * @param {string} letter - Буква ноты (C-B)
+ * @param {number} alter - Альтерация в полутонах (-2..2)
+ * @returns {string} - Название ноты (например, "F#", "Bbb", "Fx")
+ */
+export function formatNote(letter, alter) {
+    const accidentals = {
+        '-2': 'bb',
+        '-1': 'b',
+        '0': '',
+        '1': '#',
+        '2': 'x'
+    };
+
+    return `${letter}${accidentals[alter] !== undefined ? accidentals[alter] : ''}`;
+}
+
+/**
+ * Получение высотного класса ноты
+ * @param {string} name - Название ноты
+ * @returns {number} - Высотный класс (0-11) или -1, если нота не распознана
+ */
+export function noteToPitchClass(name) {
+    const parsed = parseNote(name);
+    return parsed ? parsed.pitchClass : -1;
+}
+
+/**
+ * Запись ноты с заданной буквой и высотой
+ * @param {string} letter - Буква, которой нужно записать ноту
+ * @param {number} pitchClass - Требуемый высотный класс
+ * @returns {string|null} - Название ноты или null, если требуется больше двух знаков альтерации
+ */
+export function spellPitchWithLetter(letter, pitchClass) {
+    // Альтерация в диапазоне -6..5, затем приводим к ближайшему значению
+    let alter = mod12(pitchClass - LETTER_PITCHES[letter]);
+    if (alter > 6) {
+        alter -= 12;
+    }
+
+    if (Math.abs(alter) > 2) {
+        return null;
+    }
+
+    return formatNote(letter, alter);
+}
+
+/**
+ * Запись высотного класса без учета буквы (для хроматических нот вне гаммы)
+ * @param {number} pitchClass - Высотный класс
+ * @param {boolean} [preferFlats=false] - Использовать бемоли вместо диезов
+ * @returns {string} - Название ноты (например, "F#" или "Gb")
+ */
+export function spellPitchClass(pitchClass, preferFlats = false) {
+    const sharpNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const flatNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+    return (preferFlats ? flatNames : sharpNames)[mod12(pitchClass)];
+}
+
+/**
+ * Транспонирование ноты на интервал с учетом буквенной записи
+ * @param {string} note - Исходная нота
+ * @param {number} semitones - Интервал в полутонах
+ * @param {number} steps - Интервал в ступенях (0 - прима, 2 - терция, 4 - квинта и т.д.)
+ * @returns {string|null} - Название ноты или null при ошибке
+ */
+export function transposeNote(note, semitones, steps) {
+    const parsed = parseNote(note);
+    if (!parsed) {
+        return null;
+    }
+
+    const letterIndex = LETTERS.indexOf(parsed.letter);
+    const targetLetter = LETTERS[(((letterIndex + steps) % 7) + 7) % 7];
+
+    return spellPitchWithLetter(targetLetter, parsed.pitchClass + semitones);
+}
+
+/**
+ * Построение семиступенной гаммы по интервальной структуре
+ * Каждая ступень получает собственную букву, поэтому запись всегда корректна
+ * (например, F# мажор содержит E#, а Cb мажор - Fb)
+ * @param {string} rootNote - Тоника гаммы
+ * @param {Array<number>} pattern - Интервалы ступеней от тоники в полутонах
+ * @returns {Array<string>} - Ноты гаммы или пустой массив, если тоника некорректна
+ */
+export function spellScale(rootNote, pattern) {
+    const root = parseNote(rootNote);
+    if (!root || !Array.isArray(pattern)) {
+        return [];
+    }
+
+    const rootLetterIndex = LETTERS.indexOf(root.letter);
+
+    const notes = pattern.map((interval, degree) => {
+        const letter = LETTERS[(rootLetterIndex + degree) % 7];
+        return spellPitchWithLetter(letter, root.pitchClass + interval);
+    });
+
+    // Гамма, требующая тройных знаков, не имеет корректной записи
+    return notes.includes(null) ? [] : notes;
+}
+
+/**
+ * Построение гаммы по названию структуры
+ * @param {string} rootNote - Тоника гаммы
+ * @param {string} scaleName - Название структуры из SCALE_PATTERNS
+ * @returns {Array<string>} - Ноты гаммы или пустой массив
+ */
+export function getScaleNotes(rootNote, scaleName) {
+    return spellScale(rootNote, SCALE_PATTERNS[scaleName]);
+}
+
+/**
+ * Получение номера MIDI-ноты (C4 = 60)
+ * @param {string} name - Название ноты
+ * @param {number} [octave=4] - Октава в научной нотации
+ * @returns {number} - Номер MIDI-ноты или -1, если нота не распознана
+ */
+export function noteToMidi(name, octave = 4) {
+    const parsed = parseNote(name);
+    if (!parsed) {
+        return -1;
+    }
+
+    return (octave + 1) * 12 + LETTER_PITCHES[parsed.letter] + parsed.alter;
+}
+
+/**
+ * Запись ноты с октавой для заданной MIDI-высоты с сохранением написания
+ * (октава определяется по букве, поэтому MIDI 60 как B# записывается "B#3", а MIDI 59 как Cb - "Cb4")
+ * @param {string} name - Название ноты без октавы
+ * @param {number} midi - Номер MIDI-ноты
+ * @returns {string} - Нота с октавой (например, "F#4")
+ */
+export function formatNoteWithOctave(name, midi) {
+    const parsed = parseNote(name);
+    if (!parsed) {
+        return `${name}${Math.floor(midi / 12) - 1}`;
+    }
+
+    const octave = Math.floor((midi - LETTER_PITCHES[parsed.letter] - parsed.alter) / 12) - 1;
+    return `${formatNote(parsed.letter, parsed.alter)}${octave}`;
+}
+
+/**
+ * Расположение нот снизу вверх: первая нота берется в заданной октаве,
+ * каждая следующая - ближайшая нота выше предыдущей
+ * @param {Array<string>} notes - Ноты без октав (первая будет нижней)
+ * @param {number} [octave=4] - Октава нижней ноты
+ * @returns {Array<number>} - Номера MIDI-нот по возрастанию
+ */
+export function stackNotes(notes, octave = 4) {
+    const result = [];
+
+    notes.forEach(note => {
+        const pitchClass = noteToPitchClass(note);
+        if (pitchClass === -1) {
+            return;
+        }
+
+        if (result.length === 0) {
+            result.push(noteToMidi(note, octave));
+            return;
+        }
+
+        const previous = result[result.length - 1];
+        let midi = previous + mod12(pitchClass - previous);
+        if (midi === previous) {
+            midi += 12;
+        }
+
+        result.push(midi);
+    });
+
+    return result;
+}
+
+export default {
+    LETTERS,
+    LETTER_PITCHES,
+    SCALE_PATTERNS,
+    mod12,
+    parseNote,
+    formatNote,
+    noteToPitchClass,
+    spellPitchWithLetter,
+    spellPitchClass,
+    transposeNote,
+    spellScale,
+    getScaleNotes,
+    noteToMidi,
+    formatNoteWithOctave,
+    stackNotes
+};
@@ -1,5 +1,9 @@
 import { Chord } from './chord.js';
-import { Tonality } from './tonality.js';
+import { Tonality, tonalityCollection } from './tonality.js';
+import { mod12, noteToPitchClass } from './scale.js';
+import { DEFAULT_TIME_SIGNATURE, formatTimeSignature, getBarDuration, groupIntoBars } from './meter.js';
+import { VOICING_STYLES, DEFAULT_VOICING_STYLE } from './voicing.js';
+import { DEFAULT_RHYTHM_PATTERN } from './rhythm.js';
 
 /**
  * Класс, представляющий элемент последовательности
@@ -9,13 +13,15 @@ export class SequenceItem {
     /**
      * @param {Object} options - Опции элемента последовательности
      * @param {Chord|null} options.chord - Аккорд или null для паузы
-     * @param {number} options.duration - Длительность в долях такта (1 = целая нота)
+     * @param {number} options.duration - Длительность в долях целой ноты (1 = целая нота, 0.25 = четверть)
      * @param {boolean} options.isPause - Является ли элемент паузой
+     * @param {string|null} [options.voicingStyle] - Стиль расположения аккорда (null - как в блоке)
      */
     constructor(options = {}) {
         this.chord = options.chord || null;
         this.duration = options.duration || 1;
         this.isPause = options.isPause || false;
+        this.voicingStyle = options.voicingStyle || null;
     }
 
     /**
@@ -28,14 +34,30 @@ export class SequenceItem {
 
     /**
      * Получение длительности в миллисекундах на основе темпа
-     * @param {number} tempo - Темп в ударах в минуту (BPM)
+     * Темп задается в четвертях в минуту при любом размере (как Tone.Transport.bpm),
+     * поэтому длительность от размера не зависит
+     * @param {number} tempo - Темп в четвертях в минуту (BPM)
      * @returns {number} - Длительность в миллисекундах
      */
     getDurationMs(tempo) {
-        // Предполагаем, что один "удар" - это четвертная нота
         // Целая нота = 4 четвертных
-        const beatDurationMs = 60000 / tempo; // длительность одного удара в мс
-        return beatDurationMs * 4 * this.duration; // умножаем на 4 для целой ноты
+        const quarterDurationMs = 60000 / tempo;
+        return quarterDurationMs * 4 * this.duration;
+    }
+
+    /**
+     * Транспонирование элемента
+     * @param {number} semitones - Интервал в полутонах
+     * @param {Tonality|null} [tonality] - Целевая тональность
+     * @returns {SequenceItem} - Новый элемент (пауза копируется без изменений)
+     */
+    transpose(semitones, tonality = null) {
+        return new SequenceItem({
+            chord: this.chord ? this.chord.transpose(semitones, tonality) : null,
+            duration: this.duration,
+            isPause: this.isPause,
+            voicingStyle: this.voicingStyle
+        });
     }
 
     /**
@@ -46,7 +68,8 @@ export class SequenceItem {
         return {
             chord: this.chord ? this.chord.toJSON() : null,
             duration: this.duration,
-            isPause: this.isPause
+            isPause: this.isPause,
+            voicingStyle: this.voicingStyle
         };
     }
 
@@ -59,7 +82,8 @@ export class SequenceItem {
         return new SequenceItem({
             chord: obj.chord ? Chord.fromJSON(obj.chord) : null,
             duration: obj.duration,
-            isPause: obj.isPause
+            isPause: obj.isPause,
+            voicingStyle: obj.voicingStyle
         });
     }
 }
@@ -171,21 +195,58 @@ export class ChordSequence {
 
     /**
      * Получение общей длительности последовательности
-     * @returns {number} - Общая длительность в долях такта
+     * @returns {number} - Общая длительность в долях целой ноты
      */
     getTotalDuration() {
         return this.items.reduce((total, item) => total + item.duration, 0);
     }
 
+    /**
+     * Разбиение последовательности на такты
+     * @param {string} [timeSignature='4/4'] - Размер
+     * @returns {Array<Object>} - Такты: { index, start, items, filled, isComplete } (см. groupIntoBars)
+     */
+    getBars(timeSignature = DEFAULT_TIME_SIGNATURE) {
+        return groupIntoBars(this.items, timeSignature);
+    }
+
+    /**
+     * Количество тактов последовательности
+     * @param {string} [timeSignature='4/4'] - Размер
+     * @returns {number} - Количество тактов (последний такт может быть неполным)
+     */
+    getBarCount(timeSignature = DEFAULT_TIME_SIGNATURE) {
+        return this.getTotalDuration() / getBarDuration(timeSignature);
+    }
+
+    /**
+     * Проверка заполненности последнего такта
+     * @param {string} [timeSignature='4/4'] - Размер
+     * @returns {boolean} - true, если последовательность занимает целое число тактов
+     */
+    hasCompleteBars(timeSignature = DEFAULT_TIME_SIGNATURE) {
+        return this.getBars(timeSignature).every(bar => bar.isComplete);
+    }
+
     /**
      * Получение общей длительности в миллисекундах
-     * @param {number} tempo - Темп в ударах в минуту (BPM)
+     * @param {number} tempo - Темп в четвертях в минуту (BPM)
      * @returns {number} - Общая длительность в миллисекундах
      */
     getTotalDurationMs(tempo) {
         return this.items.reduce((total, item) => total + item.getDurationMs(tempo), 0);
     }
 
+    /**
+     * Транспонирование последовательности
+     * @param {number} semitones - Интервал в полутонах
+     * @param {Tonality|null} [tonality] - Целевая тональность
+     * @returns {ChordSequence} - Новая транспонированная последовательность
+     */
+    transpose(semitones, tonality = null) {
+        return new ChordSequence(this.items.map(item => item.transpose(semitones, tonality)));
+    }
+
     /**
      * Создание объекта для сериализации
      * @returns {Object} - Объект для JSON-сериализации
@@ -217,12 +278,18 @@ export class TrackBlock {
      * @param {string} options.name - Название блока (необязательно)
      * @param {Tonality} options.tonality - Тональность блока
      * @param {ChordSequence} options.sequence - Последовательность аккордов
+     * @param {string} [options.voicingStyle] - Стиль расположения аккордов блока
+     * @param {string} [options.timeSignature='4/4'] - Размер блока (3/4, 6/8, 7/8...)
+     * @param {string} [options.rhythmPattern='sustain'] - Ритмический рисунок аккомпанемента блока
      */
     constructor(options = {}) {
         this.id = options.id || `Block_${Date.now()}`;
         this.name = options.name || this.id;
-        this.tonality = options.tonality || new Tonality('C', 'dur');
+        this.tonality = options.tonality || tonalityCollection.findTonality('C', 'major');
         this.sequence = options.sequence || new ChordSequence();
+        this.voicingStyle = options.voicingStyle || DEFAULT_VOICING_STYLE;
+        this.timeSignature = formatTimeSignature(options.timeSignature || DEFAULT_TIME_SIGNATURE);
+        this.rhythmPattern = options.rhythmPattern || DEFAULT_RHYTHM_PATTERN;
     }
 
     /**
@@ -281,6 +348,95 @@ export class TrackBlock {
         this.sequence = sequence;
     }
 
+    /**
+     * Получение стиля расположения аккордов блока
+     * @returns {string} - Стиль расположения
+     */
+    getVoicingStyle() {
+        return this.voicingStyle;
+    }
+
+    /**
+     * Установка стиля расположения аккордов блока
+     * @param {string} voicingStyle - Стиль расположения (close, open, drop2, drop3, shell, rootless)
+     */
+    setVoicingStyle(voicingStyle) {
+        this.voicingStyle = voicingStyle in VOICING_STYLES ? voicingStyle : DEFAULT_VOICING_STYLE;
+    }
+
+    /**
+     * Получение размера блока
+     * @returns {string} - Размер ('3/4')
+     */
+    getTimeSignature() {
+        return this.timeSignature;
+    }
+
+    /**
+     * Установка размера блока
+     * @param {string} timeSignature - Размер ('3/4', '6/8'); некорректное значение заменяется на 4/4
+     */
+    setTimeSignature(timeSignature) {
+        this.timeSignature = formatTimeSignature(timeSignature);
+    }
+
+    /**
+     * Получение ритмического рисунка блока
+     * @returns {string} - ID рисунка
+     */
+    getRhythmPattern() {
+        return this.rhythmPattern;
+    }
+
+    /**
+     * Установка ритмического рисунка блока
+     * @param {string} rhythmPattern - ID рисунка (встроенного или пользовательского)
+     */
+    setRhythmPattern(rhythmPattern) {
+        this.rhythmPattern = rhythmPattern || DEFAULT_RHYTHM_PATTERN;
+    }
+
+    /**
+     * Разбиение последовательности блока на такты в размере блока
+     * @returns {Array<Object>} - Такты (см. ChordSequence.getBars)
+     */
+    getBars() {
+        return this.sequence.getBars(this.timeSignature);
+    }
+
+    /**
+     * Транспонирование блока в новую тональность
+     * Аккорды сдвигаются на интервал между тониками и записываются по новой тональности
+     * @param {Tonality} tonality - Целевая тональность
+     * @returns {TrackBlock} - this для цепочки вызовов
+     */
+    transposeTo(tonality) {
+        const from = noteToPitchClass(this.tonality.getRootNote());
+        const to = noteToPitchClass(tonality.getRootNote());
+        
+        if (from !== -1 && to !== -1) {
+            this.sequence = this.sequence.transpose(mod12(to - from), tonality);
+        }
+        
+        this.tonality = tonality;
+        return this;
+    }
+
+    /**
+     * Транспонирование блока на интервал (тональность сдвигается вместе с аккордами)
+     * @param {number} semitones - Интервал в полутонах (может быть отрицательным)
+     * @returns {TrackBlock} - this для цепочки вызовов
+     */
+    transpose(semitones) {
+        const tonality = this.tonality.transpose(semitones);
+        
+        if (tonality) {
+            this.transposeTo(tonality);
+        }
+        
+        return this;
+    }
+
     /**
      * Дублирование блока с новым ID
      * @param {string} [newId] - Новый ID для дубликата
@@ -290,8 +446,11 @@ export class TrackBlock {
         const newBlock = new TrackBlock({
             id: newId || `${this.id}_copy`,
             name: `${this.name} (copy)`,
-            tonality: new Tonality(this.tonality.note, this.tonality.type),
-            sequence: new ChordSequence(this.sequence.getItems())
+            tonality: this.tonality,
+            sequence: new ChordSequence(this.sequence.getItems()),
+            voicingStyle: this.voicingStyle,
+            timeSignature: this.timeSignature,
+            rhythmPattern: this.rhythmPattern
         });
         return newBlock;
     }
@@ -313,7 +472,10 @@ export class TrackBlock {
             id: this.id,
             name: this.name,
             tonality: this.tonality.toJSON(),
-            sequence: this.sequence.toJSON()
+            sequence: this.sequence.toJSON(),
+            voicingStyle: this.voicingStyle,
+            timeSignature: this.timeSignature,
+            rhythmPattern: this.rhythmPattern
         };
     }
 
@@ -327,7 +489,10 @@ export class TrackBlock {
             id: obj.id,
             name: obj.name,
             tonality: Tonality.fromJSON(obj.tonality),
-            sequence: ChordSequence.fromJSON(obj.sequence)
+            sequence: ChordSequence.fromJSON(obj.sequence),
+            voicingStyle: obj.voicingStyle,
+            timeSignature: obj.timeSignature,
+            rhythmPattern: obj.rhythmPattern
         });
     }
 }
@@ -339,10 +504,157 @@ export class TrackStructure {
     /**
      * @param {Array<TrackBlock>} blocks - Массив блоков трека
      * @param {string} [currentBlockId] - ID текущего активного блока
+     * @param {Array<string>} [arrangement] - Порядок блоков в песне (ID блоков, могут повторяться)
      */
-    constructor(blocks = [], currentBlockId = null) {
+    constructor(blocks = [], currentBlockId = null, arrangement = []) {
         this.blocks = blocks;
         this.currentBlockId = currentBlockId || (blocks.length > 0 ? blocks[0].id : null);
+        this.arrangement = arrangement || [];
+    }
+
+    /**
+     * Порядок воспроизведения блоков песни
+     * Ссылки на несуществующие блоки пропускаются. Пустая аранжировка означает
+     * все блоки по одному разу в порядке трека
+     * @param {Array<string>} blockIds - ID блоков трека в порядке трека
+     * @param {Array<string>} [arrangement] - Аранжировка (ID блоков, могут повторяться)
+     * @returns {Array<string>} - ID блоков в порядке воспроизведения
+     */
+    static resolveArrangement(blockIds, arrangement = []) {
+        const valid = (arrangement || []).filter(blockId => blockIds.includes(blockId));
+        return valid.length > 0 ? valid : [...blockIds];
+    }
+
+    /**
+     * Элементы последовательности блока
+     * Блоки хранилища содержат массив элементов, экземпляры TrackBlock - ChordSequence
+     * @param {TrackBlock|Object} block - Блок
+     * @returns {Array<Object>} - Элементы последовательности
+     */
+    static getBlockItems(block) {
+        if (!block || !block.sequence) {
+            return [];
+        }
+        
+        return Array.isArray(block.sequence) ? block.sequence : block.sequence.getItems();
+    }
+
+    /**
+     * Длина блока в тактах его размера
+     * @param {TrackBlock|Object} block - Блок
+     * @returns {number} - Количество тактов (может быть дробным при неполном последнем такте)
+     */
+    static getBlockBars(block) {
+        const duration = TrackStructure.getBlockItems(block).reduce((total, item) => total + (item.duration || 0), 0);
+        return duration / getBarDuration(TrackStructure.getBlockTimeSignature(block));
+    }
+
+    /**
+     * Размер блока
+     * @param {TrackBlock|Object} block - Блок
+     * @returns {string} - Размер ('3/4'); для блоков без размера - 4/4
+     */
+    static getBlockTimeSignature(block) {
+        return formatTimeSignature((block && block.timeSignature) || DEFAULT_TIME_SIGNATURE);
+    }
+
+    /**
+     * Части песни в порядке аранжировки
+     * @param {Object<string, Object>} blocks - Блоки по ID (в порядке трека)
+     * @param {Array<string>} [arrangement] - Аранжировка
+     * @returns {Array<Object>} - Части: { blockId, block, sequence, tonality, voicingStyle, timeSignature, rhythmPattern }
+     */
+    static getSections(blocks, arrangement = []) {
+        return TrackStructure.resolveArrangement(Object.keys(blocks || {}), arrangement).map(blockId => {
+            const block = blocks[blockId];
+            
+            return {
+                blockId,
+                block,
+                sequence: TrackStructure.getBlockItems(block),
+                tonality: block.tonality,
+                voicingStyle: block.voicingStyle,
+                timeSignature: TrackStructure.getBlockTimeSignature(block),
+                rhythmPattern: block.rhythmPattern || DEFAULT_RHYTHM_PATTERN
+            };
+        });
+    }
+
+    /**
+     * Получение аранжировки песни
+     * @returns {Array<string>} - ID блоков в порядке воспроизведения
+     */
+    getArrangement() {
+        return TrackStructure.resolveArrangement(this.blocks.map(block => block.id), this.arrangement);
+    }
+
+    /**
+     * Установка аранжировки песни
+     * @param {Array<string>} arrangement - ID блоков в порядке воспроизведения
+     * @returns {TrackStructure} - this для цепочки вызовов
+     */
+    setArrangement(arrangement) {
+        this.arrangement = (arrangement || []).filter(blockId => this.getBlockById(blockId));
+        return this;
+    }
+
+    /**
+     * Добавление блока в аранжировку
+     * Аранжировка по умолчанию перед изменением превращается в явный список
+     * @param {string} blockId - ID блока
+     * @param {number} [index] - Позиция (по умолчанию - в конец)
+     * @returns {boolean} - true, если блок был добавлен
+     */
+    insertArrangementItem(blockId, index = null) {
+        if (!this.getBlockById(blockId)) {
+            return false;
+        }
+        
+        this.arrangement = this.getArrangement();
+        
+        const position = index === null ? this.arrangement.length : Math.max(0, Math.min(index, this.arrangement.length));
+        this.arrangement.splice(position, 0, blockId);
+        return true;
+    }
+
+    /**
+     * Удаление позиции из аранжировки
+     * @param {number} index - Позиция
+     * @returns {string|null} - ID убранного блока или null
+     */
+    removeArrangementItem(index) {
+        const arrangement = this.getArrangement();
+        if (index < 0 || index >= arrangement.length) {
+            return null;
+        }
+        
+        const removed = arrangement.splice(index, 1)[0];
+        this.arrangement = arrangement;
+        return removed;
+    }
+
+    /**
+     * Перемещение позиции аранжировки
+     * @param {number} index - Текущая позиция
+     * @param {number} newIndex - Новая позиция
+     * @returns {boolean} - true, если позиция была перемещена
+     */
+    moveArrangementItem(index, newIndex) {
+        const arrangement = this.getArrangement();
+        if (
+            index < 0 ||
+            index >= arrangement.length ||
+            newIndex < 0 ||
+            newIndex >= arrangement.length ||
+            index === newIndex
+        ) {
+            return false;
+        }
+        
+        const blockId = arrangement.splice(index, 1)[0];
+        arrangement.splice(newIndex, 0, blockId);
+        this.arrangement = arrangement;
+        return true;
     }
 
     /**
@@ -399,6 +711,9 @@ export class TrackStructure {
         
         const removedBlock = this.blocks.splice(index, 1)[0];
         
+        // Удаляем блок из аранжировки
+        this.arrangement = this.arrangement.filter(id => id !== blockId);
+        
         // Если удаляем текущий блок, выбираем другой
         if (this.currentBlockId === blockId) {
             this.currentBlockId = this.blocks.length > 0 ? this.blocks[0].id : null;
@@ -497,6 +812,20 @@ export class TrackStructure {
         return true;
     }
 
+    /**
+     * Транспонирование блоков трека на интервал
+     * @param {number} semitones - Интервал в полутонах (может быть отрицательным)
+     * @param {Array<string>} [blockIds] - ID блоков (по умолчанию - все блоки)
+     * @returns {TrackStructure} - this для цепочки вызовов
+     */
+    transpose(semitones, blockIds = null) {
+        this.blocks
+            .filter(block => !blockIds || blockIds.includes(block.id))
+            .forEach(block => block.transpose(semitones));
+        
+        return this;
+    }
+
     /**
      * Получение общего количества блоков
      * @returns {number} - Количество блоков
@@ -512,7 +841,8 @@ export class TrackStructure {
     toJSON() {
         return {
             blocks: this.blocks.map(block => block.toJSON()),
-            currentBlockId: this.currentBlockId
+            currentBlockId: this.currentBlockId,
+            arrangement: [...this.arrangement]
         };
     }
 
@@ -523,7 +853,7 @@ export class TrackStructure {
      */
     static fromJSON(obj) {
         const blocks = obj.blocks.map(blockData => TrackBlock.fromJSON(blockData));
-        return new TrackStructure(blocks, obj.currentBlockId);
+        return new TrackStructure(blocks, obj.currentBlockId, obj.arrangement || []);
     }
 }
 
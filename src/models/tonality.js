@@ -4,8 +4,138 @@
  * Provides classes for tonality representation and management
  */
 
-import { eventBus } from '../core/eventBus.js';
-import { chordCollection } from './chord.js';
+import eventBus from '../core/eventBus.js';
+import { getScaleNotes, mod12, noteToPitchClass, SCALE_PATTERNS } from './scale.js';
+
+/**
+ * Chord types by the intervals of their stacked thirds above the root
+ * ("third,fifth" for triads, "third,fifth,seventh" for seventh chords)
+ */
+const TRIAD_TYPES = {
+  '4,7': 'maj',
+  '3,7': 'min',
+  '3,6': 'dim',
+  '4,8': 'aug'
+};
+
+const SEVENTH_TYPES = {
+  '4,7,11': 'maj7',
+  '4,7,10': '7',
+  '3,7,10': 'min7',
+  '3,7,11': 'mMaj7',
+  '3,6,10': 'm7b5',
+  '3,6,9': 'dim7',
+  '4,8,11': 'augMaj7'
+};
+
+/**
+ * Chord name suffixes for the chord types used in tonality chord sets
+ */
+const CHORD_SUFFIXES = {
+  'maj': '',
+  'min': 'm',
+  'dim': 'dim',
+  'aug': 'aug',
+  'maj7': 'maj7',
+  'min7': 'm7',
+  '7': '7',
+  'm7b5': 'm7b5',
+  'mMaj7': 'mMaj7',
+  'dim7': 'dim7',
+  'augMaj7': 'maj7#5'
+};
+
+/**
+ * Additional scales of minor tonalities, shown as chord variants
+ */
+const MINOR_VARIANTS = {
+  harmonic: 'harmonicMinor',
+  melodic: 'melodicMinor'
+};
+
+/**
+ * Supported tonality types.
+ * majorDegree - index of the mode's tonic within its relative major scale
+ * suffix - appended to the root note to build the tonality code
+ * functions - T/S/D function of each scale degree
+ */
+const TONALITY_TYPES = {
+  major: {
+    name: 'мажор',
+    suffix: '',
+    majorDegree: 0,
+    functions: ['T', 'S', 'T', 'S', 'D', 'T', 'D']
+  },
+  minor: {
+    name: 'минор',
+    suffix: 'm',
+    majorDegree: 5,
+    functions: ['T', 'S', 'T', 'S', 'D', 'S', 'D']
+  },
+  dorian: {
+    name: 'дорийский',
+    suffix: ' dorian',
+    majorDegree: 1,
+    functions: ['T', 'S', 'T', 'S', 'D', 'S', 'D']
+  },
+  phrygian: {
+    name: 'фригийский',
+    suffix: ' phrygian',
+    majorDegree: 2,
+    functions: ['T', 'D', 'T', 'S', 'D', 'S', 'S']
+  },
+  lydian: {
+    name: 'лидийский',
+    suffix: ' lydian',
+    majorDegree: 3,
+    functions: ['T', 'S', 'T', 'D', 'D', 'T', 'D']
+  },
+  mixolydian: {
+    name: 'миксолидийский',
+    suffix: ' mixolydian',
+    majorDegree: 4,
+    functions: ['T', 'S', 'D', 'S', 'D', 'T', 'D']
+  },
+  locrian: {
+    name: 'локрийский',
+    suffix: ' locrian',
+    majorDegree: 6,
+    functions: ['T', 'S', 'T', 'S', 'S', 'S', 'D']
+  }
+};
+
+/**
+ * Legacy type names used by the UI and saved projects
+ */
+const TYPE_ALIASES = {
+  'dur': 'major',
+  'moll': 'minor'
+};
+
+/**
+ * Russian note names used to build tonality names
+ */
+const NOTE_NAMES = {
+  'C': 'До', 'D': 'Ре', 'E': 'Ми', 'F': 'Фа', 'G': 'Соль', 'A': 'Ля', 'B': 'Си'
+};
+
+const ACCIDENTAL_NAMES = {
+  '#': '-диез', 'x': '-дубль-диез', 'b': '-бемоль', 'bb': '-дубль-бемоль'
+};
+
+/**
+ * Build diatonic chord types by stacking thirds on every degree of a scale
+ * @param {Array} pattern - Scale intervals in semitones
+ * @returns {Array} Array of { type, seventhType } for each degree
+ */
+const getDiatonicTypes = pattern => pattern.map((interval, index) => {
+  const above = step => (pattern[(index + step) % 7] - interval + 12) % 12;
+  
+  return {
+    type: TRIAD_TYPES[`${above(2)},${above(4)}`] || null,
+    seventhType: SEVENTH_TYPES[`${above(2)},${above(4)},${above(6)}`] || null
+  };
+});
 
 /**
  * Class representing a musical tonality
@@ -13,18 +143,18 @@ import { chordCollection } from './chord.js';
 class Tonality {
   /**
    * Create a new Tonality
-   * @param {string} code - Tonality code (e.g., "C", "Am")
+   * @param {string} code - Tonality code (e.g., "C", "Am", "D dorian")
    * @param {string} name - Full name (e.g., "До мажор", "Ля минор")
-   * @param {string} type - Tonality type ("major" or "minor")
+   * @param {string} type - Tonality type ("major", "minor" or a mode name)
    * @param {string} signature - Key signature (e.g., "0", "1#", "2b")
    * @param {Object} chords - Available chords in this tonality
    * @param {Array} chords.basic - Basic triads
    * @param {Array} chords.seventh - Seventh chords
    */
   constructor(code, name, type, signature, chords) {
-    this.code = code;             // Code (C, G, Am, etc.)
+    this.code = code;             // Code (C, G, Am, D dorian, etc.)
     this.name = name;             // Full name (До мажор, Ля минор)
-    this.type = type;             // Type (major/minor)
+    this.type = type;             // Type (major/minor/dorian/...)
     this.signature = signature;   // Key signature (0, 1#, 2b, etc.)
     this.chords = chords || {     // Chords in this tonality
       basic: [],                  // Basic triads
@@ -35,12 +165,105 @@ class Tonality {
     this._circlePosition = null;
   }
   
+  /**
+   * Get the list of supported tonality types
+   * @returns {Array} Array of type names
+   */
+  static getTypes() {
+    return Object.keys(TONALITY_TYPES);
+  }
+  
+  /**
+   * Normalize a tonality type, resolving legacy aliases ("dur", "moll")
+   * @param {string} type - Tonality type
+   * @returns {string|null} Canonical type or null if unknown
+   */
+  static normalizeType(type) {
+    const normalized = TYPE_ALIASES[type] || type;
+    return TONALITY_TYPES[normalized] ? normalized : null;
+  }
+  
+  /**
+   * Build a tonality code from root note and type
+   * @param {string} rootNote - Root note
+   * @param {string} type - Tonality type
+   * @returns {string|null} Tonality code or null if type is unknown
+   */
+  static buildCode(rootNote, type) {
+    const normalized = Tonality.normalizeType(type);
+    return normalized ? `${rootNote}${TONALITY_TYPES[normalized].suffix}` : null;
+  }
+  
+  /**
+   * Build a localized tonality name from root note and type
+   * @param {string} rootNote - Root note
+   * @param {string} type - Tonality type
+   * @returns {string} Localized name (e.g., "Фа-диез минор")
+   */
+  static buildName(rootNote, type) {
+    const normalized = Tonality.normalizeType(type);
+    const letterName = NOTE_NAMES[rootNote.charAt(0)] || rootNote;
+    const accidentalName = ACCIDENTAL_NAMES[rootNote.slice(1)] || '';
+    const typeName = normalized ? TONALITY_TYPES[normalized].name : type;
+    
+    return `${letterName}${accidentalName} ${typeName}`;
+  }
+  
+  /**
+   * Restore a tonality from serialized data
+   * Accepts { code }, legacy { note, type } objects or a Tonality instance
+   * @param {Object} obj - Serialized tonality
+   * @returns {Tonality|null} Tonality from the collection or null if not found
+   */
+  static fromJSON(obj) {
+    if (!obj) return null;
+    if (obj instanceof Tonality) return obj;
+    
+    tonalityCollection.initializeIfEmpty();
+    
+    if (obj.code && tonalityCollection.hasTonality(obj.code)) {
+      return tonalityCollection.getTonality(obj.code);
+    }
+    
+    return tonalityCollection.findTonality(obj.note, obj.type);
+  }
+  
+  /**
+   * Get the definition of this tonality type
+   * @returns {Object|null} Type definition or null for unknown types
+   * @private
+   */
+  _getTypeDefinition() {
+    const type = Tonality.normalizeType(this.type);
+    return type ? TONALITY_TYPES[type] : null;
+  }
+  
   /**
    * Get the root note of the tonality
    * @returns {string} Root note
    */
   getRootNote() {
-    return this.isMinor() ? this.code.slice(0, -1) : this.code;
+    const definition = this._getTypeDefinition();
+    if (definition && definition.suffix && this.code.endsWith(definition.suffix)) {
+      return this.code.slice(0, -definition.suffix.length);
+    }
+    return this.code;
+  }
+  
+  /**
+   * Root note of the tonality (used by UI components)
+   * @returns {string} Root note
+   */
+  get note() {
+    return this.getRootNote();
+  }
+  
+  /**
+   * Get the tonality code used as its display name
+   * @returns {string} Tonality code
+   */
+  getName() {
+    return this.code;
   }
   
   /**
@@ -59,6 +282,35 @@ class Tonality {
     return this.type === 'major';
   }
   
+  /**
+   * Check if tonality is one of the church modes (other than major/minor)
+   * @returns {boolean} True if modal
+   */
+  isModal() {
+    return !this.isMajor() && !this.isMinor() && this._getTypeDefinition() !== null;
+  }
+  
+  /**
+   * Get the key signature as a signed number of accidentals
+   * @returns {number} Number of sharps (positive) or flats (negative), 0 without accidentals
+   */
+  getAccidentalCount() {
+    const match = String(this.signature || '0').match(/^(\d+)([#b]?)$/);
+    if (!match) return 0;
+    
+    const count = parseInt(match[1], 10);
+    return match[2] === 'b' ? -count : count;
+  }
+  
+  /**
+   * Get the notes of the tonality scale
+   * @returns {Array} Array of 7 correctly spelled scale notes
+   */
+  getScaleNotes() {
+    const type = Tonality.normalizeType(this.type);
+    return type ? getScaleNotes(this.getRootNote(), type) : [];
+  }
+  
   /**
    * Get all chords in this tonality
    * @returns {Array} Combined array of all chords
@@ -84,17 +336,116 @@ class Tonality {
   }
   
   /**
-   * Get chords by function in this tonality
-   * @param {string} functionName - Function name (tonic, subdominant, dominant)
-   * @returns {Array} Array of chord objects with the specified function
+   * Get diatonic chord information for every scale degree
+   * @returns {Array} Array of { root, type, seventhType, degree, function, romanNumeral, name, seventhName, variant }
    */
-  getChordsByFunction(functionName) {
-    if (!chordCollection) return [];
+  getChordsInTonality() {
+    return this._buildChordInfo(Tonality.normalizeType(this.type), null);
+  }
+  
+  /**
+   * Get the harmonic and melodic minor chords that differ from the natural minor set
+   * @returns {Object} { harmonic: Array, melodic: Array } of chord information; empty for non-minor tonalities
+   */
+  getChordVariants() {
+    if (!this.isMinor()) return {};
     
-    return chordCollection.getAllChords().filter(chord => {
-      const func = chord.getFunctionInTonality(this.code);
-      return func && func.function === functionName;
+    const natural = this.getChordsInTonality();
+    const variants = {};
+    
+    Object.entries(MINOR_VARIANTS).forEach(([variant, scaleName]) => {
+      variants[variant] = this._buildChordInfo(scaleName, variant).filter((info, index) => {
+        return info.type !== natural[index].type || info.seventhType !== natural[index].seventhType;
+      });
     });
+    
+    return variants;
+  }
+  
+  /**
+   * Get diatonic chords together with all chord variants of the tonality
+   * @returns {Array} Array of chord information objects
+   */
+  getAllChordsInTonality() {
+    const variants = this.getChordVariants();
+    return [
+      ...this.getChordsInTonality(),
+      ...Object.values(variants).reduce((all, chords) => all.concat(chords), [])
+    ];
+  }
+  
+  /**
+   * Build chord information for the scale degrees of the given scale
+   * @param {string} scaleName - Scale name from SCALE_PATTERNS
+   * @param {string|null} variant - Variant tag (harmonic, melodic) or null for the main scale
+   * @returns {Array} Array of chord information objects
+   * @private
+   */
+  _buildChordInfo(scaleName, variant) {
+    const definition = this._getTypeDefinition();
+    const pattern = SCALE_PATTERNS[scaleName];
+    const notes = pattern ? getScaleNotes(this.getRootNote(), scaleName) : [];
+    
+    if (!definition || notes.length === 0) return [];
+    
+    const types = getDiatonicTypes(pattern);
+    
+    return notes.map((root, index) => ({
+      root,
+      type: types[index].type,
+      seventhType: types[index].seventhType,
+      degree: index + 1,
+      function: definition.functions[index],
+      romanNumeral: this._getRomanNumeral(index, pattern[index], types[index].type),
+      name: `${root}${CHORD_SUFFIXES[types[index].type]}`,
+      seventhName: `${root}${CHORD_SUFFIXES[types[index].seventhType]}`,
+      variant
+    }));
+  }
+  
+  /**
+   * Build a Roman numeral for a scale degree relative to the major scale
+   * @param {number} index - Scale degree index (0-6)
+   * @param {number} interval - Degree interval from the tonic in semitones
+   * @param {string} quality - Triad type (maj, min, dim, aug)
+   * @returns {string} Roman numeral (e.g., "I", "ii", "bVII", "vii°")
+   * @private
+   */
+  _getRomanNumeral(index, interval, quality) {
+    const numerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+    const offset = interval - SCALE_PATTERNS.major[index];
+    const accidental = offset < 0 ? 'b'.repeat(-offset) : '#'.repeat(offset);
+    
+    let numeral = numerals[index];
+    if (quality === 'min' || quality === 'dim') {
+      numeral = numeral.toLowerCase();
+    }
+    
+    if (quality === 'dim') numeral += '°';
+    if (quality === 'aug') numeral += '+';
+    
+    return `${accidental}${numeral}`;
+  }
+  
+  /**
+   * Get the tonality of the same type a number of semitones away
+   * @param {number} semitones - Interval in semitones (may be negative)
+   * @returns {Tonality|null} Transposed tonality or null if not found
+   */
+  transpose(semitones) {
+    const pitchClass = noteToPitchClass(this.getRootNote());
+    if (pitchClass === -1) return null;
+    
+    return tonalityCollection.findTonalityByPitchClass(pitchClass + semitones, this.type);
+  }
+  
+  /**
+   * Get chords by function in this tonality
+   * @param {string} functionName - Function name (T, S, D)
+   * @returns {Array} Array of chord information objects with the specified function
+   */
+  getChordsByFunction(functionName) {
+    return this.getChordsInTonality().filter(chord => chord.function === functionName);
   }
   
   /**
@@ -112,7 +463,7 @@ class Tonality {
       };
       
       return relativeMinorNotes[this.code] ? `${relativeMinorNotes[this.code]}m` : null;
-    } else {
+    } else if (this.isMinor()) {
       // Minor to relative major (up 3 semitones)
       const relativeMajorNotes = {
         'Am': 'C', 'Em': 'G', 'Bm': 'D', 'F#m': 'A',
@@ -123,11 +474,47 @@ class Tonality {
       
       return relativeMajorNotes[this.code] || null;
     }
+    
+    // Modes relate to the major scale they are built from
+    return this.getRelativeMajor();
   }
   
   /**
-   * Get position in the circle of fifths (0-11, where 0 is C major)
-   * @returns {number} Position in circle of fifths
+   * Get the relative major tonality (the major scale sharing this key signature)
+   * @returns {string|null} Code of the relative major or null for unknown types
+   */
+  getRelativeMajor() {
+    const definition = this._getTypeDefinition();
+    const notes = this.getScaleNotes();
+    
+    if (!definition || notes.length === 0) return null;
+    
+    return notes[(7 - definition.majorDegree) % 7];
+  }
+  
+  /**
+   * Get closely related tonalities: the relative key and the keys
+   * of the subdominant and dominant of the same type
+   * @returns {Array} Array of related Tonality objects
+   */
+  getRelatedTonalities() {
+    const notes = this.getScaleNotes();
+    if (notes.length === 0) return [];
+    
+    const related = [
+      tonalityCollection.getTonality(this.getRelativeTonality()),
+      tonalityCollection.findTonality(notes[3], this.type),
+      tonalityCollection.findTonality(notes[4], this.type)
+    ];
+    
+    return related.filter(tonality => tonality && tonality !== this);
+  }
+  
+  /**
+   * Get position in the circle of fifths.
+   * Major keys take 0-14 (C, G, D ... Db, Gb, Cb); every other type forms its own ring
+   * of the same length after them, ordered by relative major (A minor = 15)
+   * @returns {number} Position in circle of fifths, or -1 if unknown
    */
   getCircleOfFifthsPosition() {
     // Return cached value if already calculated
@@ -144,10 +531,12 @@ class Tonality {
       return this._circlePosition;
     }
     
-    // For minor tonalities, find position of relative major
-    const relativeMajor = this.getRelativeTonality();
-    if (relativeMajor) {
-      this._circlePosition = majorOrder.indexOf(relativeMajor) + 12; // +12 to distinguish minor
+    // For minor and modal tonalities, find position of relative major,
+    // offset by type so that each type forms its own non-overlapping ring
+    const relativeMajor = this.getRelativeMajor();
+    if (relativeMajor && majorOrder.includes(relativeMajor)) {
+      const typeIndex = Tonality.getTypes().indexOf(Tonality.normalizeType(this.type));
+      this._circlePosition = majorOrder.indexOf(relativeMajor) + majorOrder.length * typeIndex;
       return this._circlePosition;
     }
     
@@ -161,13 +550,23 @@ class Tonality {
    * @returns {string|null} Degree (I, ii, iii, etc.) or null if not found
    */
   getChordDegree(chordName) {
-    if (!chordCollection) return null;
-    
-    const chord = chordCollection.getChord(chordName);
-    if (!chord) return null;
+    const chord = this.getChordsInTonality().find(info => {
+      return info.name === chordName || info.seventhName === chordName;
+    });
     
-    const func = chord.getFunctionInTonality(this.code);
-    return func ? func.degree : null;
+    return chord ? chord.romanNumeral : null;
+  }
+  
+  /**
+   * Create an object for serialization
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      note: this.getRootNote(),
+      type: this.type
+    };
   }
   
   /**
@@ -252,6 +651,65 @@ class TonalityCollection {
     return this.getAllTonalities().filter(tonality => tonality.isMinor());
   }
   
+  /**
+   * Get modal tonalities (church modes other than major and minor)
+   * @returns {Array} Array of modal Tonality objects
+   */
+  getModalTonalities() {
+    return this.getAllTonalities().filter(tonality => tonality.isModal());
+  }
+  
+  /**
+   * Get tonalities of the given type
+   * @param {string} type - Tonality type (major, minor, dorian, ...)
+   * @returns {Array} Array of Tonality objects
+   */
+  getTonalitiesByType(type) {
+    const normalized = Tonality.normalizeType(type);
+    return this.getAllTonalities().filter(tonality => tonality.type === normalized);
+  }
+  
+  /**
+   * Find a tonality by root note and type.
+   * Roots missing from the collection (e.g. "D#" major) resolve to the
+   * enharmonic equivalent with the simpler key signature ("Eb" major).
+   * @param {string} note - Root note
+   * @param {string} type - Tonality type, legacy "dur"/"moll" accepted
+   * @returns {Tonality|null} Tonality or null if not found
+   */
+  findTonality(note, type) {
+    this.initializeIfEmpty();
+    
+    const code = Tonality.buildCode(note, type);
+    if (!code) return null;
+    
+    if (this.hasTonality(code)) {
+      return this.getTonality(code);
+    }
+    
+    return this.findTonalityByPitchClass(noteToPitchClass(note), type);
+  }
+  
+  /**
+   * Find the tonality of the given type on a pitch class,
+   * preferring the enharmonic spelling with the simpler key signature
+   * @param {number} pitchClass - Pitch class of the root (any integer, taken modulo 12)
+   * @param {string} type - Tonality type, legacy "dur"/"moll" accepted
+   * @returns {Tonality|null} Tonality or null if not found
+   */
+  findTonalityByPitchClass(pitchClass, type) {
+    this.initializeIfEmpty();
+    
+    const target = mod12(pitchClass);
+    const accidentalCount = tonality => parseInt(tonality.signature, 10) || 0;
+    
+    const candidates = this.getTonalitiesByType(type)
+      .filter(tonality => noteToPitchClass(tonality.getRootNote()) === target)
+      .sort((a, b) => accidentalCount(a) - accidentalCount(b));
+    
+    return candidates[0] || null;
+  }
+  
   /**
    * Get tonalities sorted by circle of fifths
    * @returns {Array} Array of Tonality objects sorted by circle of fifths
@@ -278,11 +736,14 @@ class TonalityCollection {
       { code: 'E', name: 'Ми мажор', signature: '4#' },
       { code: 'B', name: 'Си мажор', signature: '5#' },
       { code: 'F#', name: 'Фа-диез мажор', signature: '6#' },
+      { code: 'C#', name: 'До-диез мажор', signature: '7#' },
       { code: 'F', name: 'Фа мажор', signature: '1b' },
       { code: 'Bb', name: 'Си-бемоль мажор', signature: '2b' },
       { code: 'Eb', name: 'Ми-бемоль мажор', signature: '3b' },
       { code: 'Ab', name: 'Ля-бемоль мажор', signature: '4b' },
-      { code: 'Db', name: 'Ре-бемоль мажор', signature: '5b' }
+      { code: 'Db', name: 'Ре-бемоль мажор', signature: '5b' },
+      { code: 'Gb', name: 'Соль-бемоль мажор', signature: '6b' },
+      { code: 'Cb', name: 'До-бемоль мажор', signature: '7b' }
     ].forEach(data => {
       this.addTonality(new Tonality(
         data.code,
@@ -301,12 +762,15 @@ class TonalityCollection {
       { code: 'F#m', name: 'Фа-диез минор', signature: '3#' },
       { code: 'C#m', name: 'До-диез минор', signature: '4#' },
       { code: 'G#m', name: 'Соль-диез минор', signature: '5#' },
+      { code: 'D#m', name: 'Ре-диез минор', signature: '6#' },
+      { code: 'A#m', name: 'Ля-диез минор', signature: '7#' },
       { code: 'Dm', name: 'Ре минор', signature: '1b' },
       { code: 'Gm', name: 'Соль минор', signature: '2b' },
       { code: 'Cm', name: 'До минор', signature: '3b' },
       { code: 'Fm', name: 'Фа минор', signature: '4b' },
       { code: 'Bbm', name: 'Си-бемоль минор', signature: '5b' },
-      { code: 'Ebm', name: 'Ми-бемоль минор', signature: '6b' }
+      { code: 'Ebm', name: 'Ми-бемоль минор', signature: '6b' },
+      { code: 'Abm', name: 'Ля-бемоль минор', signature: '7b' }
     ].forEach(data => {
       this.addTonality(new Tonality(
         data.code,
@@ -317,6 +781,25 @@ class TonalityCollection {
       ));
     });
     
+    // Create modal tonalities from every major key
+    this.getMajorTonalities().forEach(major => {
+      const majorNotes = this._getMajorScaleNotes(major.code);
+      
+      Tonality.getTypes()
+        .filter(type => type !== 'major' && type !== 'minor')
+        .forEach(type => {
+          const root = majorNotes[TONALITY_TYPES[type].majorDegree];
+          
+          this.addTonality(new Tonality(
+            Tonality.buildCode(root, type),
+            Tonality.buildName(root, type),
+            type,
+            major.signature,
+            this._generateChords(root, type)
+          ));
+        });
+    });
+    
     this._loaded = true;
     
     // Publish event for data initialization
@@ -392,31 +875,54 @@ class TonalityCollection {
   }
   
   /**
-   * Generate chord set for major tonality
+   * Generate chord set for a tonality of any type
    * @param {string} rootNote - Root note
+   * @param {string} type - Tonality type
    * @returns {Object} Chord set with basic and seventh chords
    * @private
    */
-  _generateMajorChords(rootNote) {
-    // Helper function to generate chords based on scale degrees
-    const generateChords = (root, patterns) => {
-      const notes = this._getMajorScaleNotes(root);
-      return patterns.map((pattern, i) => {
-        const note = notes[i];
-        return pattern.replace('*', note);
+  _generateChords(rootNote, type) {
+    const normalized = Tonality.normalizeType(type);
+    const chords = this._generateScaleChords(rootNote, normalized);
+    
+    // Minor tonalities also carry harmonic and melodic minor chord sets
+    if (normalized === 'minor') {
+      Object.entries(MINOR_VARIANTS).forEach(([variant, scaleName]) => {
+        chords[variant] = this._generateScaleChords(rootNote, scaleName);
       });
-    };
+    }
     
-    // Chord patterns for major key
-    const basicPatterns = ['*', '*m', '*m', '*', '*', '*m', '*dim'];
-    const seventhPatterns = ['*maj7', '*m7', '*m7', '*maj7', '*7', '*m7', '*m7b5'];
+    return chords;
+  }
+  
+  /**
+   * Generate chord names for every degree of a scale
+   * @param {string} rootNote - Root note
+   * @param {string} scaleName - Scale name from SCALE_PATTERNS
+   * @returns {Object} Chord set with basic and seventh chords
+   * @private
+   */
+  _generateScaleChords(rootNote, scaleName) {
+    const pattern = SCALE_PATTERNS[scaleName];
+    const notes = pattern ? getScaleNotes(rootNote, scaleName) : [];
+    const types = pattern ? getDiatonicTypes(pattern) : [];
     
     return {
-      basic: generateChords(rootNote, basicPatterns),
-      seventh: generateChords(rootNote, seventhPatterns)
+      basic: notes.map((note, i) => `${note}${CHORD_SUFFIXES[types[i].type]}`),
+      seventh: notes.map((note, i) => `${note}${CHORD_SUFFIXES[types[i].seventhType]}`)
     };
   }
   
+  /**
+   * Generate chord set for major tonality
+   * @param {string} rootNote - Root note
+   * @returns {Object} Chord set with basic and seventh chords
+   * @private
+   */
+  _generateMajorChords(rootNote) {
+    return this._generateChords(rootNote, 'major');
+  }
+  
   /**
    * Generate chord set for minor tonality
    * @param {string} minorCode - Minor tonality code (e.g., "Am")
@@ -424,25 +930,8 @@ class TonalityCollection {
    * @private
    */
   _generateMinorChords(minorCode) {
-    // Helper function to generate chords based on scale degrees
-    const generateChords = (minorRoot, patterns) => {
-      // Extract root note from minor code (e.g., "Am" -> "A")
-      const root = minorRoot.slice(0, -1);
-      const notes = this._getMinorScaleNotes(root);
-      return patterns.map((pattern, i) => {
-        const note = notes[i];
-        return pattern.replace('*', note);
-      });
-    };
-    
-    // Chord patterns for natural minor key
-    const basicPatterns = ['*m', '*dim', '*', '*m', '*m', '*', '*'];
-    const seventhPatterns = ['*m7', '*m7b5', '*maj7', '*m7', '*m7', '*maj7', '*7'];
-    
-    return {
-      basic: generateChords(minorCode, basicPatterns),
-      seventh: generateChords(minorCode, seventhPatterns)
-    };
+    // Extract root note from minor code (e.g., "Am" -> "A")
+    return this._generateChords(minorCode.slice(0, -1), 'minor');
   }
   
   /**
@@ -452,25 +941,7 @@ class TonalityCollection {
    * @private
    */
   _getMajorScaleNotes(rootNote) {
-    // Simplified version - in a real implementation, this would calculate
-    // based on actual music theory intervals, but for simplicity, we'll use mapping
-    const majorScales = {
-      'C': ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
-      'G': ['G', 'A', 'B', 'C', 'D', 'E', 'F#'],
-      'D': ['D', 'E', 'F#', 'G', 'A', 'B', 'C#'],
-      'A': ['A', 'B', 'C#', 'D', 'E', 'F#', 'G#'],
-      'E': ['E', 'F#', 'G#', 'A', 'B', 'C#', 'D#'],
-      'B': ['B', 'C#', 'D#', 'E', 'F#', 'G#', 'A#'],
-      'F#': ['F#', 'G#', 'A#', 'B', 'C#', 'D#', 'E#'],
-      
-      'F': ['F', 'G', 'A', 'Bb', 'C', 'D', 'E'],
-      'Bb': ['Bb', 'C', 'D', 'Eb', 'F', 'G', 'A'],
-      'Eb': ['Eb', 'F', 'G', 'Ab', 'Bb', 'C', 'D'],
-      'Ab': ['Ab', 'Bb', 'C', 'Db', 'Eb', 'F', 'G'],
-      'Db': ['Db', 'Eb', 'F', 'Gb', 'Ab', 'Bb', 'C']
-    };
-    
-    return majorScales[rootNote] || [];
+    return getScaleNotes(rootNote, 'major');
   }
   
   /**
@@ -480,25 +951,7 @@ class TonalityCollection {
    * @private
    */
   _getMinorScaleNotes(rootNote) {
-    // Simplified version - in a real implementation, this would calculate
-    // based on actual music theory intervals
-    const minorScales = {
-      'A': ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
-      'E': ['E', 'F#', 'G', 'A', 'B', 'C', 'D'],
-      'B': ['B', 'C#', 'D', 'E', 'F#', 'G', 'A'],
-      'F#': ['F#', 'G#', 'A', 'B', 'C#', 'D', 'E'],
-      'C#': ['C#', 'D#', 'E', 'F#', 'G#', 'A', 'B'],
-      'G#': ['G#', 'A#', 'B', 'C#', 'D#', 'E', 'F#'],
-      
-      'D': ['D', 'E', 'F', 'G', 'A', 'Bb', 'C'],
-      'G': ['G', 'A', 'Bb', 'C', 'D', 'Eb', 'F'],
-      'C': ['C', 'D', 'Eb', 'F', 'G', 'Ab', 'Bb'],
-      'F': ['F', 'G', 'Ab', 'Bb', 'C', 'Db', 'Eb'],
-      'Bb': ['Bb', 'C', 'Db', 'Eb', 'F', 'Gb', 'Ab'],
-      'Eb': ['Eb', 'F', 'Gb', 'Ab', 'Bb', 'Cb', 'Db']
-    };
-    
-    return minorScales[rootNote] || [];
+    return getScaleNotes(rootNote, 'minor');
   }
 }
 
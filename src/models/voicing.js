@@ -0,0 +1,23 @@
+/**
+ * Стили расположения аккордов: названия для выбора в интерфейсе и стиль по умолчанию.
+ * Построение расположений по стилю - в voicingService
+ */
+
+/**
+ * Стили расположения аккордов
+ * @type {Object<string, string>}
+ */
+export const VOICING_STYLES = {
+    close: 'Тесное',
+    open: 'Широкое',
+    drop2: 'Drop 2',
+    drop3: 'Drop 3',
+    shell: 'Shell (1-3-7)',
+    rootless: 'Без основного тона (3-5-7-9)'
+};
+
+/**
+ * Стиль расположения по умолчанию
+ * @type {string}
+ */
+export const DEFAULT_VOICING_STYLE = 'close';
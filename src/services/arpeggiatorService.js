@@ -0,0 +1,186 @@
+/**
+ * Порядок нот арпеджиатора
+ * @type {Object<string, string>}
+ */
+export const ARPEGGIATOR_MODES = {
+    up: 'Вверх',
+    down: 'Вниз',
+    upDown: 'Вверх-вниз',
+    random: 'Случайно',
+    asPlayed: 'Как в аккорде'
+};
+
+/**
+ * Длительности шага арпеджиатора (доля целой ноты)
+ * @type {Object<string, number>}
+ */
+export const ARPEGGIATOR_RATES = {
+    '1/8': 1 / 8,
+    '1/8T': 1 / 12,
+    '1/16': 1 / 16,
+    '1/16T': 1 / 24
+};
+
+/**
+ * Максимальный диапазон арпеджио в октавах
+ * @type {number}
+ */
+export const MAX_ARPEGGIATOR_OCTAVES = 4;
+
+/**
+ * Настройки арпеджиатора по умолчанию
+ * @type {Object}
+ */
+export const DEFAULT_ARPEGGIATOR_SETTINGS = {
+    mode: 'up',
+    octaves: 1,
+    rate: '1/16',
+    gate: 0.8,
+    latch: false
+};
+
+/**
+ * Погрешность сравнения длительностей
+ * @type {number}
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Сервис арпеджиатора
+ * Превращает звуки аккорда в последовательность нот по настройкам:
+ * порядок, диапазон в октавах, длительность шага и доля его звучания (gate)
+ */
+export class ArpeggiatorService {
+    constructor() {
+        // Привязка методов к контексту
+        this.getModes = this.getModes.bind(this);
+        this.getRates = this.getRates.bind(this);
+        this.normalizeSettings = this.normalizeSettings.bind(this);
+        this.getNoteOrder = this.getNoteOrder.bind(this);
+        this.getSteps = this.getSteps.bind(this);
+    }
+
+    /**
+     * Получение списка режимов
+     * @returns {Array<Object>} - Массив { id, name }
+     */
+    getModes() {
+        return Object.entries(ARPEGGIATOR_MODES).map(([id, name]) => ({ id, name }));
+    }
+
+    /**
+     * Получение списка длительностей шага
+     * @returns {Array<Object>} - Массив { id, name }; триоли отмечены буквой T
+     */
+    getRates() {
+        return Object.keys(ARPEGGIATOR_RATES).map(id => ({
+            id,
+            name: id.endsWith('T') ? `${id.slice(0, -1)} триоль` : id
+        }));
+    }
+
+    /**
+     * Приведение настроек к допустимым значениям
+     * @param {Object} [settings] - Настройки (отсутствующие поля берутся по умолчанию)
+     * @returns {Object} - { mode, octaves, rate, gate, latch }
+     */
+    normalizeSettings(settings = {}) {
+        const result = { ...DEFAULT_ARPEGGIATOR_SETTINGS, ...(settings || {}) };
+        const octaves = parseInt(result.octaves, 10);
+        const gate = parseFloat(result.gate);
+
+        return {
+            mode: result.mode in ARPEGGIATOR_MODES ? result.mode : DEFAULT_ARPEGGIATOR_SETTINGS.mode,
+            octaves: Number.isNaN(octaves) ? 1 : Math.max(1, Math.min(MAX_ARPEGGIATOR_OCTAVES, octaves)),
+            rate: result.rate in ARPEGGIATOR_RATES ? result.rate : DEFAULT_ARPEGGIATOR_SETTINGS.rate,
+            gate: Number.isNaN(gate) ? DEFAULT_ARPEGGIATOR_SETTINGS.gate : Math.max(0.05, Math.min(1, gate)),
+            latch: Boolean(result.latch)
+        };
+    }
+
+    /**
+     * Порядок нот одного прохода арпеджио
+     * Для режима random возвращается восходящий ряд, случайный выбор делается в getSteps
+     * @param {Array<string>} notes - Звуки аккорда с октавами снизу вверх ('E4')
+     * @param {Object} settings - Настройки арпеджиатора
+     * @param {Array<number>} [playedOrder] - Индексы звуков в порядке аккорда (для режима asPlayed)
+     * @returns {Array<string>} - Ноты прохода
+     */
+    getNoteOrder(notes, settings, playedOrder = null) {
+        const { mode, octaves } = this.normalizeSettings(settings);
+        const base = mode === 'asPlayed' && playedOrder && playedOrder.length === notes.length
+            ? playedOrder.map(index => notes[index])
+            : notes;
+
+        const ascending = [];
+        for (let octave = 0; octave < octaves; octave++) {
+            base.forEach(note => ascending.push(this._shiftOctave(note, octave)));
+        }
+
+        if (mode === 'down') {
+            return ascending.reverse();
+        }
+
+        // Верхняя и нижняя ноты не повторяются на разворотах
+        if (mode === 'upDown' && ascending.length > 2) {
+            return [...ascending, ...ascending.slice(1, -1).reverse()];
+        }
+
+        return ascending;
+    }
+
+    /**
+     * Шаги арпеджио внутри элемента последовательности
+     * @param {Array<string>} notes - Звуки аккорда с октавами снизу вверх
+     * @param {number} duration - Длительность элемента в долях целой ноты
+     * @param {Object} settings - Настройки арпеджиатора
+     * @param {Array<number>} [playedOrder] - Индексы звуков в порядке аккорда
+     * @returns {Array<Object>} - Шаги: { time, duration, note } (время от начала элемента в долях целой ноты)
+     */
+    getSteps(notes, duration, settings, playedOrder = null) {
+        if (!notes || notes.length === 0) {
+            return [];
+        }
+
+        const normalized = this.normalizeSettings(settings);
+        const rate = ARPEGGIATOR_RATES[normalized.rate];
+        const order = this.getNoteOrder(notes, normalized, playedOrder);
+        const steps = [];
+
+        for (let step = 0; step * rate < duration - EPSILON; step++) {
+            const time = step * rate;
+            const note = normalized.mode === 'random'
+                ? order[Math.floor(Math.random() * order.length)]
+                : order[step % order.length];
+
+            steps.push({
+                time,
+                duration: Math.min(rate * normalized.gate, duration - time),
+                note
+            });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Сдвиг ноты с октавой на несколько октав вверх
+     * @param {string} note - Нота с октавой ('C#4')
+     * @param {number} octaves - Количество октав
+     * @returns {string} - Сдвинутая нота
+     * @private
+     */
+    _shiftOctave(note, octaves) {
+        if (octaves === 0) {
+            return note;
+        }
+
+        return note.replace(/(-?\d+)$/, octave => String(parseInt(octave, 10) + octaves));
+    }
+}
+
+// Создаем экземпляр сервиса
+const arpeggiatorService = new ArpeggiatorService();
+
+// Экспортируем по умолчанию
+export default arpeggiatorService;
@@ -1,3 +1,11 @@
+import { stackNotes, formatNoteWithOctave, noteToPitchClass } from '../models/scale.js';
+import { DEFAULT_TIME_SIGNATURE, parseTimeSignature, getAccentLevels } from '../models/meter.js';
+import { DEFAULT_RHYTHM_PATTERN } from '../models/rhythm.js';
+import voiceLeadingService from './voiceLeadingService.js';
+import rhythmService, { STRUM_SPREAD } from './rhythmService.js';
+import arpeggiatorService from './arpeggiatorService.js';
+import eventBus, { EVENTS } from '../core/eventBus.js';
+
 /**
  * Сервис для управления аудио и воспроизведения аккордов
  * с использованием библиотеки Tone.js
@@ -6,25 +14,53 @@ export class AudioService {
     constructor() {
         this.initialized = false;
         this.isPlaying = false;
+        this.isPaused = false;
         this.tempo = 120; // BPM по умолчанию
         this.synth = null;
         this.currentSequence = null;
+        this.currentVoicings = null;
+        this.currentNotes = null;
+        this.currentHits = null;
+        this.currentPositions = null;
         this.currentNoteIndex = 0;
+        this.currentSection = null;
         this.arpeggiatorEnabled = false;
         this.metronomeEnabled = false;
         this.metronome = null;
+        this.metronomeEventId = null;
+        
+        // Запланированные на Tone.Transport события последовательности
+        this.sequenceEvents = [];
+        this.itemStartTicks = [];
+        this.totalTicks = 0;
+        this.playbackId = 0;
+        
+        // Размеры частей последовательности для акцентов метронома: { startTicks, timeSignature }
+        this.meterSections = [];
+        this.playbackResolve = null;
+        
+        // Повтор: вся последовательность или диапазон элементов { start, end } (включительно)
+        this.loopEnabled = false;
+        this.loopRange = null;
         
-        // Интервал арпеджиатора в миллисекундах
-        this.arpeggiatorInterval = 100;
+        // Настройки арпеджиатора: порядок нот, октавы, шаг, gate и latch
+        this.arpeggiatorSettings = arpeggiatorService.normalizeSettings();
         
         // Привязка методов к контексту
         this.initialize = this.initialize.bind(this);
         this.playChord = this.playChord.bind(this);
         this.playArpeggio = this.playArpeggio.bind(this);
         this.playSequence = this.playSequence.bind(this);
+        this.playSong = this.playSong.bind(this);
         this.stopPlayback = this.stopPlayback.bind(this);
+        this.pausePlayback = this.pausePlayback.bind(this);
+        this.resumePlayback = this.resumePlayback.bind(this);
+        this.seek = this.seek.bind(this);
+        this.findPosition = this.findPosition.bind(this);
+        this.setLoop = this.setLoop.bind(this);
         this.setTempo = this.setTempo.bind(this);
         this.toggleArpeggiator = this.toggleArpeggiator.bind(this);
+        this.setArpeggiatorSettings = this.setArpeggiatorSettings.bind(this);
         this.toggleMetronome = this.toggleMetronome.bind(this);
     }
 
@@ -123,36 +159,25 @@ export class AudioService {
 
     /**
      * Преобразование нот аккорда в формат Tone.js с октавами
-     * @param {Array<string>} notes - Ноты аккорда (без октав)
+     * Первая нота (бас) располагается нижней, остальные - по возрастанию над ней
+     * @param {Array<string>} notes - Ноты аккорда (без октав), басовая нота первая
      * @param {number} [octave=4] - Базовая октава
      * @returns {Array<string>} - Ноты с октавами
      */
     formatChordNotes(notes, octave = 4) {
-        // Базовые ноты для сравнения
-        const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        // Ноты уже с октавами (например, расположенные голосоведением) не меняем
+        if (notes.every(note => /\d$/.test(note))) {
+            return notes;
+        }
         
-        // Находим индекс первой ноты
-        const rootIndex = chromaticScale.indexOf(notes[0]);
-        if (rootIndex === -1) return notes.map(note => `${note}${octave}`);
+        const midiNotes = stackNotes(notes, octave);
         
-        // Преобразуем ноты с октавами, учитывая их расположение
-        return notes.map((note, index) => {
-            const noteIndex = chromaticScale.indexOf(note);
-            
-            // Если нота не найдена, возвращаем её с базовой октавой
-            if (noteIndex === -1) return `${note}${octave}`;
-            
-            // Вычисляем относительную позицию ноты
-            let currentOctave = octave;
-            
-            // Если текущая нота "ниже" первой ноты в хроматической гамме,
-            // значит она находится в следующей октаве
-            if (index > 0 && noteIndex < rootIndex) {
-                currentOctave += 1;
-            }
-            
-            return `${note}${currentOctave}`;
-        });
+        // Если ноты не распознаны, возвращаем их с базовой октавой
+        if (midiNotes.length !== notes.length) {
+            return notes.map(note => `${note}${octave}`);
+        }
+        
+        return notes.map((note, index) => formatNoteWithOctave(note, midiNotes[index]));
     }
 
     /**
@@ -195,7 +220,7 @@ export class AudioService {
     }
 
     /**
-     * Воспроизведение арпеджио (нот аккорда последовательно)
+     * Воспроизведение арпеджио (нот аккорда последовательно) по настройкам арпеджиатора
      * @param {Array<string>} notes - Ноты аккорда (без октав)
      * @param {number} [totalDuration=1] - Общая длительность в секундах
      * @param {number} [octave=4] - Базовая октава
@@ -217,29 +242,36 @@ export class AudioService {
         
         return new Promise(resolve => {
             const formattedNotes = this.formatChordNotes(notes, octave);
-            const noteDuration = totalDuration / formattedNotes.length;
+            const now = window.Tone.now();
             
-            // Играем каждую ноту последовательно
-            formattedNotes.forEach((note, index) => {
-                setTimeout(() => {
-                    this.synth.triggerAttackRelease(note, noteDuration);
-                    
-                    // Разрешаем промис после последней ноты
-                    if (index === formattedNotes.length - 1) {
-                        setTimeout(resolve, noteDuration * 1000);
-                    }
-                }, index * noteDuration * 1000);
+            // Шаги арпеджиатора заданы в долях целой ноты, переводим их в секунды по текущему темпу
+            const wholeNoteSeconds = 240 / this.tempo;
+            const steps = arpeggiatorService.getSteps(formattedNotes, totalDuration / wholeNoteSeconds, this.arpeggiatorSettings);
+            
+            // Планируем ноты по часам аудио контекста
+            steps.forEach(step => {
+                this.synth.triggerAttackRelease(step.note, step.duration * wholeNoteSeconds, now + step.time * wholeNoteSeconds);
             });
+            
+            // Разрешаем промис после окончания последней ноты
+            setTimeout(resolve, totalDuration * 1000);
         });
     }
 
     /**
      * Воспроизведение последовательности аккордов
+     * Все элементы планируются на Tone.Transport, поэтому аккорды, паузы,
+     * арпеджио и метроном идут по одним часам и следуют изменениям темпа
      * @param {Array<Object>} sequence - Массив объектов с нотами и длительностью
      * @param {number} [startIndex=0] - Индекс начального элемента
-     * @returns {Promise} - Промис, который разрешается после окончания воспроизведения
+     * @param {Object} [options] - Опции воспроизведения
+     * @param {string} [options.voicingStyle] - Стиль расположения аккордов блока
+     * @param {string} [options.blockId] - Идентификатор блока (передается в событиях воспроизведения)
+     * @param {string} [options.timeSignature='4/4'] - Размер блока (для акцентов метронома)
+     * @param {string} [options.rhythmPattern='sustain'] - Ритмический рисунок аккомпанемента блока
+     * @returns {Promise} - Промис, который разрешается после окончания или остановки воспроизведения
      */
-    async playSequence(sequence, startIndex = 0) {
+    async playSequence(sequence, startIndex = 0, options = {}) {
         if (!this.initialized) {
             try {
                 await this.initialize();
@@ -256,81 +288,571 @@ export class AudioService {
         // Останавливаем текущее воспроизведение
         this.stopPlayback();
         
+        // Располагаем аккорды с плавным голосоведением
+        const voicings = voiceLeadingService.voiceSequence(sequence, {
+            style: options.voicingStyle
+        });
+        
+        const positions = sequence.map((item, index) => ({
+            blockId: options.blockId || null,
+            sectionIndex: 0,
+            index,
+            timeSignature: options.timeSignature || DEFAULT_TIME_SIGNATURE,
+            rhythmPattern: options.rhythmPattern || DEFAULT_RHYTHM_PATTERN
+        }));
+        
+        return this.startPlayback(sequence, voicings, positions, startIndex);
+    }
+
+    /**
+     * Воспроизведение аранжировки (нескольких блоков подряд)
+     * Блоки склеиваются в одну последовательность на транспорте, поэтому переходы между ними
+     * происходят без пауз. Голосоведение строится внутри каждого блока с его стилем расположения
+     * @param {Array<Object>} sections - Части аранжировки: { blockId, sequence, voicingStyle, timeSignature, rhythmPattern }
+     * @param {Object} [options] - Опции воспроизведения
+     * @param {number} [options.startIndex=0] - Индекс начального элемента во всей аранжировке
+     * @returns {Promise} - Промис, который разрешается после окончания или остановки воспроизведения
+     */
+    async playSong(sections, options = {}) {
+        if (!this.initialized) {
+            try {
+                await this.initialize();
+            } catch (error) {
+                console.error('Не удалось инициализировать аудио сервис:', error);
+                return Promise.reject(error);
+            }
+        }
+        
+        const sequence = [];
+        const voicings = [];
+        const positions = [];
+        
+        (sections || []).forEach((section, sectionIndex) => {
+            if (!section.sequence || section.sequence.length === 0) {
+                return;
+            }
+            
+            const sectionVoicings = voiceLeadingService.voiceSequence(section.sequence, {
+                style: section.voicingStyle
+            });
+            
+            section.sequence.forEach((item, index) => {
+                sequence.push(item);
+                voicings.push(sectionVoicings[index]);
+                positions.push({
+                    blockId: section.blockId,
+                    sectionIndex,
+                    index,
+                    timeSignature: section.timeSignature || DEFAULT_TIME_SIGNATURE,
+                    rhythmPattern: section.rhythmPattern || DEFAULT_RHYTHM_PATTERN
+                });
+            });
+        });
+        
+        if (sequence.length === 0) {
+            return Promise.resolve();
+        }
+        
+        // Останавливаем текущее воспроизведение
+        this.stopPlayback();
+        
+        return this.startPlayback(sequence, voicings, positions, options.startIndex || 0);
+    }
+
+    /**
+     * Запуск воспроизведения подготовленной последовательности
+     * @param {Array<Object>} sequence - Элементы последовательности
+     * @param {Array<Array<Object>>} voicings - Расположения аккордов по элементам
+     * @param {Array<Object>} positions - Положение элементов в блоках: { blockId, sectionIndex, index, timeSignature, rhythmPattern }
+     * @param {number} startIndex - Индекс начального элемента
+     * @returns {Promise} - Промис, который разрешается после окончания или остановки воспроизведения
+     * @private
+     */
+    startPlayback(sequence, voicings, positions, startIndex) {
+        const transport = window.Tone.Transport;
+        const playbackId = ++this.playbackId;
+        
         this.isPlaying = true;
+        this.isPaused = false;
         this.currentSequence = sequence;
-        this.currentNoteIndex = startIndex;
+        this.currentVoicings = voicings;
+        this.currentPositions = positions;
+        this.currentNoteIndex = Math.max(0, Math.min(startIndex, sequence.length - 1));
+        
+        this.scheduleSequence(playbackId);
+        this.applyLoop();
+        
+        // При повторе диапазона воспроизведение начинается внутри него
+        const loopBounds = this.getLoopBounds();
+        if (loopBounds && (this.currentNoteIndex < loopBounds.start || this.currentNoteIndex > loopBounds.end)) {
+            this.currentNoteIndex = loopBounds.start;
+        }
         
         // Запускаем метроном, если он включен
         if (this.metronomeEnabled) {
             this.startMetronome();
         }
         
-        return this.playNextChord();
+        return new Promise(resolve => {
+            this.playbackResolve = resolve;
+            
+            transport.bpm.value = this.tempo;
+            transport.start(undefined, this.ticksToTime(this.itemStartTicks[this.currentNoteIndex]));
+        });
     }
 
     /**
-     * Воспроизведение следующего аккорда в последовательности
-     * @returns {Promise} - Промис, который разрешается после окончания воспроизведения всей последовательности
+     * Планирование элементов текущей последовательности на транспорте
+     * Позиции считаются в тиках, поэтому не зависят от темпа
+     * @param {number} playbackId - Идентификатор запуска (отсекает события прошлых запусков)
+     * @private
      */
-    async playNextChord() {
-        if (!this.isPlaying || !this.currentSequence || this.currentNoteIndex >= this.currentSequence.length) {
-            this.stopPlayback();
-            return Promise.resolve();
-        }
+    scheduleSequence(playbackId) {
+        const transport = window.Tone.Transport;
+        let ticks = 0;
         
-        const item = this.currentSequence[this.currentNoteIndex];
-        this.currentNoteIndex++;
+        this.currentNotes = this.currentSequence.map((item, index) => {
+            if (item.isPause || !item.chord) {
+                return null;
+            }
+            
+            const voicing = this.currentVoicings ? this.currentVoicings[index] : null;
+            const notes = voicing && voicing.length > 0
+                ? voicing.map(voice => formatNoteWithOctave(voice.note, voice.midi))
+                : item.chord.getVoicedNotes();
+            
+            return this.formatChordNotes(notes);
+        });
+        
+        this.itemStartTicks = this.currentSequence.map(item => {
+            const start = ticks;
+            ticks += this.durationToTicks(item.duration);
+            return start;
+        });
+        this.totalTicks = ticks;
+        
+        // Удары ритмического рисунка блока: позиции и длительности в тиках
+        this.currentHits = this.currentSequence.map((item, index) => {
+            if (!this.currentNotes[index]) {
+                return [];
+            }
+            
+            return rhythmService.getHits(item.duration, this.currentPositions[index].rhythmPattern).map(hit => ({
+                ...hit,
+                ticks: this.itemStartTicks[index] + this.durationToTicks(hit.time),
+                length: this.durationToTicks(hit.duration)
+            }));
+        });
+        
+        // Каждая часть начинается с нового такта, даже если предыдущая закончилась неполным
+        this.meterSections = [];
+        this.currentPositions.forEach((position, index) => {
+            const previous = this.currentPositions[index - 1];
+            
+            if (!previous || previous.sectionIndex !== position.sectionIndex || previous.timeSignature !== position.timeSignature) {
+                this.meterSections.push({
+                    startTicks: this.itemStartTicks[index],
+                    timeSignature: position.timeSignature || DEFAULT_TIME_SIGNATURE
+                });
+            }
+        });
         
-        // Вычисляем длительность в секундах на основе темпа
-        const beatDuration = 60 / this.tempo; // длительность четвертной ноты в секундах
-        const durationInSeconds = item.duration * 4 * beatDuration; // умножаем на 4 для целой ноты
+        // С включенным latch арпеджио продолжается на паузах звуками предыдущего аккорда
+        let latchedNotes = null;
+        let latchedOrder = null;
         
-        // Если это пауза, просто ждем
-        if (item.isPause || !item.chord) {
-            return new Promise(resolve => {
-                setTimeout(() => {
-                    if (this.isPlaying) {
-                        this.playNextChord().then(resolve);
-                    } else {
-                        resolve();
+        this.currentSequence.forEach((item, index) => {
+            const start = this.itemStartTicks[index];
+            const notes = this.currentNotes[index];
+            
+            this.sequenceEvents.push(transport.schedule(time => {
+                this.playSequenceItem(index, time, playbackId);
+            }, this.ticksToTime(start)));
+            
+            // Удары рисунка после начала элемента (без арпеджиатора)
+            this.currentHits[index].filter(hit => hit.ticks > start).forEach(hit => {
+                this.sequenceEvents.push(transport.schedule(time => {
+                    if (!this.arpeggiatorEnabled) {
+                        this.playRhythmHit(index, hit, time);
                     }
-                }, durationInSeconds * 1000);
+                }, this.ticksToTime(hit.ticks)));
             });
+            
+            if (notes) {
+                latchedNotes = notes;
+                latchedOrder = this.getPlayedOrder(index);
+            }
+            
+            const arpeggioNotes = notes || (this.arpeggiatorSettings.latch ? latchedNotes : null);
+            const arpeggioOrder = arpeggioNotes ? latchedOrder : null;
+            
+            // Ноты арпеджио тоже планируются на транспорте, чтобы оставаться в темпе.
+            // Играют они только при включенном арпеджиаторе, его можно переключать на ходу
+            arpeggiatorService.getSteps(arpeggioNotes, item.duration, this.arpeggiatorSettings, arpeggioOrder).forEach(step => {
+                const length = this.durationToTicks(step.duration);
+                
+                this.sequenceEvents.push(transport.schedule(time => {
+                    if (this.arpeggiatorEnabled) {
+                        this.playArpeggioNote(step.note, length, time);
+                    }
+                }, this.ticksToTime(start + this.durationToTicks(step.time))));
+            });
+        });
+        
+        // Окончание последовательности (при повторе транспорт возвращается к началу раньше)
+        this.sequenceEvents.push(transport.schedule(time => {
+            if (transport.loop) {
+                return;
+            }
+            
+            window.Tone.Draw.schedule(() => {
+                if (playbackId === this.playbackId) {
+                    this.stopPlayback();
+                }
+            }, time);
+        }, this.ticksToTime(this.totalTicks)));
+    }
+
+    /**
+     * Воспроизведение элемента последовательности в запланированное время
+     * @param {number} index - Индекс элемента
+     * @param {number} time - Время аудио контекста
+     * @param {number} playbackId - Идентификатор запуска
+     * @private
+     */
+    playSequenceItem(index, time, playbackId) {
+        const item = this.currentSequence ? this.currentSequence[index] : null;
+        if (!item) {
+            return;
         }
         
-        // Иначе воспроизводим аккорд
-        try {
-            await this.playChord(item.chord.getNotes(), durationInSeconds);
-            if (this.isPlaying) {
-                return this.playNextChord();
+        // Обновление интерфейса синхронизируем с моментом звучания
+        window.Tone.Draw.schedule(() => {
+            if (playbackId !== this.playbackId || !this.isPlaying) {
+                return;
             }
-            return Promise.resolve();
-        } catch (error) {
-            console.error('Ошибка при воспроизведении аккорда:', error);
-            this.stopPlayback();
-            return Promise.reject(error);
+            
+            this.currentNoteIndex = index;
+            this.publishPosition(index);
+        }, time);
+        
+        const notes = this.currentNotes[index];
+        if (!notes || !this.synth || this.arpeggiatorEnabled) {
+            return;
+        }
+        
+        const start = this.itemStartTicks[index];
+        this.currentHits[index]
+            .filter(hit => hit.ticks === start)
+            .forEach(hit => this.playRhythmHit(index, hit, time));
+    }
+
+    /**
+     * Воспроизведение удара ритмического рисунка
+     * @param {number} index - Индекс элемента
+     * @param {Object} hit - Удар: { length, velocity, part, strum }
+     * @param {number} time - Время аудио контекста
+     * @private
+     */
+    playRhythmHit(index, hit, time) {
+        const notes = this.currentNotes ? this.currentNotes[index] : null;
+        if (!notes || !this.synth) {
+            return;
+        }
+        
+        const hitNotes = rhythmService.getHitNotes(notes, hit);
+        const duration = this.ticksToSeconds(hit.length);
+        
+        if (!hit.strum) {
+            this.synth.triggerAttackRelease(hitNotes, duration, time, hit.velocity);
+            return;
+        }
+        
+        // При бое звуки берутся по очереди с небольшим разносом
+        const spread = this.ticksToSeconds(this.durationToTicks(STRUM_SPREAD));
+        hitNotes.forEach((note, noteIndex) => {
+            this.synth.triggerAttackRelease(note, Math.max(duration - noteIndex * spread, spread), time + noteIndex * spread, hit.velocity);
+        });
+    }
+
+    /**
+     * Публикация текущей позиции воспроизведения
+     * При переходе в другую часть аранжировки дополнительно публикуется PLAYBACK_BLOCK
+     * @param {number} position - Индекс элемента во всей воспроизводимой последовательности
+     * @private
+     */
+    publishPosition(position) {
+        const { blockId, sectionIndex, index } = this.currentPositions[position];
+        
+        if (this.currentSection !== sectionIndex) {
+            this.currentSection = sectionIndex;
+            eventBus.publish(EVENTS.PLAYBACK_BLOCK, { blockId, sectionIndex });
+        }
+        
+        eventBus.publish(EVENTS.PLAYBACK_CHORD, {
+            blockId,
+            sectionIndex,
+            index,
+            position,
+            item: this.currentSequence[position]
+        });
+    }
+
+    /**
+     * Воспроизведение одной ноты арпеджио
+     * @param {string} note - Нота с октавой
+     * @param {number} length - Длительность в тиках
+     * @param {number} time - Время аудио контекста
+     * @private
+     */
+    playArpeggioNote(note, length, time) {
+        if (!this.synth) {
+            return;
+        }
+        
+        this.synth.triggerAttackRelease(note, this.ticksToSeconds(length), time);
+    }
+
+    /**
+     * Порядок звуков расположения аккорда в порядке его записи (для режима "как в аккорде")
+     * @param {number} index - Индекс элемента последовательности
+     * @returns {Array<number>|null} - Индексы звуков расположения или null, если расположения нет
+     * @private
+     */
+    getPlayedOrder(index) {
+        const item = this.currentSequence[index];
+        const voicing = this.currentVoicings ? this.currentVoicings[index] : null;
+        
+        if (!voicing || voicing.length === 0 || !item.chord) {
+            return null;
+        }
+        
+        const chordPitches = item.chord.getNotes().map(note => noteToPitchClass(note));
+        const rank = voice => {
+            const position = chordPitches.indexOf(noteToPitchClass(voice.note));
+            return position === -1 ? chordPitches.length : position;
+        };
+        
+        return voicing
+            .map((voice, voiceIndex) => voiceIndex)
+            .sort((a, b) => rank(voicing[a]) - rank(voicing[b]) || voicing[a].midi - voicing[b].midi);
+    }
+
+    /**
+     * Установка режима повтора
+     * Может вызываться во время воспроизведения, повтор включается без остановки
+     * @param {boolean} enabled - Включен ли повтор
+     * @param {Object|null} [range=null] - Диапазон элементов { start, end } или null для всей последовательности
+     */
+    setLoop(enabled, range = null) {
+        this.loopEnabled = enabled;
+        this.loopRange = range ? { start: range.start, end: range.end } : null;
+        
+        if (this.isPlaying) {
+            this.applyLoop();
+        }
+    }
+
+    /**
+     * Границы повтора для текущей последовательности
+     * Диапазон ограничивается длиной последовательности
+     * @returns {Object|null} - { start, end } (включительно) или null, если повтор выключен
+     * @private
+     */
+    getLoopBounds() {
+        if (!this.loopEnabled || !this.currentSequence || this.currentSequence.length === 0) {
+            return null;
+        }
+        
+        const last = this.currentSequence.length - 1;
+        if (!this.loopRange) {
+            return { start: 0, end: last };
+        }
+        
+        const start = Math.max(0, Math.min(this.loopRange.start, this.loopRange.end, last));
+        const end = Math.min(last, Math.max(this.loopRange.start, this.loopRange.end));
+        
+        return { start, end };
+    }
+
+    /**
+     * Применение режима повтора к транспорту
+     * Повтор выполняет сам транспорт, поэтому между итерациями нет паузы
+     * @private
+     */
+    applyLoop() {
+        if (!window.Tone) {
+            return;
+        }
+        
+        const transport = window.Tone.Transport;
+        const bounds = this.getLoopBounds();
+        
+        if (!bounds) {
+            transport.loop = false;
+            return;
         }
+        
+        const endItem = this.currentSequence[bounds.end];
+        const loopEnd = this.itemStartTicks[bounds.end] + this.durationToTicks(endItem.duration);
+        
+        transport.loopStart = this.ticksToTime(this.itemStartTicks[bounds.start]);
+        transport.loopEnd = this.ticksToTime(loopEnd);
+        transport.loop = true;
+    }
+
+    /**
+     * Пауза воспроизведения
+     * Позиция транспорта сохраняется, воспроизведение продолжается с нее
+     */
+    pausePlayback() {
+        if (!this.isPlaying || this.isPaused || !window.Tone) {
+            return;
+        }
+        
+        window.Tone.Transport.pause();
+        this.isPaused = true;
+        
+        if (this.synth) {
+            this.synth.releaseAll();
+        }
+    }
+
+    /**
+     * Продолжение воспроизведения после паузы
+     */
+    resumePlayback() {
+        if (!this.isPlaying || !this.isPaused || !window.Tone) {
+            return;
+        }
+        
+        this.isPaused = false;
+        window.Tone.Transport.start();
+    }
+
+    /**
+     * Переход к элементу последовательности во время воспроизведения
+     * @param {number} index - Индекс элемента (при воспроизведении аранжировки - во всей аранжировке)
+     * @returns {boolean} - true, если переход выполнен
+     */
+    seek(index) {
+        if (!this.isPlaying || !this.currentSequence || index < 0 || index >= this.currentSequence.length) {
+            return false;
+        }
+        
+        const transport = window.Tone.Transport;
+        const ticks = this.itemStartTicks[index];
+        
+        if (this.synth) {
+            this.synth.releaseAll();
+        }
+        
+        this.currentNoteIndex = index;
+        
+        if (this.isPaused) {
+            // На паузе только переносим позицию, элемент прозвучит после продолжения
+            transport.ticks = ticks;
+            this.publishPosition(index);
+        } else {
+            // Перезапуск с новой позиции, чтобы событие элемента сработало
+            transport.stop();
+            transport.start(undefined, this.ticksToTime(ticks));
+        }
+        
+        return true;
+    }
+
+    /**
+     * Поиск элемента блока в воспроизводимой последовательности
+     * Блок может звучать в аранжировке несколько раз - предпочтение отдается звучащей части
+     * @param {string} blockId - ID блока
+     * @param {number} index - Индекс элемента в блоке
+     * @returns {number} - Индекс для seek или -1, если элемент сейчас не воспроизводится
+     */
+    findPosition(blockId, index) {
+        if (!this.isPlaying || !this.currentPositions) {
+            return -1;
+        }
+        
+        const matches = this.currentPositions
+            .map((position, playbackIndex) => ({ ...position, playbackIndex }))
+            .filter(position => position.blockId === blockId && position.index === index);
+        const match = matches.find(position => position.sectionIndex === this.currentSection) || matches[0];
+        
+        return match ? match.playbackIndex : -1;
     }
 
     /**
      * Остановка воспроизведения
      */
     stopPlayback() {
+        const resolve = this.playbackResolve;
+        
         this.isPlaying = false;
+        this.isPaused = false;
         this.currentSequence = null;
+        this.currentVoicings = null;
+        this.currentNotes = null;
+        this.currentHits = null;
+        this.currentPositions = null;
         this.currentNoteIndex = 0;
+        this.currentSection = null;
+        this.itemStartTicks = [];
+        this.totalTicks = 0;
+        this.meterSections = [];
+        this.playbackResolve = null;
         
         // Останавливаем синтезатор
         if (this.synth) {
             this.synth.releaseAll();
         }
         
-        // Останавливаем метроном
-        this.stopMetronome();
+        // Останавливаем транспорт и снимаем все запланированные события, включая метроном
+        if (window.Tone) {
+            window.Tone.Transport.stop();
+            window.Tone.Transport.cancel();
+            window.Tone.Transport.loop = false;
+            window.Tone.Transport.position = 0;
+        }
+        this.sequenceEvents = [];
+        this.metronomeEventId = null;
+        
+        if (resolve) {
+            resolve();
+        }
+    }
+
+    /**
+     * Перевод длительности элемента (доля целой ноты) в тики транспорта
+     * @param {number} duration - Длительность (1 - целая нота)
+     * @returns {number} - Количество тиков
+     */
+    durationToTicks(duration) {
+        const ppq = window.Tone ? window.Tone.Transport.PPQ : 192;
+        return Math.round(duration * 4 * ppq);
+    }
+
+    /**
+     * Перевод тиков в нотацию времени Tone.js
+     * @param {number} ticks - Количество тиков
+     * @returns {string} - Время в формате '384i'
+     */
+    ticksToTime(ticks) {
+        return `${Math.round(ticks)}i`;
+    }
+
+    /**
+     * Перевод тиков в секунды при текущем темпе
+     * @param {number} ticks - Количество тиков
+     * @returns {number} - Длительность в секундах
+     */
+    ticksToSeconds(ticks) {
+        return window.Tone.Ticks(ticks).toSeconds();
     }
 
     /**
      * Установка темпа
+     * Темп транспорта меняется сразу, в том числе во время воспроизведения
      * @param {number} bpm - Темп в ударах в минуту
      */
     setTempo(bpm) {
@@ -348,6 +870,23 @@ export class AudioService {
         this.arpeggiatorEnabled = enabled;
     }
 
+    /**
+     * Установка настроек арпеджиатора
+     * Во время воспроизведения последовательность перепланируется без остановки транспорта
+     * @param {Object} settings - Настройки: { mode, octaves, rate, gate, latch }
+     */
+    setArpeggiatorSettings(settings) {
+        this.arpeggiatorSettings = arpeggiatorService.normalizeSettings(settings);
+        
+        if (this.isPlaying && this.currentSequence) {
+            const transport = window.Tone.Transport;
+            
+            this.sequenceEvents.forEach(eventId => transport.clear(eventId));
+            this.sequenceEvents = [];
+            this.scheduleSequence(this.playbackId);
+        }
+    }
+
     /**
      * Включение/выключение метронома
      * @param {boolean} enabled - Статус метронома
@@ -364,36 +903,78 @@ export class AudioService {
 
     /**
      * Запуск метронома
+     * Метроном планируется на том же транспорте, что и последовательность,
+     * и отсчитывает доли в размере звучащей части
      */
     startMetronome() {
-        if (!this.initialized || !this.metronomeEnabled || !window.Tone) {
+        if (!this.initialized || !this.metronomeEnabled || !window.Tone || this.metronomeEventId !== null) {
             return;
         }
         
-        // Запускаем метроном используя Tone.js Transport
-        window.Tone.Transport.scheduleRepeat(time => {
+        const transport = window.Tone.Transport;
+        
+        // Шаг повтора - самая короткая доля среди размеров последовательности
+        const stepTicks = Math.min(
+            ...this.getMeterSections().map(section => this.durationToTicks(1 / parseTimeSignature(section.timeSignature).unit))
+        );
+        
+        this.metronomeEventId = transport.scheduleRepeat(time => {
             // Проверяем, что метроном существует
             if (!this.metronome) return;
             
-            // Играем более высокий звук на первой доле такта
-            if (window.Tone.Transport.position.split(':')[1] === '0') {
+            const accent = this.getMetronomeAccent(Math.round(transport.getTicksAtTime(time)));
+            
+            // Сильная доля звучит выше всех, начало группы долей (6/8, 7/8) - чуть ниже
+            if (accent === 2) {
                 this.metronome.triggerAttackRelease('C3', '16n', time);
-            } else {
+            } else if (accent === 1) {
+                this.metronome.triggerAttackRelease('G2', '16n', time);
+            } else if (accent === 0) {
                 this.metronome.triggerAttackRelease('C2', '16n', time);
             }
-        }, '4n'); // Четвертная нота
+        }, this.ticksToTime(stepTicks), 0);
+    }
+
+    /**
+     * Размеры частей текущей последовательности
+     * @returns {Array<Object>} - { startTicks, timeSignature }; без последовательности - 4/4 с начала
+     * @private
+     */
+    getMeterSections() {
+        return this.meterSections.length > 0
+            ? this.meterSections
+            : [{ startTicks: 0, timeSignature: DEFAULT_TIME_SIGNATURE }];
+    }
+
+    /**
+     * Акцент метронома в позиции транспорта
+     * @param {number} ticks - Позиция в тиках
+     * @returns {number|null} - 2 - сильная доля, 1 - начало группы долей, 0 - слабая доля, null - не доля
+     * @private
+     */
+    getMetronomeAccent(ticks) {
+        const sections = this.getMeterSections();
+        const section = sections.filter(meter => meter.startTicks <= ticks).pop() || sections[0];
         
-        window.Tone.Transport.start();
+        const { beats, unit } = parseTimeSignature(section.timeSignature);
+        const beatTicks = this.durationToTicks(1 / unit);
+        const offset = ticks - section.startTicks;
+        
+        if (offset < 0 || offset % beatTicks !== 0) {
+            return null;
+        }
+        
+        return getAccentLevels(section.timeSignature)[(offset / beatTicks) % beats];
     }
 
     /**
      * Остановка метронома
      */
     stopMetronome() {
-        if (!window.Tone) return;
+        if (!window.Tone || this.metronomeEventId === null) return;
         
-        window.Tone.Transport.stop();
-        window.Tone.Transport.cancel(); // Отменяем все запланированные события
+        window.Tone.Transport.clear(this.metronomeEventId);
+        this.metronomeEventId = null;
     }
 }
 
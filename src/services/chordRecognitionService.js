@@ -0,0 +1,289 @@
+import { Chord, CHORD_INTERVALS } from '../models/chord.js';
+import { mod12, parseNote, formatNote, noteToMidi, spellPitchClass } from '../models/scale.js';
+
+/**
+ * Веса составляющих оценки варианта аккорда
+ * @type {Object<string, number>}
+ */
+const SCORE_WEIGHTS = {
+    base: 10,           // Начальная оценка
+    missing: -3,        // За каждую пропущенную ноту аккорда (квинта, промежуточные опевания)
+    rootInBass: 2,      // Основной тон в басу
+    slashBass: -4,      // Бас не входит в аккорд ("C/D")
+    complexity: -0.05   // За позицию типа в словаре: при равенстве выбирается более простой аккорд
+};
+
+/**
+ * Высотные классы, основной тон на которых по умолчанию записывается бемолем
+ * (Db, Eb, Ab, Bb - тональности с меньшим числом знаков, чем C#, D#, G#, A#)
+ * @type {Array<number>}
+ */
+const FLAT_ROOTS = [1, 3, 8, 10];
+
+/**
+ * Разбор ноты с необязательной октавой ("Bb", "E3", "F#-1")
+ * @type {RegExp}
+ */
+const NOTE_PATTERN = /^([A-Ga-g](?:#{1,2}|x|b{1,2})?)(-?\d)?$/;
+
+/**
+ * Сервис распознавания аккордов
+ * Обратная операция к Chord.getNotes: по набору нот подбирает аккорды словаря CHORD_INTERVALS,
+ * учитывая пропущенную квинту, обращения и бас вне аккорда, и ранжирует варианты
+ */
+export class ChordRecognitionService {
+    constructor() {
+        // Привязка методов к контексту
+        this.recognize = this.recognize.bind(this);
+        this.getBestChord = this.getBestChord.bind(this);
+        this.parseNotes = this.parseNotes.bind(this);
+    }
+
+    /**
+     * Распознавание аккорда по нотам
+     * Ноты задаются номерами MIDI-нот (высотные классы 0-11 тоже подходят) или названиями:
+     * "E3" - нота в октаве, "E" - ближайшая нота выше предыдущей (первая - в 4-й октаве).
+     * Басом считается самая низкая нота
+     * @param {Array<number|string>} notes - Ноты
+     * @param {Object} [options] - Опции
+     * @param {number} [options.limit=5] - Количество возвращаемых вариантов
+     * @param {Tonality} [options.tonality] - Тональность для записи нот, ступени и функции аккорда
+     * @returns {Array<Object>} - Варианты по убыванию оценки: { chord, score, confidence, details }
+     */
+    recognize(notes, options = {}) {
+        const limit = options.limit || 5;
+        const midiNotes = this._getMidiNotes(notes);
+
+        if (midiNotes.length === 0) {
+            return [];
+        }
+
+        const pitchClasses = [...new Set(midiNotes.map(note => mod12(note)))];
+        const bass = mod12(Math.min(...midiNotes));
+        const spellings = this._getSpellings(notes);
+        const types = Object.keys(CHORD_INTERVALS);
+        const candidates = new Map();
+
+        pitchClasses.forEach(root => {
+            types.forEach((type, typeIndex) => {
+                const result = this._matchType(pitchClasses, bass, root, type);
+                if (!result) {
+                    return;
+                }
+
+                const score = SCORE_WEIGHTS.base +
+                    result.missing.length * SCORE_WEIGHTS.missing +
+                    (root === bass ? SCORE_WEIGHTS.rootInBass : 0) +
+                    (result.isSlash ? SCORE_WEIGHTS.slashBass : 0) +
+                    typeIndex * SCORE_WEIGHTS.complexity;
+
+                const chord = this._createChord(root, type, result, bass, spellings, options.tonality);
+                const name = chord.getName();
+
+                // Одно и то же обозначение оставляем с лучшей оценкой
+                if (!candidates.has(name) || candidates.get(name).score < score) {
+                    candidates.set(name, {
+                        chord,
+                        score,
+                        details: {
+                            root: chord.root,
+                            type,
+                            inversion: chord.inversion,
+                            bass: chord.bass,
+                            missing: result.missing,
+                            isSlash: result.isSlash
+                        }
+                    });
+                }
+            });
+        });
+
+        const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+        if (ranked.length === 0) {
+            return [];
+        }
+
+        // Уверенность - доля варианта среди всех (softmax по оценкам)
+        const top = ranked[0].score;
+        const total = ranked.reduce((sum, candidate) => sum + Math.exp(candidate.score - top), 0);
+
+        return ranked.slice(0, limit).map(candidate => ({
+            ...candidate,
+            score: Math.round(candidate.score * 100) / 100,
+            confidence: Math.exp(candidate.score - top) / total
+        }));
+    }
+
+    /**
+     * Получение наиболее вероятного аккорда
+     * @param {Array<number|string>} notes - Ноты (см. recognize)
+     * @param {Object} [options] - Опции (см. recognize)
+     * @returns {Chord|null} - Аккорд или null, если ноты не образуют аккорд словаря
+     */
+    getBestChord(notes, options = {}) {
+        const [best] = this.recognize(notes, { ...options, limit: 1 });
+        return best ? best.chord : null;
+    }
+
+    /**
+     * Разбор нот, записанных через пробел или запятую ("C E G", "E3, C4, G4")
+     * @param {string} text - Строка с нотами
+     * @returns {Array<string>} - Названия нот
+     * @throws {Error} - Если какую-то ноту не удалось разобрать
+     */
+    parseNotes(text) {
+        const tokens = String(text || '').split(/[\s,]+/).filter(Boolean);
+        const invalid = tokens.find(token => !NOTE_PATTERN.test(token));
+
+        if (invalid) {
+            throw new Error(`Не удалось разобрать ноту "${invalid}"`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Сопоставление набора нот с типом аккорда от заданного основного тона
+     * Пропустить можно чистую квинту и промежуточные опевания (9 и 11 в 13-аккорде),
+     * лишней может быть только басовая нота - тогда аккорд записывается через косую черту
+     * @param {Array<number>} pitchClasses - Высотные классы нот
+     * @param {number} bass - Высотный класс баса
+     * @param {number} root - Предполагаемый основной тон
+     * @param {string} type - Тип аккорда
+     * @returns {Object|null} - { missing, isSlash } или null, если ноты не подходят
+     * @private
+     */
+    _matchType(pitchClasses, bass, root, type) {
+        const intervals = CHORD_INTERVALS[type];
+        const chordClasses = intervals.map(interval => mod12(interval));
+        const relative = pitchClasses.map(pitchClass => mod12(pitchClass - root));
+        const extra = relative.filter(interval => !chordClasses.includes(interval));
+
+        const isSlash = extra.length === 1 && extra[0] === mod12(bass - root);
+        if (extra.length > 0 && !isSlash) {
+            return null;
+        }
+
+        // Аккорд должен звучать хотя бы тремя собственными нотами
+        if (relative.length - extra.length < 3) {
+            return null;
+        }
+
+        const highest = Math.max(...intervals);
+        const missing = intervals.filter(interval => !relative.includes(mod12(interval)));
+        const omittable = missing.every(interval => interval === 7 || (interval > 12 && interval < highest));
+
+        return omittable ? { missing, isSlash } : null;
+    }
+
+    /**
+     * Создание аккорда варианта
+     * Бас - нота аккорда задается обращением (кроме опеваний), остальные - явным басом
+     * @param {number} root - Основной тон
+     * @param {string} type - Тип аккорда
+     * @param {Object} match - Результат сопоставления ({ isSlash })
+     * @param {number} bass - Высотный класс баса
+     * @param {Map<number, string>} spellings - Запись нот из входных названий
+     * @param {Tonality} [tonality] - Тональность
+     * @returns {Chord} - Аккорд
+     * @private
+     */
+    _createChord(root, type, match, bass, spellings, tonality = null) {
+        const preferFlats = FLAT_ROOTS.includes(root);
+        const spell = pitchClass => spellings.get(pitchClass) || spellPitchClass(pitchClass, preferFlats);
+        const bassInterval = mod12(bass - root);
+        const inversion = match.isSlash
+            ? -1
+            : CHORD_INTERVALS[type].findIndex(interval => interval < 12 && mod12(interval) === bassInterval);
+
+        const options = {
+            inversion: inversion > 0 ? inversion : 0,
+            bass: bass !== root && inversion === -1 ? spell(bass) : null
+        };
+        let chord = new Chord(spell(root), type, options);
+
+        // Обращение с дубль-знаком в басу ("Ebdim7/Dbb") записываем от энгармонически равного тона
+        if (options.inversion > 0 && !spellings.has(root) && /bb|x|##/.test(chord.getBassNote())) {
+            chord = new Chord(spellPitchClass(root, !preferFlats), type, options);
+        }
+
+        if (!tonality) {
+            return chord;
+        }
+
+        // Запись из входных нот сохраняется, иначе аккорд записывается в тональности
+        if (!spellings.has(root)) {
+            return chord.transpose(0, tonality);
+        }
+
+        const functionInfo = chord.getChordFunction(tonality);
+        chord.inTonality = tonality.getName();
+        chord.function = functionInfo.function;
+        chord.degree = functionInfo.degree;
+
+        return chord;
+    }
+
+    /**
+     * Приведение нот к номерам MIDI-нот
+     * @param {Array<number|string>} notes - Ноты (см. recognize)
+     * @returns {Array<number>} - Номера MIDI-нот (нераспознанные ноты пропускаются)
+     * @private
+     */
+    _getMidiNotes(notes) {
+        const result = [];
+
+        (notes || []).forEach(note => {
+            if (typeof note === 'number') {
+                result.push(note);
+                return;
+            }
+
+            const match = String(note).trim().match(NOTE_PATTERN);
+            if (!match) {
+                return;
+            }
+
+            const pitchClass = parseNote(match[1]).pitchClass;
+            const previous = result[result.length - 1];
+
+            if (match[2] !== undefined) {
+                result.push(noteToMidi(match[1], parseInt(match[2], 10)));
+            } else if (previous === undefined) {
+                result.push(noteToMidi(match[1], 4));
+            } else {
+                // Нота без октавы - ближайшая выше предыдущей
+                const midi = previous + mod12(pitchClass - previous);
+                result.push(midi === previous ? midi + 12 : midi);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Получение записи нот из входных названий
+     * @param {Array<number|string>} notes - Ноты (см. recognize)
+     * @returns {Map<number, string>} - Название ноты по высотному классу
+     * @private
+     */
+    _getSpellings(notes) {
+        const spellings = new Map();
+
+        (notes || []).forEach(note => {
+            const match = typeof note === 'string' ? note.trim().match(NOTE_PATTERN) : null;
+            if (match) {
+                const parsed = parseNote(match[1]);
+                spellings.set(parsed.pitchClass, formatNote(parsed.letter, parsed.alter));
+            }
+        });
+
+        return spellings;
+    }
+}
+
+// Создаем экземпляр сервиса
+const chordRecognitionService = new ChordRecognitionService();
+
+// Экспортируем по умолчанию
+export default chordRecognitionService;
@@ -1,4 +1,55 @@
 import { Chord } from '../models/chord.js';
+import { stackNotes, noteToMidi } from '../models/scale.js';
+import { DEFAULT_TIME_SIGNATURE, parseTimeSignature, getAccentLevels } from '../models/meter.js';
+import voiceLeadingService from './voiceLeadingService.js';
+import rhythmService, { STRUM_SPREAD } from './rhythmService.js';
+import midiFileService from './midiFileService.js';
+import musicXmlService from './musicXmlService.js';
+
+/**
+ * Количество тиков MIDI-файла на четвертную ноту (делится и на триоли, и на шестнадцатые)
+ * @type {number}
+ */
+const MIDI_PPQ = 480;
+
+/**
+ * Дорожки инструментов: название, канал (с 1) и инструмент General MIDI (null - без смены)
+ * @type {Object<string, Object>}
+ */
+const MIDI_TRACKS = {
+    chords: { name: 'Chords', channel: 1, program: 0 },   // Acoustic Grand Piano
+    bass: { name: 'Bass', channel: 2, program: 32 },      // Acoustic Bass
+    drums: { name: 'Drums', channel: 10, program: null }  // Канал ударных General MIDI
+};
+
+/**
+ * Ударные: нота General MIDI и громкость (от 0 до 1)
+ * @type {Object<string, Object>}
+ */
+const DRUM_KIT = {
+    kick: { note: 36, velocity: 1 },
+    snare: { note: 38, velocity: 0.9 },
+    hihat: { note: 42, velocity: 0.6 }
+};
+
+/**
+ * Октава басовой дорожки
+ * @type {number}
+ */
+const BASS_OCTAVE = 2;
+
+/**
+ * Громкость басовой дорожки (от 0 до 1)
+ * @type {number}
+ */
+const BASS_VELOCITY = 0.8;
+
+/**
+ * Перевод длительности в тики MIDI-файла
+ * @param {number} duration - Длительность в долях целой ноты
+ * @returns {number} - Количество тиков
+ */
+const toMidiTicks = duration => Math.round(duration * 4 * MIDI_PPQ);
 
 /**
  * Сервис для экспорта последовательностей аккордов в разные форматы
@@ -8,90 +59,86 @@ export class ExportService {
         // Привязка методов к контексту
         this.exportToMidi = this.exportToMidi.bind(this);
         this.exportToText = this.exportToText.bind(this);
+        this.exportSongToMidi = this.exportSongToMidi.bind(this);
+        this.exportSongToText = this.exportSongToText.bind(this);
+        this.exportSectionsToMidi = this.exportSectionsToMidi.bind(this);
+        this.createMidiFile = this.createMidiFile.bind(this);
+        this.buildMidiTracks = this.buildMidiTracks.bind(this);
+        this.exportToMusicXml = this.exportToMusicXml.bind(this);
+        this.exportSongToMusicXml = this.exportSongToMusicXml.bind(this);
+        this.exportSectionsToMusicXml = this.exportSectionsToMusicXml.bind(this);
         this.downloadFile = this.downloadFile.bind(this);
     }
 
     /**
-     * Экспорт последовательности аккордов в MIDI формат
+     * Экспорт последовательности аккордов блока в MIDI формат
      * @param {Array} sequence - Последовательность аккордов
      * @param {Object} options - Опции экспорта
      * @param {string} options.filename - Имя файла
      * @param {number} options.tempo - Темп в BPM
      * @param {string} options.trackName - Название трека
-     * @returns {Promise} - Промис, который разрешается после экспорта
+     * @param {string} [options.blockName] - Название блока (маркер в начале файла)
+     * @param {Tonality} [options.tonality] - Тональность блока (ключевые знаки)
+     * @param {string} [options.timeSignature='4/4'] - Размер блока
+     * @param {string} [options.voicingStyle] - Стиль расположения аккордов блока
+     * @param {Array<Array<Object>>} [options.voicings] - Готовые расположения аккордов (вместо голосоведения по voicingStyle)
+     * @param {string} [options.rhythmPattern] - Ритмический рисунок аккомпанемента блока
+     * @param {boolean} [options.drums=false] - Добавить дорожку ударных
+     * @param {number} [options.format=1] - Формат MIDI-файла (0 - одна дорожка, 1 - дорожка на инструмент)
+     * @returns {Promise} - Промис, который разрешается содержимым файла (Uint8Array)
      */
     exportToMidi(sequence, options = {}) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Проверяем наличие библиотеки MidiWriter
-                if (!window.MidiWriter) {
-                    reject(new Error('MidiWriter не загружен. Невозможно создать MIDI файл.'));
-                    return;
-                }
+        return this.exportSectionsToMidi([{
+            name: options.blockName || options.trackName || 'ChordPlayer Sequence',
+            sequence,
+            voicings: options.voicings,
+            voicingStyle: options.voicingStyle,
+            tonality: options.tonality,
+            timeSignature: options.timeSignature,
+            rhythmPattern: options.rhythmPattern
+        }], options);
+    }
 
-                // Настройки по умолчанию
-                const settings = {
-                    filename: options.filename || 'chord_sequence',
-                    tempo: options.tempo || 120,
-                    trackName: options.trackName || 'ChordPlayer Sequence'
-                };
+    /**
+     * Экспорт песни (блоков в порядке аранжировки) в MIDI формат
+     * Голосоведение строится внутри каждого блока с его стилем расположения, как при воспроизведении
+     * @param {Array<Object>} sections - Части песни (см. TrackStructure.getSections)
+     * @param {Object} options - Опции экспорта (как у exportToMidi)
+     * @returns {Promise} - Промис, который разрешается содержимым файла (Uint8Array)
+     */
+    exportSongToMidi(sections, options = {}) {
+        const midiSections = this._getSongSections(sections);
 
-                // Создаем трек
-                const track = new window.MidiWriter.Track();
-
-                // Добавляем название трека
-                track.addEvent(new window.MidiWriter.MetaEvent({
-                    data: settings.trackName,
-                    type: window.MidiWriter.MetaEvent.TRACK_NAME
-                }));
-
-                // Добавляем темп
-                track.setTempo(settings.tempo);
-
-                // Перебираем элементы последовательности
-                sequence.forEach(item => {
-                    if (item.isPause) {
-                        // Добавляем паузу
-                        track.addEvent(new window.MidiWriter.NoteEvent({
-                            pitch: ['Gn/0'], // Тихая нота для паузы
-                            duration: '1', // Целая нота
-                            velocity: 0, // Тихая нота для паузы
-                            wait: 'd4'  // Добавляем задержку для паузы
-                        }));
-                    } else if (item.chord) {
-                        // Создаем объект аккорда из данных
-                        const chord = new Chord(
-                            item.chord.root,
-                            item.chord.type,
-                            {
-                                degree: item.chord.degree,
-                                function: item.chord.function,
-                                inTonality: item.chord.inTonality
-                            }
-                        );
-
-                        // Преобразуем ноты аккорда в формат MIDI
-                        const notes = this.formatChordNotesForMidi(chord.getNotes());
-
-                        // Добавляем аккорд в трек
-                        track.addEvent(new window.MidiWriter.NoteEvent({
-                            pitch: notes,
-                            duration: '1', // Целая нота
-                            velocity: 100
-                        }));
-                    }
-                });
+        if (midiSections.length === 0) {
+            return Promise.reject(new Error('В аранжировке нет аккордов'));
+        }
 
-                // Создаем объект записи MIDI
-                const write = new window.MidiWriter.Writer([track]);
+        return this.exportSectionsToMidi(midiSections, options);
+    }
 
-                // Получаем данные MIDI
-                const midiData = write.dataUri();
+    /**
+     * Запись частей песни в MIDI-файл и его загрузка
+     * @param {Array<Object>} sections - Части (см. buildMidiTracks)
+     * @param {Object} options - Опции экспорта (см. createMidiFile)
+     * @param {string} options.filename - Имя файла
+     * @returns {Promise} - Промис, который разрешается содержимым файла (Uint8Array)
+     */
+    exportSectionsToMidi(sections, options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                const filename = options.filename || 'chord_sequence';
+                const bytes = this.createMidiFile(sections, options);
 
                 // Загружаем файл
-                this.downloadFile(midiData, `${settings.filename}.mid`);
+                const url = URL.createObjectURL(midiFileService.toBlob(bytes));
+                this.downloadFile(url, `${filename}.mid`);
+
+                // Освобождаем URL объект
+                setTimeout(() => {
+                    URL.revokeObjectURL(url);
+                }, 100);
 
-                resolve(midiData);
+                resolve(bytes);
             } catch (error) {
                 console.error('Ошибка при экспорте в MIDI:', error);
                 reject(error);
@@ -99,28 +146,297 @@ export class ExportService {
         });
     }
 
+    /**
+     * Создание MIDI-файла из частей песни без загрузки (работает и вне браузера)
+     * @param {Array<Object>} sections - Части (см. buildMidiTracks)
+     * @param {Object} [options] - Опции
+     * @param {number} [options.tempo=120] - Темп в BPM
+     * @param {string} [options.trackName='ChordPlayer Sequence'] - Название трека
+     * @param {boolean} [options.drums=false] - Добавить дорожку ударных
+     * @param {number} [options.format=1] - Формат MIDI-файла (0 или 1)
+     * @returns {Uint8Array} - Содержимое файла
+     */
+    createMidiFile(sections, options = {}) {
+        // Настройки по умолчанию
+        const settings = {
+            tempo: options.tempo || 120,
+            trackName: options.trackName || 'ChordPlayer Sequence',
+            drums: Boolean(options.drums)
+        };
+
+        return midiFileService.encode(this.buildMidiTracks(sections, settings), {
+            format: options.format !== undefined ? options.format : 1,
+            ppq: MIDI_PPQ
+        });
+    }
+
+    /**
+     * Построение дорожек MIDI-файла
+     * Первая дорожка - служебная: темп, а в начале каждой части маркер с ее названием,
+     * размер и ключевые знаки тональности. Далее идут аккорды (удары ритмического рисунка),
+     * бас (басовая нота аккорда на всю его длительность) и, по желанию, ударные.
+     * Паузы только сдвигают время
+     * @param {Array<Object>} sections - Части: { name, sequence, tonality, timeSignature, voicingStyle, rhythmPattern, voicings }
+     * @param {Object} [options] - Опции
+     * @param {number} [options.tempo=120] - Темп в BPM
+     * @param {string} [options.trackName] - Название служебной дорожки
+     * @param {boolean} [options.drums=false] - Добавить дорожку ударных
+     * @returns {Array<Object>} - Дорожки: { name, channel, program, events }; события с абсолютным временем в тиках:
+     *   { tick, type: 'note', pitch, duration, velocity }, { tick, type: 'tempo', bpm },
+     *   { tick, type: 'marker', text }, { tick, type: 'timeSignature', beats, unit },
+     *   { tick, type: 'keySignature', accidentals, minor }
+     */
+    buildMidiTracks(sections, options = {}) {
+        const conductor = {
+            name: options.trackName || 'ChordPlayer',
+            channel: null,
+            program: null,
+            events: [{ tick: 0, type: 'tempo', bpm: options.tempo || 120 }]
+        };
+        const chords = { ...MIDI_TRACKS.chords, events: [] };
+        const bass = { ...MIDI_TRACKS.bass, events: [] };
+        const drums = options.drums ? { ...MIDI_TRACKS.drums, events: [] } : null;
+        let sectionTick = 0;
+
+        sections.forEach(section => {
+            const timeSignature = parseTimeSignature(section.timeSignature || DEFAULT_TIME_SIGNATURE);
+            const voicings = section.voicings || voiceLeadingService.voiceSequence(section.sequence, {
+                style: section.voicingStyle
+            });
+
+            conductor.events.push(
+                { tick: sectionTick, type: 'marker', text: section.name },
+                { tick: sectionTick, type: 'timeSignature', ...timeSignature },
+                { tick: sectionTick, type: 'keySignature', ...this._getKeySignature(section.tonality) }
+            );
+
+            let itemTick = sectionTick;
+
+            section.sequence.forEach((item, index) => {
+                const duration = item.duration || 1;
+
+                if (!item.isPause && item.chord) {
+                    const chord = item.chord instanceof Chord ? item.chord : Chord.fromJSON(item.chord);
+
+                    // Басовая нота нижняя
+                    const voicing = voicings[index];
+                    const notes = voicing && voicing.length > 0
+                        ? voicing.map(voice => voice.midi)
+                        : this.formatChordNotesForMidi(chord.getVoicedNotes());
+
+                    this._addChordHits(chords, notes, duration, section.rhythmPattern, itemTick);
+
+                    const bassNote = noteToMidi(chord.getBassNote(), BASS_OCTAVE);
+                    if (bassNote >= 0) {
+                        bass.events.push({
+                            tick: itemTick,
+                            type: 'note',
+                            pitch: bassNote,
+                            duration: toMidiTicks(duration),
+                            velocity: BASS_VELOCITY
+                        });
+                    }
+                }
+
+                itemTick += toMidiTicks(duration);
+            });
+
+            if (drums) {
+                this._addDrumBeats(drums, timeSignature, sectionTick, itemTick);
+            }
+
+            sectionTick = itemTick;
+        });
+
+        return [conductor, chords, bass, drums].filter(Boolean);
+    }
+
+    /**
+     * Добавление ударов ритмического рисунка аккорда на дорожку
+     * @param {Object} track - Дорожка
+     * @param {Array<number>} notes - Номера MIDI-нот аккорда снизу вверх
+     * @param {number} duration - Длительность элемента в долях целой ноты
+     * @param {string} patternId - ID ритмического рисунка
+     * @param {number} startTick - Начало элемента в тиках
+     * @private
+     */
+    _addChordHits(track, notes, duration, patternId, startTick) {
+        rhythmService.getHits(duration, patternId).forEach(hit => {
+            const hitTick = startTick + toMidiTicks(hit.time);
+            const length = Math.max(1, toMidiTicks(hit.duration));
+
+            // При бое звуки берутся по очереди с небольшим разносом
+            const spread = hit.strum ? toMidiTicks(STRUM_SPREAD) : 0;
+
+            rhythmService.getHitNotes(notes, hit).forEach((pitch, noteIndex) => {
+                track.events.push({
+                    tick: hitTick + noteIndex * spread,
+                    type: 'note',
+                    pitch,
+                    duration: Math.max(1, length - noteIndex * spread),
+                    velocity: hit.velocity
+                });
+            });
+        });
+    }
+
+    /**
+     * Добавление ударных на дорожку: хай-хэт на каждую долю,
+     * бочка на сильную долю и малый барабан на начало остальных групп долей размера
+     * @param {Object} track - Дорожка
+     * @param {Object} timeSignature - Размер { beats, unit }
+     * @param {number} startTick - Начало части в тиках
+     * @param {number} endTick - Конец части в тиках
+     * @private
+     */
+    _addDrumBeats(track, timeSignature, startTick, endTick) {
+        const beatTicks = toMidiTicks(1 / timeSignature.unit);
+        const accents = getAccentLevels(timeSignature);
+        const length = toMidiTicks(1 / 16);
+
+        for (let beat = 0; startTick + beat * beatTicks < endTick; beat++) {
+            const tick = startTick + beat * beatTicks;
+            const accent = accents[beat % accents.length];
+            const parts = ['hihat'];
+
+            if (accent === 2) {
+                parts.push('kick');
+            } else if (accent === 1) {
+                parts.push('snare');
+            }
+
+            parts.forEach(part => {
+                track.events.push({
+                    tick,
+                    type: 'note',
+                    pitch: DRUM_KIT[part].note,
+                    duration: Math.min(length, endTick - tick),
+                    velocity: DRUM_KIT[part].velocity
+                });
+            });
+        }
+    }
+
+    /**
+     * Ключевые знаки тональности
+     * @param {Tonality|Object} tonality - Тональность
+     * @returns {Object} - { accidentals, minor }: диезы (> 0) или бемоли (< 0) и признак минора
+     * @private
+     */
+    _getKeySignature(tonality) {
+        if (!tonality || typeof tonality.getAccidentalCount !== 'function') {
+            return { accidentals: 0, minor: false };
+        }
+
+        return {
+            accidentals: tonality.getAccidentalCount(),
+            minor: tonality.isMinor()
+        };
+    }
+
+    /**
+     * Части песни для экспорта: название блока и его настройки
+     * Пустые блоки не занимают времени и не получают маркеров
+     * @param {Array<Object>} sections - Части песни (см. TrackStructure.getSections)
+     * @returns {Array<Object>} - Части: { name, sequence, voicingStyle, tonality, timeSignature, rhythmPattern }
+     * @private
+     */
+    _getSongSections(sections) {
+        return sections
+            .filter(section => section.sequence.length > 0)
+            .map(section => ({
+                name: section.block && section.block.name ? section.block.name : section.blockId,
+                sequence: section.sequence,
+                voicingStyle: section.voicingStyle,
+                tonality: section.tonality,
+                timeSignature: section.timeSignature,
+                rhythmPattern: section.rhythmPattern
+            }));
+    }
+
     /**
      * Форматирование нот аккорда для MIDI
-     * @param {Array<string>} notes - Ноты аккорда
+     * Первая нота (бас) располагается нижней, остальные - по возрастанию над ней
+     * @param {Array<string>} notes - Ноты аккорда, басовая нота первая
      * @param {number} [octave=4] - Базовая октава
-     * @returns {Array<string>} - Ноты в формате MIDI
+     * @returns {Array<number>} - Номера MIDI-нот
      */
     formatChordNotesForMidi(notes, octave = 4) {
-        // Преобразуем ноты в формат, понятный MidiWriter
-        return notes.map((note, index) => {
-            // Определяем октаву для ноты (все ноты аккорда в одной октаве)
-            const noteOctave = octave;
-            
-            // Преобразуем в формат MidiWriter: C4 -> Cn/4
-            // Заменяем # на s (диез) и b на f (бемоль)
-            let midiNote = note.replace('#', 's').replace('b', 'f');
-            
-            // Добавляем n (натуральная нота) если нет модификаторов
-            if (!midiNote.includes('s') && !midiNote.includes('f')) {
-                midiNote += 'n';
+        return stackNotes(notes, octave);
+    }
+
+    /**
+     * Экспорт последовательности аккордов блока в MusicXML (лид-шит)
+     * @param {Array} sequence - Последовательность аккордов
+     * @param {Object} options - Опции экспорта
+     * @param {string} options.filename - Имя файла
+     * @param {string} [options.title] - Название произведения
+     * @param {number} [options.tempo] - Темп в BPM
+     * @param {string} [options.blockName] - Название блока (репетиционный знак)
+     * @param {Tonality} [options.tonality] - Тональность блока (ключевые знаки)
+     * @param {string} [options.timeSignature='4/4'] - Размер блока
+     * @param {string} [options.voicingStyle] - Стиль расположения аккордов блока
+     * @param {boolean} [options.voiced=false] - Записать аккорды нотами вместо ритмических косых
+     * @returns {Promise} - Промис, который разрешается документом MusicXML
+     */
+    exportToMusicXml(sequence, options = {}) {
+        return this.exportSectionsToMusicXml([{
+            name: options.blockName || 'ChordPlayer Sequence',
+            sequence,
+            voicingStyle: options.voicingStyle,
+            tonality: options.tonality,
+            timeSignature: options.timeSignature
+        }], options);
+    }
+
+    /**
+     * Экспорт песни (блоков в порядке аранжировки) в MusicXML
+     * Каждый блок начинается с репетиционного знака, его размер и тональность
+     * записываются при смене
+     * @param {Array<Object>} sections - Части песни (см. TrackStructure.getSections)
+     * @param {Object} options - Опции экспорта (как у exportToMusicXml)
+     * @returns {Promise} - Промис, который разрешается документом MusicXML
+     */
+    exportSongToMusicXml(sections, options = {}) {
+        const scoreSections = this._getSongSections(sections);
+
+        if (scoreSections.length === 0) {
+            return Promise.reject(new Error('В аранжировке нет аккордов'));
+        }
+
+        return this.exportSectionsToMusicXml(scoreSections, options);
+    }
+
+    /**
+     * Запись частей песни в MusicXML и загрузка файла
+     * @param {Array<Object>} sections - Части (см. musicXmlService.createScore)
+     * @param {Object} options - Опции экспорта (см. exportToMusicXml)
+     * @returns {Promise} - Промис, который разрешается документом MusicXML
+     */
+    exportSectionsToMusicXml(sections, options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                const filename = options.filename || 'chord_sequence';
+                const xml = musicXmlService.createScore(sections, {
+                    title: options.title,
+                    tempo: options.tempo,
+                    voiced: Boolean(options.voiced)
+                });
+
+                // Загружаем файл
+                const url = URL.createObjectURL(musicXmlService.toBlob(xml));
+                this.downloadFile(url, `${filename}.musicxml`);
+
+                // Освобождаем URL объект
+                setTimeout(() => {
+                    URL.revokeObjectURL(url);
+                }, 100);
+
+                resolve(xml);
+            } catch (error) {
+                console.error('Ошибка при экспорте в MusicXML:', error);
+                reject(error);
             }
-            
-            return `${midiNote}/${noteOctave}`;
         });
     }
 
@@ -130,6 +446,7 @@ export class ExportService {
      * @param {Object} options - Опции экспорта
      * @param {string} options.filename - Имя файла
      * @param {Object} options.tonality - Тональность
+     * @param {string} [options.timeSignature='4/4'] - Размер блока
      * @param {string} options.blockId - ID блока
      * @returns {Promise} - Промис, который разрешается после экспорта
      */
@@ -140,36 +457,21 @@ export class ExportService {
                 const settings = {
                     filename: options.filename || 'chord_sequence',
                     tonality: options.tonality || { note: 'C', type: 'dur' },
+                    timeSignature: options.timeSignature || '4/4',
                     blockId: options.blockId || 'Block'
                 };
 
                 // Создаем текстовое представление последовательности
-                const chords = sequence.map(item => {
-                    if (item.isPause) {
-                        return '[Пауза]';
-                    } else if (item.chord) {
-                        return item.chord.getName();
-                    }
-                    return '';
-                }).join(' | ');
+                const chords = this.formatSequenceText(sequence);
 
                 // Создаем текст с информацией
                 const text = `# ChordPlayer Sequence\n\n` +
                              `Block: ${settings.blockId}\n` +
-                             `Tonality: ${settings.tonality.note} ${settings.tonality.type}\n\n` +
+                             `Tonality: ${this.formatTonality(settings.tonality)}\n` +
+                             `Time signature: ${settings.timeSignature}\n\n` +
                              `Sequence:\n${chords}`;
 
-                // Создаем объект Blob для текста
-                const blob = new Blob([text], { type: 'text/plain' });
-                const url = URL.createObjectURL(blob);
-
-                // Загружаем файл
-                this.downloadFile(url, `${settings.filename}.txt`);
-                
-                // Освобождаем URL объект
-                setTimeout(() => {
-                    URL.revokeObjectURL(url);
-                }, 100);
+                this.downloadText(text, `${settings.filename}.txt`);
 
                 resolve(text);
             } catch (error) {
@@ -179,6 +481,93 @@ export class ExportService {
         });
     }
 
+    /**
+     * Экспорт песни (блоков в порядке аранжировки) в текстовый формат
+     * @param {Array<Object>} sections - Части песни: { blockId, block, sequence, tonality, timeSignature }
+     * @param {Object} options - Опции экспорта
+     * @param {string} options.filename - Имя файла
+     * @returns {Promise} - Промис, который разрешается после экспорта
+     */
+    exportSongToText(sections, options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                const filename = options.filename || 'chordplayer_song';
+                const arrangement = sections.map(section => section.blockId).join(' ');
+
+                // Каждая часть - отдельный раздел с тональностью и размером блока
+                const parts = sections.map(section => {
+                    const name = section.block && section.block.name ? section.block.name : section.blockId;
+
+                    return `[${name}] ${this.formatTonality(section.tonality)}, ${section.timeSignature || '4/4'}\n` +
+                           this.formatSequenceText(section.sequence);
+                });
+
+                const text = `# ChordPlayer Song\n\n` +
+                             `Arrangement: ${arrangement}\n\n` +
+                             parts.join('\n\n');
+
+                this.downloadText(text, `${filename}.txt`);
+
+                resolve(text);
+            } catch (error) {
+                console.error('Ошибка при экспорте песни в текст:', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Текстовое представление последовательности
+     * @param {Array} sequence - Последовательность аккордов
+     * @returns {string} - Аккорды через " | "
+     */
+    formatSequenceText(sequence) {
+        return sequence.map(item => {
+            if (item.isPause) {
+                return '[Пауза]';
+            } else if (item.chord) {
+                return item.chord.getName();
+            }
+            return '';
+        }).join(' | ');
+    }
+
+    /**
+     * Название тональности для текста
+     * @param {Tonality|Object} tonality - Тональность или объект { note, type }
+     * @returns {string} - Название тональности
+     */
+    formatTonality(tonality) {
+        if (!tonality) {
+            return '';
+        }
+
+        if (typeof tonality.getRootNote === 'function') {
+            return tonality.toString();
+        }
+
+        return `${tonality.note} ${tonality.type}`;
+    }
+
+    /**
+     * Загрузка текстового файла через браузер
+     * @param {string} text - Содержимое файла
+     * @param {string} filename - Имя файла
+     */
+    downloadText(text, filename) {
+        // Создаем объект Blob для текста
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        // Загружаем файл
+        this.downloadFile(url, filename);
+
+        // Освобождаем URL объект
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
     /**
      * Загрузка файла через браузер
      * @param {string} url - URL файла или Data URI
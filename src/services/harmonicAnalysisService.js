@@ -0,0 +1,568 @@
+import { Chord } from '../models/chord.js';
+import { Tonality } from '../models/tonality.js';
+import { SCALE_PATTERNS, mod12, noteToPitchClass } from '../models/scale.js';
+
+/**
+ * Категории аккордов в гармоническом анализе
+ * @type {Object<string, string>}
+ */
+export const ANALYSIS_CATEGORIES = {
+    diatonic: 'Диатонический',
+    borrowed: 'Заимствованный',
+    secondary: 'Побочная доминанта',
+    neapolitan: 'Неаполитанский',
+    augmentedSixth: 'Увеличенный секстаккорд',
+    chromatic: 'Хроматический'
+};
+
+/**
+ * Римские цифры ступеней
+ * @type {Array<string>}
+ */
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+/**
+ * Ступень и знак альтерации (относительно мажора) для хроматических высот от тоники
+ * @type {Array<Array>}
+ */
+const CHROMATIC_DEGREES = [
+    [0, ''], [1, 'b'], [1, ''], [2, 'b'], [2, ''], [3, ''],
+    [3, '#'], [4, ''], [5, 'b'], [5, ''], [6, 'b'], [6, '']
+];
+
+/**
+ * Цифровка типов аккордов после римской цифры
+ * (трезвучия без цифровки, качество показывается регистром и знаками ° ø +)
+ * @type {Object<string, string>}
+ */
+const TYPE_FIGURES = {
+    'maj7': 'maj7',
+    'min7': '7',
+    '7': '7',
+    'm7b5': '7',
+    'dim7': '7',
+    'mMaj7': 'maj7',
+    'augMaj7': 'maj7',
+    'maj9': 'maj9',
+    'min9': '9',
+    '9': '9',
+    'sus2': 'sus2',
+    'sus4': 'sus4',
+    '6': 'add6',
+    'm6': 'add6',
+    'add9': 'add9',
+    'madd9': 'add9',
+    '11': '11',
+    'm11': '11',
+    '13': '13',
+    'maj13': 'maj13',
+    '7b9': '7b9',
+    '7#9': '7#9',
+    '7#5': '7#5',
+    '7b5': '7b5',
+    '7alt': '7alt',
+    '7sus4': '7sus4'
+};
+
+/**
+ * Цифровка обращений трезвучий и септаккордов (по звуку аккорда в басу)
+ * @type {Object<string, Array<string>>}
+ */
+const INVERSION_FIGURES = {
+    triad: ['', '6', '64'],
+    seventh: ['7', '65', '43', '42']
+};
+
+/**
+ * Увеличенные секстаккорды: высоты от тоники (b6, 1, #4 и добавочный звук)
+ * @type {Object<string, Object>}
+ */
+const AUGMENTED_SIXTHS = {
+    '0,6,8': { label: 'It+6', description: 'Итальянский увеличенный секстаккорд' },
+    '0,2,6,8': { label: 'Fr+6', description: 'Французский увеличенный секстаккорд' },
+    '0,3,6,8': { label: 'Ger+6', description: 'Немецкий увеличенный секстаккорд' }
+};
+
+/**
+ * Лады, из которых заимствуются аккорды (в порядке предпочтения)
+ * @type {Object<string, Array<string>>}
+ */
+const BORROWING_SOURCES = {
+    major: ['minor', 'harmonicMinor', 'dorian', 'mixolydian', 'phrygian', 'lydian'],
+    minor: ['major', 'dorian', 'phrygian', 'mixolydian', 'lydian'],
+    modal: ['major', 'minor']
+};
+
+/**
+ * Названия ладов-источников в родительном падеже
+ * @type {Object<string, string>}
+ */
+const SOURCE_NAMES = {
+    major: 'мажора',
+    minor: 'натурального минора',
+    harmonicMinor: 'гармонического минора',
+    dorian: 'дорийского лада',
+    phrygian: 'фригийского лада',
+    lydian: 'лидийского лада',
+    mixolydian: 'миксолидийского лада'
+};
+
+/**
+ * Сервис гармонического анализа
+ * Подписывает каждый аккорд блока римской цифрой с учетом контекста тональности:
+ * заимствованные аккорды, побочные доминанты, неаполитанский и увеличенные секстаккорды
+ */
+export class HarmonicAnalysisService {
+    constructor() {
+        // Привязка методов к контексту
+        this.analyzeChord = this.analyzeChord.bind(this);
+        this.analyzeSequence = this.analyzeSequence.bind(this);
+        this.analyzeBlock = this.analyzeBlock.bind(this);
+    }
+
+    /**
+     * Анализ аккорда в тональности
+     * @param {Chord|Object} chord - Аккорд (экземпляр или сериализованные данные)
+     * @param {Tonality|string} tonality - Тональность анализа
+     * @param {Chord|Object|null} [nextChord=null] - Следующий аккорд (для определения разрешения)
+     * @returns {Object|null} - { romanNumeral, function, category, description, degree, target } или null
+     */
+    analyzeChord(chord, tonality, nextChord = null) {
+        const key = this._resolveTonality(tonality);
+        const current = this._toChord(chord);
+
+        if (!key || !current) {
+            return null;
+        }
+
+        const tonicPitch = noteToPitchClass(key.getRootNote());
+        const rootPitch = noteToPitchClass(current.root);
+
+        if (tonicPitch === -1 || rootPitch === -1) {
+            return null;
+        }
+
+        const type = Tonality.normalizeType(key.type);
+        const context = {
+            key,
+            type,
+            tonicPitch,
+            chord: current,
+            root: mod12(rootPitch - tonicPitch),
+            pitches: this._getRelativePitches(current, tonicPitch),
+            quality: this._getQuality(current.getIntervals()),
+            next: this._toChord(nextChord)
+        };
+
+        return this._analyzeDiatonic(context) ||
+            this._analyzeNeapolitan(context) ||
+            this._analyzeAugmentedSixth(context) ||
+            this._analyzeSecondary(context, true) ||
+            this._analyzeBorrowed(context) ||
+            this._analyzeSecondary(context, false) ||
+            this._createResult(context, 'chromatic', 'Хроматический аккорд');
+    }
+
+    /**
+     * Анализ последовательности аккордов
+     * Разрешение аккорда определяется по следующему аккорду (паузы пропускаются)
+     * @param {Array<Object>|ChordSequence} sequence - Элементы последовательности ({ chord, isPause })
+     * @param {Tonality|string} tonality - Тональность анализа
+     * @returns {Array<Object|null>} - Результаты анализа по элементам (null для пауз)
+     */
+    analyzeSequence(sequence, tonality) {
+        const items = Array.isArray(sequence) ? sequence : (sequence ? sequence.getItems() : []);
+        const isChord = item => item && !item.isPause && item.chord;
+
+        return items.map((item, index) => {
+            if (!isChord(item)) {
+                return null;
+            }
+
+            const next = items.slice(index + 1).find(isChord);
+            return this.analyzeChord(item.chord, tonality, next ? next.chord : null);
+        });
+    }
+
+    /**
+     * Анализ последовательности блока в его тональности
+     * @param {TrackBlock|Object} block - Блок (экземпляр TrackBlock или данные блока из хранилища)
+     * @returns {Array<Object|null>} - Результаты анализа по элементам (null для пауз)
+     */
+    analyzeBlock(block) {
+        if (!block) {
+            return [];
+        }
+
+        return this.analyzeSequence(block.sequence, block.tonality);
+    }
+
+    /**
+     * Приведение тональности к экземпляру Tonality
+     * @param {Tonality|Object|string} tonality - Тональность, ее данные или код
+     * @returns {Tonality|null} - Тональность или null
+     * @private
+     */
+    _resolveTonality(tonality) {
+        if (typeof tonality === 'string') {
+            return Tonality.fromJSON({ code: tonality });
+        }
+
+        return Tonality.fromJSON(tonality);
+    }
+
+    /**
+     * Приведение аккорда к экземпляру Chord
+     * @param {Chord|Object|null} chord - Аккорд или его данные
+     * @returns {Chord|null} - Аккорд или null
+     * @private
+     */
+    _toChord(chord) {
+        if (!chord) {
+            return null;
+        }
+
+        return chord instanceof Chord ? chord : Chord.fromJSON(chord);
+    }
+
+    /**
+     * Высоты звуков аккорда от тоники (без повторов, по возрастанию)
+     * @param {Chord} chord - Аккорд
+     * @param {number} tonicPitch - Высотный класс тоники
+     * @returns {Array<number>} - Высотные классы от тоники
+     * @private
+     */
+    _getRelativePitches(chord, tonicPitch) {
+        const pitches = chord.getNotes()
+            .map(note => noteToPitchClass(note))
+            .filter(pitch => pitch !== -1)
+            .map(pitch => mod12(pitch - tonicPitch));
+
+        return [...new Set(pitches)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Определение качества аккорда по интервалам
+     * @param {Array<number>} intervals - Интервалы от основной ноты
+     * @returns {Object} - { quality, isDominant, hasSeventh }
+     * @private
+     */
+    _getQuality(intervals) {
+        const has = interval => intervals.some(value => mod12(value) === interval);
+        const majorThird = has(4);
+        const minorThird = has(3) && !majorThird;
+        const hasSeventh = has(10) || has(11);
+
+        let quality = 'major';
+        if (minorThird && has(6) && !has(7)) {
+            quality = has(10) ? 'halfDiminished' : 'diminished';
+        } else if (majorThird && has(8) && !has(7) && !hasSeventh) {
+            quality = 'augmented';
+        } else if (minorThird) {
+            quality = 'minor';
+        }
+
+        return {
+            quality,
+            isDominant: !minorThird && has(10) && (majorThird || has(5)),
+            hasSeventh
+        };
+    }
+
+    /**
+     * Ступень для высоты от тоники
+     * Звуки гаммы тональности получают свою ступень, остальные - по таблице хроматических ступеней
+     * @param {number} pitch - Высота от тоники
+     * @param {string} type - Тип тональности
+     * @returns {Object} - { index, accidental }
+     * @private
+     */
+    _getDegree(pitch, type) {
+        const pattern = SCALE_PATTERNS[type] || SCALE_PATTERNS.major;
+        const index = pattern.indexOf(pitch);
+
+        if (index !== -1) {
+            const offset = pitch - SCALE_PATTERNS.major[index];
+            return { index, accidental: offset < 0 ? 'b'.repeat(-offset) : '#'.repeat(offset) };
+        }
+
+        const [chromaticIndex, accidental] = CHROMATIC_DEGREES[pitch];
+        return { index: chromaticIndex, accidental };
+    }
+
+    /**
+     * Цифровка аккорда: тип и обращение
+     * @param {Chord} chord - Аккорд
+     * @returns {string} - Цифровка (например, "7", "65", "6", "add9")
+     * @private
+     */
+    _getFigure(chord) {
+        const figure = chord.intervals ? '' : (TYPE_FIGURES[chord.type] || '');
+        const isTriad = ['maj', 'min', 'dim', 'aug'].includes(chord.type);
+        const isSeventh = figure === '7' || figure === 'maj7';
+
+        if ((!isTriad && !isSeventh) || (chord.bass === null && chord.inversion === 0)) {
+            return figure;
+        }
+
+        // Обращение определяется по звуку аккорда в басу
+        const rootPitch = noteToPitchClass(chord.root);
+        const bassInterval = mod12(noteToPitchClass(chord.getBassNote()) - rootPitch);
+        const position = chord.getIntervals().findIndex(interval => mod12(interval) === bassInterval);
+
+        if (position <= 0) {
+            return figure;
+        }
+
+        if (isTriad) {
+            return INVERSION_FIGURES.triad[position] || figure;
+        }
+
+        const inversionFigure = INVERSION_FIGURES.seventh[position];
+        if (!inversionFigure) {
+            return figure;
+        }
+
+        return figure === 'maj7' ? `maj${inversionFigure}` : inversionFigure;
+    }
+
+    /**
+     * Построение римской цифры
+     * @param {Object} degree - { index, accidental }
+     * @param {string} quality - Качество аккорда (major, minor, diminished, halfDiminished, augmented)
+     * @param {string} [figure=''] - Цифровка
+     * @returns {string} - Римская цифра (например, "bVI", "viiø7", "V65")
+     * @private
+     */
+    _buildNumeral(degree, quality, figure = '') {
+        let numeral = NUMERALS[degree.index];
+
+        if (quality === 'minor' || quality === 'diminished' || quality === 'halfDiminished') {
+            numeral = numeral.toLowerCase();
+        }
+
+        const symbols = { diminished: '°', halfDiminished: 'ø', augmented: '+' };
+
+        return `${degree.accidental}${numeral}${symbols[quality] || ''}${figure}`;
+    }
+
+    /**
+     * Римская цифра диатонической ступени тональности (для обозначения цели побочной доминанты)
+     * @param {Object} context - Контекст анализа
+     * @param {number} pitch - Высота ступени от тоники
+     * @returns {string|null} - Римская цифра или null, если ступень не может быть целью
+     * @private
+     */
+    _getTargetNumeral(context, pitch) {
+        const pattern = SCALE_PATTERNS[context.type];
+        const index = pattern ? pattern.indexOf(pitch) : -1;
+
+        // Тоника - это основная доминанта, уменьшенное трезвучие не тонизируется
+        if (index <= 0) {
+            return null;
+        }
+
+        const info = context.key.getChordsInTonality()[index];
+        if (!info || info.type === 'dim' || !info.type) {
+            return null;
+        }
+
+        const qualities = { maj: 'major', min: 'minor', aug: 'augmented' };
+        return this._buildNumeral(this._getDegree(pitch, context.type), qualities[info.type]);
+    }
+
+    /**
+     * Функция (T, S, D) ступени тональности
+     * @param {Object} context - Контекст анализа
+     * @param {number} index - Индекс ступени (0-6)
+     * @returns {string|null} - Функция или null
+     * @private
+     */
+    _getDegreeFunction(context, index) {
+        const info = context.key.getChordsInTonality()[index];
+        return info ? info.function : null;
+    }
+
+    /**
+     * Проверка, что все звуки аккорда входят в гамму
+     * @param {Array<number>} pitches - Высоты от тоники
+     * @param {string} scaleName - Название гаммы из SCALE_PATTERNS
+     * @returns {boolean} - true, если аккорд целиком в гамме
+     * @private
+     */
+    _fitsScale(pitches, scaleName) {
+        const pattern = SCALE_PATTERNS[scaleName];
+        return Boolean(pattern) && pitches.every(pitch => pattern.includes(pitch));
+    }
+
+    /**
+     * Создание результата анализа для ступени аккорда
+     * @param {Object} context - Контекст анализа
+     * @param {string} category - Категория из ANALYSIS_CATEGORIES
+     * @param {string} description - Пояснение
+     * @param {Object} [overrides] - Поля результата, заменяющие вычисленные
+     * @returns {Object} - Результат анализа
+     * @private
+     */
+    _createResult(context, category, description, overrides = {}) {
+        const degree = this._getDegree(context.root, context.type);
+
+        return {
+            romanNumeral: this._buildNumeral(degree, context.quality.quality, this._getFigure(context.chord)),
+            function: category === 'chromatic' ? null : this._getDegreeFunction(context, degree.index),
+            category,
+            description,
+            degree: degree.index + 1,
+            target: null,
+            ...overrides
+        };
+    }
+
+    /**
+     * Диатонический аккорд (для минора - с учетом гармонического и мелодического видов)
+     * @param {Object} context - Контекст анализа
+     * @returns {Object|null} - Результат анализа или null
+     * @private
+     */
+    _analyzeDiatonic(context) {
+        const scales = context.type === 'minor'
+            ? ['minor', 'harmonicMinor', 'melodicMinor']
+            : [context.type];
+
+        if (scales.some(scaleName => this._fitsScale(context.pitches, scaleName))) {
+            return this._createResult(context, 'diatonic', 'Диатонический аккорд тональности');
+        }
+
+        // Альтерированная доминанта (V7b9, V7alt) остается доминантой тональности
+        if (context.root === 7 && context.quality.isDominant) {
+            return this._createResult(context, 'diatonic', 'Альтерированная доминанта', { function: 'D' });
+        }
+
+        return null;
+    }
+
+    /**
+     * Неаполитанский аккорд: мажорное трезвучие на пониженной II ступени
+     * @param {Object} context - Контекст анализа
+     * @returns {Object|null} - Результат анализа или null
+     * @private
+     */
+    _analyzeNeapolitan(context) {
+        if (context.root !== 1 || context.chord.type !== 'maj' || context.chord.intervals) {
+            return null;
+        }
+
+        return this._createResult(context, 'neapolitan', 'Неаполитанский аккорд', {
+            romanNumeral: `N${this._getFigure(context.chord)}`,
+            function: 'S'
+        });
+    }
+
+    /**
+     * Увеличенные секстаккорды (итальянский, французский, немецкий)
+     * Немецкий звучит как доминантсептаккорд bVI7, поэтому при разрешении
+     * на кварту вверх он считается доминантой
+     * @param {Object} context - Контекст анализа
+     * @returns {Object|null} - Результат анализа или null
+     * @private
+     */
+    _analyzeAugmentedSixth(context) {
+        const match = AUGMENTED_SIXTHS[context.pitches.join(',')];
+        if (!match) {
+            return null;
+        }
+
+        if (context.next) {
+            const nextRoot = mod12(noteToPitchClass(context.next.root) - context.tonicPitch);
+            if (nextRoot === mod12(context.root + 5) && nextRoot !== 7) {
+                return null;
+            }
+        }
+
+        return this._createResult(context, 'augmentedSixth', match.description, {
+            romanNumeral: match.label,
+            function: 'S',
+            degree: null
+        });
+    }
+
+    /**
+     * Побочная доминанта (V/x) или вводный аккорд (vii°/x) к ступени тональности
+     * @param {Object} context - Контекст анализа
+     * @param {boolean} requireResolution - Требовать разрешения в следующем аккорде
+     * @returns {Object|null} - Результат анализа или null
+     * @private
+     */
+    _analyzeSecondary(context, requireResolution) {
+        const { chord, quality } = context;
+        const isLeadingTone = quality.quality === 'diminished' || quality.quality === 'halfDiminished';
+
+        if (!quality.isDominant && !(quality.quality === 'major' && requireResolution) && !isLeadingTone) {
+            return null;
+        }
+
+        // Без разрешения побочной доминантой считаем только доминантсептаккорды
+        if (!requireResolution && !quality.isDominant) {
+            return null;
+        }
+
+        const nextRoot = context.next
+            ? mod12(noteToPitchClass(context.next.root) - context.tonicPitch)
+            : null;
+
+        // Уменьшенный септаккорд симметричен: основным тоном может быть любой его звук
+        const roots = chord.type === 'dim7'
+            ? [0, 3, 6, 9].map(offset => mod12(context.root + offset))
+            : [context.root];
+
+        for (const root of roots) {
+            const targetPitch = mod12(root + (isLeadingTone ? 1 : 5));
+
+            if (requireResolution && targetPitch !== nextRoot) {
+                continue;
+            }
+
+            const target = this._getTargetNumeral(context, targetPitch);
+            if (!target) {
+                continue;
+            }
+
+            const degree = { index: isLeadingTone ? 6 : 4, accidental: '' };
+            const figure = root === context.root ? this._getFigure(chord) : TYPE_FIGURES[chord.type];
+            const numeral = this._buildNumeral(degree, quality.quality, figure);
+
+            return this._createResult(context, 'secondary', `${isLeadingTone ? 'Вводный аккорд' : 'Побочная доминанта'} к ${target}`, {
+                romanNumeral: `${numeral}/${target}`,
+                function: 'D',
+                target
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Аккорд, заимствованный из одноименной тональности или лада
+     * @param {Object} context - Контекст анализа
+     * @returns {Object|null} - Результат анализа или null
+     * @private
+     */
+    _analyzeBorrowed(context) {
+        const sources = BORROWING_SOURCES[context.type] || BORROWING_SOURCES.modal;
+        const source = sources.find(scaleName => {
+            return scaleName !== context.type && this._fitsScale(context.pitches, scaleName);
+        });
+
+        if (!source) {
+            return null;
+        }
+
+        return this._createResult(context, 'borrowed', `Заимствован из одноименного ${SOURCE_NAMES[source]}`);
+    }
+}
+
+// Создаем экземпляр сервиса
+const harmonicAnalysisService = new HarmonicAnalysisService();
+
+// Экспортируем по умолчанию
+export default harmonicAnalysisService;
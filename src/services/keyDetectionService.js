@@ -0,0 +1,247 @@
+import { Chord } from '../models/chord.js';
+import { Tonality, tonalityCollection } from '../models/tonality.js';
+import { SCALE_PATTERNS, mod12, noteToPitchClass } from '../models/scale.js';
+
+/**
+ * Веса составляющих оценки тональности
+ * @type {Object<string, number>}
+ */
+const SCORE_WEIGHTS = {
+    fit: 12,        // Соответствие аккордов гамме
+    tonic: 3,       // Доля длительности, занятой тоническим аккордом
+    first: 1,       // Тоническое трезвучие в начале
+    last: 1.5,      // Тоническое трезвучие в конце
+    cadence: 1,     // Каденции на тонику (не больше MAX_CADENCES)
+    spelling: 0.5,  // Совпадение записи основных тонов с записью гаммы (C# или Db)
+    modal: -1.5     // Лады выбираются только при явном перевесе над мажором и минором
+};
+
+/**
+ * Максимальное количество учитываемых каденций
+ * @type {number}
+ */
+const MAX_CADENCES = 3;
+
+/**
+ * Вес каденции по высоте основного тона предыдущего аккорда от тоники
+ * (доминанта, субдоминанта, остальные ступени)
+ * @type {Object<string, number>}
+ */
+const CADENCE_WEIGHTS = {
+    dominant: 1,
+    subdominant: 0.5,
+    other: 0.25
+};
+
+/**
+ * Качество тонического трезвучия по типу тональности
+ * @type {Object<string, string>}
+ */
+const TONIC_QUALITIES = {
+    major: 'major',
+    lydian: 'major',
+    mixolydian: 'major',
+    minor: 'minor',
+    dorian: 'minor',
+    phrygian: 'minor',
+    locrian: 'diminished'
+};
+
+/**
+ * Сервис определения тональности
+ * Оценивает каждую тональность коллекции по последовательности аккордов:
+ * диатоничность, тонический аккорд, каденции, первый и последний аккорды
+ */
+export class KeyDetectionService {
+    constructor() {
+        // Привязка методов к контексту
+        this.detectKey = this.detectKey.bind(this);
+        this.scoreTonality = this.scoreTonality.bind(this);
+    }
+
+    /**
+     * Определение тональности последовательности
+     * @param {ChordSequence|Array<Object>} sequence - Последовательность или элементы ({ chord, duration, isPause })
+     * @param {Object} [options] - Опции
+     * @param {number} [options.limit=5] - Количество возвращаемых вариантов
+     * @returns {Array<Object>} - Варианты по убыванию оценки: { tonality, score, confidence, details }
+     */
+    detectKey(sequence, options = {}) {
+        const limit = options.limit || 5;
+        const chords = this._getChords(sequence);
+
+        if (chords.length === 0) {
+            return [];
+        }
+
+        tonalityCollection.initializeIfEmpty();
+
+        // Энгармонически равные тональности (F# и Gb) оставляем в одном экземпляре
+        const best = new Map();
+        tonalityCollection.getAllTonalities().forEach(tonality => {
+            const result = this.scoreTonality(chords, tonality);
+            if (!result) {
+                return;
+            }
+
+            const key = `${noteToPitchClass(tonality.getRootNote())}:${tonality.type}`;
+            if (!best.has(key) || best.get(key).score < result.score) {
+                best.set(key, result);
+            }
+        });
+
+        const ranked = [...best.values()].sort((a, b) => b.score - a.score);
+        if (ranked.length === 0) {
+            return [];
+        }
+
+        // Уверенность - доля варианта среди всех (softmax по оценкам)
+        const top = ranked[0].score;
+        const total = ranked.reduce((sum, result) => sum + Math.exp(result.score - top), 0);
+
+        return ranked.slice(0, limit).map(result => ({
+            ...result,
+            score: Math.round(result.score * 100) / 100,
+            confidence: Math.exp(result.score - top) / total
+        }));
+    }
+
+    /**
+     * Оценка тональности для набора аккордов
+     * @param {Array<Object>} chords - Аккорды с длительностями ({ chord, duration })
+     * @param {Tonality} tonality - Тональность
+     * @returns {Object|null} - { tonality, score, details } или null, если гамма тональности не построена
+     */
+    scoreTonality(chords, tonality) {
+        const type = Tonality.normalizeType(tonality.type);
+        const scaleNotes = tonality.getScaleNotes();
+        const tonicPitch = noteToPitchClass(tonality.getRootNote());
+
+        if (!type || scaleNotes.length === 0 || tonicPitch === -1) {
+            return null;
+        }
+
+        // В миноре учитываем гармонический и мелодический виды
+        const patterns = (type === 'minor' ? ['minor', 'harmonicMinor', 'melodicMinor'] : [type])
+            .map(scaleName => SCALE_PATTERNS[scaleName]);
+
+        const totalDuration = chords.reduce((sum, item) => sum + item.duration, 0);
+        const isTonicChord = chord => {
+            return chord.root === 0 && chord.quality === TONIC_QUALITIES[type];
+        };
+
+        let fit = 0;
+        let tonic = 0;
+        let spelling = 0;
+        let cadences = 0;
+
+        const analyzed = chords.map(item => {
+            const rootPitch = noteToPitchClass(item.chord.root);
+            const pitches = item.chord.getNotes()
+                .map(note => noteToPitchClass(note))
+                .filter(pitch => pitch !== -1)
+                .map(pitch => mod12(pitch - tonicPitch));
+
+            return {
+                root: mod12(rootPitch - tonicPitch),
+                name: item.chord.root,
+                quality: this._getQuality(item.chord),
+                pitches,
+                duration: item.duration
+            };
+        });
+
+        analyzed.forEach((chord, index) => {
+            // Доля звуков аккорда в гамме в квадрате: один чужой звук заметно снижает оценку
+            const chordFit = Math.max(...patterns.map(pattern => {
+                const share = chord.pitches.filter(pitch => pattern.includes(pitch)).length / chord.pitches.length;
+                return share * share;
+            }));
+
+            fit += chordFit * chord.duration;
+
+            if (isTonicChord(chord)) {
+                tonic += chord.duration;
+            }
+
+            if (scaleNotes.includes(chord.name)) {
+                spelling += 1;
+            }
+
+            // Каденция: переход на тонический аккорд с другой ступени
+            const previous = analyzed[index - 1];
+            if (previous && isTonicChord(chord) && previous.root !== 0) {
+                if (previous.root === 7 && previous.quality === 'major') {
+                    cadences += CADENCE_WEIGHTS.dominant;
+                } else if (previous.root === 5) {
+                    cadences += CADENCE_WEIGHTS.subdominant;
+                } else {
+                    cadences += CADENCE_WEIGHTS.other;
+                }
+            }
+        });
+
+        const details = {
+            fit: fit / totalDuration,
+            tonic: tonic / totalDuration,
+            first: isTonicChord(analyzed[0]) ? 1 : 0,
+            last: isTonicChord(analyzed[analyzed.length - 1]) ? 1 : 0,
+            cadences: Math.min(cadences, MAX_CADENCES),
+            spelling: spelling / analyzed.length
+        };
+
+        const score = details.fit * SCORE_WEIGHTS.fit +
+            details.tonic * SCORE_WEIGHTS.tonic +
+            details.first * SCORE_WEIGHTS.first +
+            details.last * SCORE_WEIGHTS.last +
+            details.cadences * SCORE_WEIGHTS.cadence +
+            details.spelling * SCORE_WEIGHTS.spelling +
+            (tonality.isModal() ? SCORE_WEIGHTS.modal : 0);
+
+        return { tonality, score, details };
+    }
+
+    /**
+     * Аккорды последовательности с длительностями (без пауз)
+     * @param {ChordSequence|Array<Object>} sequence - Последовательность или элементы
+     * @returns {Array<Object>} - { chord, duration }
+     * @private
+     */
+    _getChords(sequence) {
+        const items = Array.isArray(sequence) ? sequence : (sequence ? sequence.getItems() : []);
+
+        return items
+            .filter(item => item && !item.isPause && item.chord)
+            .map(item => ({
+                chord: item.chord instanceof Chord ? item.chord : Chord.fromJSON(item.chord),
+                duration: item.duration || 1
+            }))
+            .filter(item => item.chord && noteToPitchClass(item.chord.root) !== -1);
+    }
+
+    /**
+     * Качество трезвучия, лежащего в основе аккорда
+     * @param {Chord} chord - Аккорд
+     * @returns {string} - major, minor, diminished или other
+     * @private
+     */
+    _getQuality(chord) {
+        const intervals = chord.getIntervals().map(interval => mod12(interval));
+
+        if (intervals.includes(4)) {
+            return 'major';
+        }
+
+        if (intervals.includes(3)) {
+            return intervals.includes(6) && !intervals.includes(7) ? 'diminished' : 'minor';
+        }
+
+        return 'other';
+    }
+}
+
+// Создаем экземпляр сервиса
+const keyDetectionService = new KeyDetectionService();
+
+// Экспортируем по умолчанию
+export default keyDetectionService;
@@ -0,0 +1,577 @@
+/**
+ * Количество тиков на четвертную ноту по умолчанию
+ * @type {number}
+ */
+export const DEFAULT_PPQ = 480;
+
+/**
+ * Типы текстовых служебных событий Standard MIDI File
+ * @type {Object<string, number>}
+ */
+const TEXT_META_TYPES = {
+    text: 0x01,
+    copyright: 0x02,
+    trackName: 0x03,
+    instrumentName: 0x04,
+    lyric: 0x05,
+    marker: 0x06,
+    cuePoint: 0x07
+};
+
+/**
+ * Служебные события с данными фиксированной длины
+ * @type {Object<string, number>}
+ */
+const META_TYPES = {
+    endOfTrack: 0x2F,
+    tempo: 0x51,
+    timeSignature: 0x58,
+    keySignature: 0x59
+};
+
+/**
+ * Порядок событий в одном тике: служебные, смена инструмента, снятие нот, взятие нот.
+ * Так нота, которая начинается там же, где закончилась предыдущая на той же высоте, не обрывается
+ * @type {Object<string, number>}
+ */
+const EVENT_ORDER = {
+    meta: 0,
+    programChange: 1,
+    noteOff: 2,
+    noteOn: 3
+};
+
+/**
+ * Сервис записи и чтения Standard MIDI File (форматы 0 и 1)
+ * Не зависит от браузера: результат записи - Uint8Array, который можно сравнивать побайтно
+ * или обернуть в Blob для загрузки. Чтение возвращает дорожки в том же виде, что принимает запись.
+ *
+ * Дорожка: { name, channel, program, events }, канал - от 1 до 16.
+ * События с абсолютным временем в тиках:
+ *   { tick, type: 'note', pitch, duration, velocity, channel } - velocity от 0 до 1, канал по умолчанию - канал дорожки
+ *   { tick, type: 'programChange', program, channel }
+ *   { tick, type: 'tempo', bpm } - несколько событий образуют карту темпа
+ *   { tick, type: 'timeSignature', beats, unit }
+ *   { tick, type: 'keySignature', accidentals, minor } - accidentals: диезы (> 0) или бемоли (< 0)
+ *   { tick, type: 'marker' | 'text' | 'lyric' | 'cuePoint' | 'trackName' | 'instrumentName' | 'copyright', text }
+ */
+export class MidiFileService {
+    constructor() {
+        // Привязка методов к контексту
+        this.encode = this.encode.bind(this);
+        this.encodeTrack = this.encodeTrack.bind(this);
+        this.toBlob = this.toBlob.bind(this);
+        this.decode = this.decode.bind(this);
+    }
+
+    /**
+     * Запись MIDI-файла
+     * @param {Array<Object>} tracks - Дорожки
+     * @param {Object} [options] - Опции
+     * @param {number} [options.format] - Формат файла: 0 (все события в одной дорожке) или 1 (по умолчанию для нескольких дорожек)
+     * @param {number} [options.ppq=480] - Количество тиков на четвертную ноту
+     * @returns {Uint8Array} - Содержимое файла
+     * @throws {Error} - Если параметры файла или события некорректны
+     */
+    encode(tracks, options = {}) {
+        if (!tracks || tracks.length === 0) {
+            throw new Error('В MIDI-файле нет ни одной дорожки');
+        }
+
+        const ppq = options.ppq || DEFAULT_PPQ;
+        const format = options.format !== undefined ? options.format : (tracks.length > 1 ? 1 : 0);
+
+        if (format !== 0 && format !== 1) {
+            throw new Error(`Неподдерживаемый формат MIDI-файла: ${format}`);
+        }
+
+        if (!Number.isInteger(ppq) || ppq <= 0 || ppq > 0x7FFF) {
+            throw new Error(`Некорректное разрешение MIDI-файла: ${ppq}`);
+        }
+
+        // В формате 0 события всех дорожек сливаются в одну, каналы сохраняются,
+        // а название остается только у первой дорожки
+        const chunks = format === 0
+            ? [this._encodeEvents(tracks.flatMap((track, index) => this._getTrackEvents(index === 0 ? track : { ...track, name: null })))]
+            : tracks.map(track => this.encodeTrack(track));
+
+        const header = [
+            ...this._getAscii('MThd'),
+            ...this._getBytes(6, 4),
+            ...this._getBytes(format, 2),
+            ...this._getBytes(chunks.length, 2),
+            ...this._getBytes(ppq, 2)
+        ];
+
+        const data = [header, ...chunks.map(chunk => [
+            ...this._getAscii('MTrk'),
+            ...this._getBytes(chunk.length, 4),
+            ...chunk
+        ])];
+
+        return new Uint8Array(data.flat());
+    }
+
+    /**
+     * Запись одной дорожки (без заголовка блока MTrk)
+     * @param {Object} track - Дорожка
+     * @returns {Array<number>} - Байты событий дорожки, включая конец дорожки
+     */
+    encodeTrack(track) {
+        return this._encodeEvents(this._getTrackEvents(track));
+    }
+
+    /**
+     * Обертка содержимого файла в Blob для загрузки
+     * @param {Uint8Array} bytes - Содержимое файла
+     * @returns {Blob} - Blob с типом audio/midi
+     */
+    toBlob(bytes) {
+        return new Blob([bytes], { type: 'audio/midi' });
+    }
+
+    /**
+     * Чтение MIDI-файла
+     * Ноты собираются из пар взятие/снятие (взятие с нулевой громкостью - тоже снятие),
+     * неизвестные и системные события пропускаются
+     * @param {Uint8Array|ArrayBuffer} data - Содержимое файла
+     * @returns {Object} - { format, ppq, tracks: [{ name, events }] }; события отсортированы по времени
+     * @throws {Error} - Если файл не является MIDI-файлом, поврежден или использует SMPTE-время
+     */
+    decode(data) {
+        const reader = this._createReader(data instanceof Uint8Array ? data : new Uint8Array(data));
+
+        if (reader.readAscii(4) !== 'MThd') {
+            throw new Error('Файл не является MIDI-файлом');
+        }
+
+        const headerEnd = reader.readNumber(4) + reader.position;
+        const format = reader.readNumber(2);
+        const trackCount = reader.readNumber(2);
+        const division = reader.readNumber(2);
+
+        if (division & 0x8000) {
+            throw new Error('MIDI-файлы с SMPTE-временем не поддерживаются');
+        }
+
+        reader.position = headerEnd;
+        const tracks = [];
+
+        while (tracks.length < trackCount && reader.position < reader.length) {
+            const type = reader.readAscii(4);
+            const chunkEnd = reader.readNumber(4) + reader.position;
+
+            // Блоки неизвестного типа пропускаются
+            if (type === 'MTrk') {
+                tracks.push(this._decodeTrack(reader, chunkEnd));
+            }
+
+            reader.position = chunkEnd;
+        }
+
+        return { format, ppq: division, tracks };
+    }
+
+    /**
+     * Чтение событий одной дорожки
+     * @param {Object} reader - Чтение байтов (см. _createReader)
+     * @param {number} end - Позиция конца блока дорожки
+     * @returns {Object} - Дорожка { name, events }
+     * @private
+     */
+    _decodeTrack(reader, end) {
+        const track = { name: null, events: [] };
+        const openNotes = {};
+        let tick = 0;
+        let runningStatus = null;
+
+        const closeNote = (channel, pitch) => {
+            const started = (openNotes[`${channel}:${pitch}`] || []).shift();
+
+            if (started) {
+                track.events.push({
+                    tick: started.tick,
+                    type: 'note',
+                    pitch,
+                    duration: tick - started.tick,
+                    velocity: started.velocity / 127,
+                    channel
+                });
+            }
+        };
+
+        while (reader.position < end) {
+            tick += reader.readVariableLength();
+
+            // Байт статуса может быть опущен: тогда действует статус предыдущего канального события
+            let status = reader.peekByte();
+            if (status & 0x80) {
+                reader.position++;
+            } else if (runningStatus !== null) {
+                status = runningStatus;
+            } else {
+                throw new Error('Поврежденная дорожка MIDI-файла');
+            }
+
+            if (status === 0xFF) {
+                runningStatus = null;
+
+                const type = reader.readByte();
+                const bytes = reader.readBytes(reader.readVariableLength());
+
+                if (type === META_TYPES.endOfTrack) {
+                    break;
+                }
+
+                this._decodeMetaEvent(track, tick, type, bytes);
+                continue;
+            }
+
+            // Системные сообщения пропускаются
+            if (status === 0xF0 || status === 0xF7) {
+                runningStatus = null;
+                reader.readBytes(reader.readVariableLength());
+                continue;
+            }
+
+            runningStatus = status;
+
+            const kind = status & 0xF0;
+            const channel = (status & 0x0F) + 1;
+            const first = reader.readByte();
+            const second = kind === 0xC0 || kind === 0xD0 ? null : reader.readByte();
+
+            if (kind === 0x90 && second > 0) {
+                const key = `${channel}:${first}`;
+                openNotes[key] = [...(openNotes[key] || []), { tick, velocity: second }];
+            } else if (kind === 0x80 || kind === 0x90) {
+                closeNote(channel, first);
+            } else if (kind === 0xC0) {
+                track.events.push({ tick, type: 'programChange', program: first, channel });
+            }
+        }
+
+        // Незакрытые ноты заканчиваются вместе с дорожкой
+        Object.keys(openNotes).forEach(key => {
+            const [channel, pitch] = key.split(':').map(Number);
+
+            while (openNotes[key].length > 0) {
+                closeNote(channel, pitch);
+            }
+        });
+
+        track.events.sort((a, b) => a.tick - b.tick);
+
+        return track;
+    }
+
+    /**
+     * Чтение служебного события
+     * Название дорожки становится ее свойством name, остальные события добавляются в список
+     * @param {Object} track - Дорожка { name, events }
+     * @param {number} tick - Время в тиках
+     * @param {number} type - Тип служебного события
+     * @param {Uint8Array} bytes - Данные события
+     * @private
+     */
+    _decodeMetaEvent(track, tick, type, bytes) {
+        const textType = Object.keys(TEXT_META_TYPES).find(name => TEXT_META_TYPES[name] === type);
+
+        if (textType === 'trackName' && track.name === null) {
+            track.name = new TextDecoder().decode(bytes);
+        } else if (textType) {
+            track.events.push({ tick, type: textType, text: new TextDecoder().decode(bytes) });
+        } else if (type === META_TYPES.tempo && bytes.length === 3) {
+            const microseconds = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+            track.events.push({ tick, type: 'tempo', bpm: 60000000 / microseconds });
+        } else if (type === META_TYPES.timeSignature && bytes.length >= 2) {
+            track.events.push({ tick, type: 'timeSignature', beats: bytes[0], unit: Math.pow(2, bytes[1]) });
+        } else if (type === META_TYPES.keySignature && bytes.length === 2) {
+            // Количество знаков записано байтом со знаком
+            const accidentals = bytes[0] > 127 ? bytes[0] - 256 : bytes[0];
+            track.events.push({ tick, type: 'keySignature', accidentals, minor: bytes[1] === 1 });
+        }
+    }
+
+    /**
+     * Создание объекта последовательного чтения байтов
+     * @param {Uint8Array} bytes - Данные
+     * @returns {Object} - Чтение: position, length и методы readByte, peekByte, readBytes, readNumber, readVariableLength, readAscii
+     * @private
+     */
+    _createReader(bytes) {
+        const reader = {
+            position: 0,
+            length: bytes.length,
+
+            peekByte() {
+                if (reader.position >= bytes.length) {
+                    throw new Error('Неожиданный конец MIDI-файла');
+                }
+
+                return bytes[reader.position];
+            },
+
+            readByte() {
+                const value = reader.peekByte();
+                reader.position++;
+                return value;
+            },
+
+            readBytes(count) {
+                if (reader.position + count > bytes.length) {
+                    throw new Error('Неожиданный конец MIDI-файла');
+                }
+
+                const result = bytes.subarray(reader.position, reader.position + count);
+                reader.position += count;
+                return result;
+            },
+
+            readNumber(count) {
+                return Array.from(reader.readBytes(count)).reduce((value, byte) => value * 256 + byte, 0);
+            },
+
+            readVariableLength() {
+                let value = 0;
+                let byte;
+
+                do {
+                    byte = reader.readByte();
+                    value = value * 0x80 + (byte & 0x7F);
+                } while (byte & 0x80);
+
+                return value;
+            },
+
+            readAscii(count) {
+                return String.fromCharCode(...reader.readBytes(count));
+            }
+        };
+
+        return reader;
+    }
+
+    /**
+     * События дорожки в байтах с абсолютным временем
+     * Название дорожки и инструмент добавляются в начало
+     * @param {Object} track - Дорожка
+     * @returns {Array<Object>} - События { tick, order, data }
+     * @private
+     */
+    _getTrackEvents(track) {
+        const events = [];
+
+        if (track.name) {
+            events.push(this._createMetaEvent(0, TEXT_META_TYPES.trackName, this._getText(track.name)));
+        }
+
+        if (track.program !== null && track.program !== undefined) {
+            events.push(this._createChannelEvent(0, 'programChange', [0xC0, track.program], track.channel));
+        }
+
+        (track.events || []).forEach(event => {
+            events.push(...this._encodeEvent(event, track.channel));
+        });
+
+        return events;
+    }
+
+    /**
+     * Перевод события в байты
+     * @param {Object} event - Событие с абсолютным временем
+     * @param {number} trackChannel - Канал дорожки (с 1)
+     * @returns {Array<Object>} - События { tick, order, data } (нота дает два события)
+     * @throws {Error} - Если тип события неизвестен или значения вне допустимых границ
+     * @private
+     */
+    _encodeEvent(event, trackChannel) {
+        const tick = event.tick || 0;
+        const channel = event.channel || trackChannel;
+
+        if (!Number.isInteger(tick) || tick < 0) {
+            throw new Error(`Некорректное время события: ${event.tick}`);
+        }
+
+        if (event.type in TEXT_META_TYPES) {
+            return [this._createMetaEvent(tick, TEXT_META_TYPES[event.type], this._getText(event.text))];
+        }
+
+        switch (event.type) {
+            case 'note': {
+                this._checkDataByte(event.pitch, 'Высота ноты');
+
+                const duration = Math.max(1, Math.round(event.duration));
+                const velocity = Math.max(1, Math.min(127, Math.round(event.velocity * 127)));
+
+                return [
+                    this._createChannelEvent(tick, 'noteOn', [0x90, event.pitch, velocity], channel),
+                    this._createChannelEvent(tick + duration, 'noteOff', [0x80, event.pitch, 0], channel)
+                ];
+            }
+            case 'programChange':
+                this._checkDataByte(event.program, 'Номер инструмента');
+                return [this._createChannelEvent(tick, 'programChange', [0xC0, event.program], channel)];
+            case 'tempo': {
+                if (!(event.bpm > 0)) {
+                    throw new Error(`Некорректный темп: ${event.bpm}`);
+                }
+
+                // Длительность четверти в микросекундах
+                const microseconds = Math.min(0xFFFFFF, Math.round(60000000 / event.bpm));
+                return [this._createMetaEvent(tick, META_TYPES.tempo, this._getBytes(microseconds, 3))];
+            }
+            case 'timeSignature': {
+                const denominator = Math.log2(event.unit);
+
+                if (!Number.isInteger(denominator) || denominator < 0 || !(event.beats > 0 && event.beats < 256)) {
+                    throw new Error(`Некорректный размер: ${event.beats}/${event.unit}`);
+                }
+
+                // Щелчок метронома MIDI - на каждую долю (24 импульса синхронизации на четверть)
+                const clocks = Math.max(1, Math.round(96 / event.unit));
+                return [this._createMetaEvent(tick, META_TYPES.timeSignature, [event.beats, denominator, clocks, 8])];
+            }
+            case 'keySignature': {
+                const accidentals = event.accidentals || 0;
+
+                if (!Number.isInteger(accidentals) || Math.abs(accidentals) > 7) {
+                    throw new Error(`Некорректное количество ключевых знаков: ${accidentals}`);
+                }
+
+                return [this._createMetaEvent(tick, META_TYPES.keySignature, [accidentals & 0xFF, event.minor ? 1 : 0])];
+            }
+            default:
+                throw new Error(`Неизвестный тип MIDI-события: ${event.type}`);
+        }
+    }
+
+    /**
+     * Запись событий дорожки с разницей во времени между соседними событиями
+     * @param {Array<Object>} events - События { tick, order, data }
+     * @returns {Array<number>} - Байты дорожки, включая конец дорожки
+     * @private
+     */
+    _encodeEvents(events) {
+        const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+        const bytes = [];
+        let lastTick = 0;
+
+        sorted.forEach(event => {
+            bytes.push(...this._getVariableLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+
+        bytes.push(0x00, 0xFF, META_TYPES.endOfTrack, 0x00);
+
+        return bytes;
+    }
+
+    /**
+     * Создание канального события
+     * @param {number} tick - Время в тиках
+     * @param {string} kind - Вид события (ключ EVENT_ORDER)
+     * @param {Array<number>} data - Байты события; в первом байте канал не указан
+     * @param {number} [channel=1] - Канал (с 1)
+     * @returns {Object} - Событие { tick, order, data }
+     * @private
+     */
+    _createChannelEvent(tick, kind, data, channel = 1) {
+        if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+            throw new Error(`Некорректный MIDI-канал: ${channel}`);
+        }
+
+        const [status, ...rest] = data;
+        return { tick, order: EVENT_ORDER[kind], data: [status | (channel - 1), ...rest] };
+    }
+
+    /**
+     * Создание служебного события
+     * @param {number} tick - Время в тиках
+     * @param {number} type - Тип служебного события
+     * @param {Array<number>} data - Данные события
+     * @returns {Object} - Событие { tick, order, data }
+     * @private
+     */
+    _createMetaEvent(tick, type, data) {
+        return {
+            tick,
+            order: EVENT_ORDER.meta,
+            data: [0xFF, type, ...this._getVariableLength(data.length), ...data]
+        };
+    }
+
+    /**
+     * Проверка байта данных канального события (от 0 до 127)
+     * @param {number} value - Значение
+     * @param {string} name - Название значения для сообщения об ошибке
+     * @throws {Error} - Если значение вне границ
+     * @private
+     */
+    _checkDataByte(value, name) {
+        if (!Number.isInteger(value) || value < 0 || value > 127) {
+            throw new Error(`${name} вне диапазона 0-127: ${value}`);
+        }
+    }
+
+    /**
+     * Запись числа переменной длины (по 7 бит в байте, старший бит - признак продолжения)
+     * @param {number} value - Неотрицательное целое число
+     * @returns {Array<number>} - Байты
+     * @private
+     */
+    _getVariableLength(value) {
+        const bytes = [value & 0x7F];
+        let rest = Math.floor(value / 0x80);
+
+        while (rest > 0) {
+            bytes.unshift((rest & 0x7F) | 0x80);
+            rest = Math.floor(rest / 0x80);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Запись числа фиксированной длины (старший байт первым)
+     * @param {number} value - Неотрицательное целое число
+     * @param {number} length - Количество байтов
+     * @returns {Array<number>} - Байты
+     * @private
+     */
+    _getBytes(value, length) {
+        const bytes = [];
+
+        for (let index = length - 1; index >= 0; index--) {
+            bytes.push(Math.floor(value / Math.pow(256, index)) & 0xFF);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Байты текста в UTF-8
+     * @param {string} text - Текст
+     * @returns {Array<number>} - Байты
+     * @private
+     */
+    _getText(text) {
+        return Array.from(new TextEncoder().encode(String(text || '')));
+    }
+
+    /**
+     * Байты идентификатора блока файла
+     * @param {string} text - Идентификатор ('MThd', 'MTrk')
+     * @returns {Array<number>} - Байты
+     * @private
+     */
+    _getAscii(text) {
+        return [...text].map(char => char.charCodeAt(0));
+    }
+}
+
+// Создаем экземпляр сервиса
+const midiFileService = new MidiFileService();
+
+// Экспортируем по умолчанию
+export default midiFileService;
@@ -0,0 +1,249 @@
+import { tonalityCollection } from '../models/tonality.js';
+import { TrackBlock, ChordSequence, SequenceItem } from '../models/sequence.js';
+import { formatTimeSignature, DEFAULT_TIME_SIGNATURE } from '../models/meter.js';
+import { mod12 } from '../models/scale.js';
+import midiFileService from './midiFileService.js';
+import keyDetectionService from './keyDetectionService.js';
+import chordRecognitionService from './chordRecognitionService.js';
+
+/**
+ * Канал ударных General MIDI (ноты ударных не образуют аккордов)
+ * @type {number}
+ */
+const DRUM_CHANNEL = 10;
+
+/**
+ * Параметры разбиения на аккорды по умолчанию (в долях целой ноты)
+ * grid - сетка выравнивания нот, minDuration - самый короткий аккорд
+ * @type {Object}
+ */
+const DEFAULT_IMPORT_OPTIONS = {
+    grid: 1 / 16,
+    minDuration: 1 / 8
+};
+
+/**
+ * Сервис импорта MIDI-файлов
+ * Собирает ноты всех дорожек (кроме ударных), делит их на участки с одинаковым набором
+ * звучащих нот, распознает аккорд каждого участка (chordRecognitionService)
+ * и создает блок с найденной последовательностью и тональностью
+ */
+export class MidiImportService {
+    constructor() {
+        // Привязка методов к контексту
+        this.importFile = this.importFile.bind(this);
+        this.createBlock = this.createBlock.bind(this);
+        this.segmentChords = this.segmentChords.bind(this);
+        this.detectTonality = this.detectTonality.bind(this);
+    }
+
+    /**
+     * Импорт MIDI-файла
+     * @param {File} file - Файл
+     * @param {Object} [options] - Опции (см. createBlock); название блока по умолчанию - имя файла
+     * @returns {Promise<TrackBlock>} - Промис, который разрешается созданным блоком
+     */
+    importFile(file, options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                // Создаем читатель файлов
+                const reader = new FileReader();
+
+                // Обработчик загрузки
+                reader.onload = (event) => {
+                    try {
+                        const name = options.name || file.name.replace(/\.(mid|midi)$/i, '');
+                        resolve(this.createBlock(event.target.result, { ...options, name }));
+                    } catch (error) {
+                        console.error('Ошибка при разборе MIDI-файла:', error);
+                        reject(error);
+                    }
+                };
+
+                // Обработчик ошибки
+                reader.onerror = (error) => {
+                    console.error('Ошибка при чтении файла:', error);
+                    reject(error);
+                };
+
+                // Читаем файл как двоичные данные
+                reader.readAsArrayBuffer(file);
+            } catch (error) {
+                console.error('Ошибка при импорте MIDI:', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Создание блока из содержимого MIDI-файла
+     * @param {Uint8Array|ArrayBuffer} data - Содержимое файла
+     * @param {Object} [options] - Опции
+     * @param {string} [options.id] - ID блока
+     * @param {string} [options.name] - Название блока
+     * @param {number} [options.grid=1/16] - Сетка выравнивания нот в долях целой ноты
+     * @param {number} [options.minDuration=1/8] - Самый короткий аккорд в долях целой ноты
+     * @returns {TrackBlock} - Блок с распознанной последовательностью, тональностью и размером файла
+     * @throws {Error} - Если файл поврежден или в нем нет нот и аккордов
+     */
+    createBlock(data, options = {}) {
+        const midi = midiFileService.decode(data);
+        const events = midi.tracks.flatMap(track => track.events);
+        const notes = events.filter(event => event.type === 'note' && event.channel !== DRUM_CHANNEL);
+
+        if (notes.length === 0) {
+            throw new Error('В MIDI-файле нет нот');
+        }
+
+        const wholeTicks = midi.ppq * 4;
+        const items = this.segmentChords(notes, midi.ppq, options).map(span => new SequenceItem({
+            chord: span.chord,
+            duration: (span.end - span.start) / wholeTicks,
+            isPause: !span.chord
+        }));
+
+        if (!items.some(item => item.isChord())) {
+            throw new Error('В MIDI-файле не найдено аккордов');
+        }
+
+        // Размер и ключевые знаки берутся из первых событий файла
+        const timeSignature = events.find(event => event.type === 'timeSignature');
+        const keySignature = events.find(event => event.type === 'keySignature');
+        const tonality = this.detectTonality(items, keySignature);
+
+        return new TrackBlock({
+            id: options.id,
+            name: options.name,
+            tonality,
+            sequence: new ChordSequence(items.map(item => item.transpose(0, tonality))),
+            timeSignature: timeSignature
+                ? formatTimeSignature(`${timeSignature.beats}/${timeSignature.unit}`)
+                : DEFAULT_TIME_SIGNATURE
+        });
+    }
+
+    /**
+     * Разбиение нот на участки с аккордами
+     * Ноты выравниваются по сетке, затем время делится на участки с одинаковым набором
+     * звучащих высотных классов. Нераспознанный участок (одна нота, интервал, проходящие звуки)
+     * присоединяется к предыдущему аккорду, а в начале - к следующему. Соседние участки
+     * с одним и тем же аккордом объединяются
+     * @param {Array<Object>} notes - Ноты: { tick, duration, pitch }
+     * @param {number} ppq - Количество тиков на четвертную ноту
+     * @param {Object} [options] - Опции
+     * @param {number} [options.grid=1/16] - Сетка выравнивания в долях целой ноты
+     * @param {number} [options.minDuration=1/8] - Самый короткий аккорд в долях целой ноты
+     * @returns {Array<Object>} - Участки: { start, end, chord } (время в тиках, chord = null - пауза)
+     */
+    segmentChords(notes, ppq, options = {}) {
+        const settings = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+        const gridTicks = Math.max(1, Math.round(settings.grid * 4 * ppq));
+        const minTicks = Math.round(settings.minDuration * 4 * ppq);
+        const snap = tick => Math.round(tick / gridTicks) * gridTicks;
+
+        const quantized = notes.map(note => {
+            const start = snap(note.tick);
+            return { start, end: Math.max(start + gridTicks, snap(note.tick + note.duration)), pitch: note.pitch };
+        });
+
+        // Границы участков - начала и концы нот; файл начинается с нулевого тика
+        const boundaries = [...new Set([0, ...quantized.flatMap(note => [note.start, note.end])])].sort((a, b) => a - b);
+        const spans = [];
+
+        for (let index = 0; index < boundaries.length - 1; index++) {
+            const start = boundaries[index];
+            const end = boundaries[index + 1];
+            const pitches = quantized
+                .filter(note => note.start <= start && note.end >= end)
+                .map(note => note.pitch);
+            const key = [...new Set(pitches.map(pitch => mod12(pitch)))].sort((a, b) => a - b).join();
+            const previous = spans[spans.length - 1];
+
+            if (previous && previous.key === key) {
+                previous.end = end;
+                previous.pitches.push(...pitches);
+            } else {
+                spans.push({ start, end, key, pitches });
+            }
+        }
+
+        const result = [];
+        let pending = null;
+
+        spans.forEach(span => {
+            const chord = span.pitches.length > 0 ? chordRecognitionService.getBestChord(span.pitches) : null;
+            const previous = result[result.length - 1];
+
+            // Нераспознанные звуки и слишком короткие участки продлевают соседний аккорд
+            if ((span.pitches.length > 0 && !chord) || (span.end - span.start < minTicks && previous)) {
+                if (previous) {
+                    previous.end = span.end;
+                } else {
+                    pending = pending !== null ? pending : span.start;
+                }
+                return;
+            }
+
+            // Отложенное начало переходит к следующему участку - аккорду или паузе,
+            // чтобы участки шли подряд без наложений
+            const start = pending !== null ? pending : span.start;
+            pending = null;
+
+            if (previous && this._isSameChord(previous.chord, chord)) {
+                previous.end = span.end;
+            } else {
+                result.push({ start, end: span.end, chord });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Определение тональности распознанной последовательности
+     * Если в файле есть ключевые знаки, предпочтение отдается подходящему к ним варианту
+     * @param {Array<SequenceItem>} items - Элементы последовательности
+     * @param {Object} [keySignature] - Ключевые знаки из файла: { accidentals, minor }
+     * @returns {Tonality} - Тональность (по умолчанию - до мажор)
+     */
+    detectTonality(items, keySignature = null) {
+        tonalityCollection.initializeIfEmpty();
+
+        const candidates = keyDetectionService.detectKey(items, { limit: 5 });
+        const signatureMatch = keySignature
+            ? candidates.find(candidate => candidate.tonality.getAccidentalCount() === keySignature.accidentals)
+            : null;
+
+        if (signatureMatch || candidates.length > 0) {
+            return (signatureMatch || candidates[0]).tonality;
+        }
+
+        const signatureTonality = keySignature
+            ? (keySignature.minor ? tonalityCollection.getMinorTonalities() : tonalityCollection.getMajorTonalities())
+                .find(tonality => tonality.getAccidentalCount() === keySignature.accidentals)
+            : null;
+
+        return signatureTonality || tonalityCollection.findTonality('C', 'major');
+    }
+
+    /**
+     * Сравнение распознанных аккордов
+     * @param {Chord|null} a - Первый аккорд
+     * @param {Chord|null} b - Второй аккорд
+     * @returns {boolean} - true, если оба - паузы или аккорды совпадают вместе с обращением и басом
+     * @private
+     */
+    _isSameChord(a, b) {
+        if (!a || !b) {
+            return !a && !b;
+        }
+
+        return a.root === b.root && a.type === b.type && a.inversion === b.inversion && a.bass === b.bass;
+    }
+}
+
+// Создаем экземпляр сервиса
+const midiImportService = new MidiImportService();
+
+// Экспортируем по умолчанию
+export default midiImportService;
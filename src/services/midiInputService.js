@@ -0,0 +1,142 @@
+import eventBus, { EVENTS } from '../core/eventBus.js';
+
+/**
+ * Статусы MIDI-сообщений (старшие 4 бита)
+ * @type {Object<string, number>}
+ */
+const MIDI_STATUS = {
+    noteOff: 0x80,
+    noteOn: 0x90
+};
+
+/**
+ * Сервис ввода с MIDI-клавиатуры (Web MIDI API)
+ * Отслеживает нажатые клавиши всех подключенных входов и публикует их набор
+ * событием MIDI_INPUT_NOTES при каждом изменении
+ */
+export class MidiInputService {
+    constructor() {
+        this.access = null;
+        this.enabled = false;
+        this.activeNotes = new Set();
+
+        // Привязка методов к контексту
+        this.isSupported = this.isSupported.bind(this);
+        this.isEnabled = this.isEnabled.bind(this);
+        this.enable = this.enable.bind(this);
+        this.disable = this.disable.bind(this);
+        this.getActiveNotes = this.getActiveNotes.bind(this);
+        this._handleMessage = this._handleMessage.bind(this);
+        this._handleStateChange = this._handleStateChange.bind(this);
+    }
+
+    /**
+     * Проверка поддержки Web MIDI в браузере
+     * @returns {boolean} - true, если MIDI-клавиатуру можно подключить
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Проверка, включен ли ввод с MIDI-клавиатуры
+     * @returns {boolean} - true, если ввод включен
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Включение ввода: запрос доступа к MIDI и подписка на все входы
+     * @returns {Promise<void>} - Промис, который разрешается после получения доступа
+     */
+    enable() {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Браузер не поддерживает Web MIDI'));
+        }
+
+        if (this.enabled) {
+            return Promise.resolve();
+        }
+
+        return navigator.requestMIDIAccess().then(access => {
+            this.access = access;
+            this.access.inputs.forEach(input => {
+                input.onmidimessage = this._handleMessage;
+            });
+
+            // Клавиатуры, подключенные позже, тоже подписываем
+            this.access.onstatechange = this._handleStateChange;
+            this.enabled = true;
+
+            eventBus.publish(EVENTS.MIDI_INPUT_TOGGLED, { enabled: true });
+        });
+    }
+
+    /**
+     * Выключение ввода: отписка от входов и сброс нажатых клавиш
+     */
+    disable() {
+        if (this.access) {
+            this.access.inputs.forEach(input => {
+                input.onmidimessage = null;
+            });
+            this.access.onstatechange = null;
+            this.access = null;
+        }
+
+        this.enabled = false;
+        this.activeNotes.clear();
+
+        eventBus.publish(EVENTS.MIDI_INPUT_TOGGLED, { enabled: false });
+        eventBus.publish(EVENTS.MIDI_INPUT_NOTES, { notes: [] });
+    }
+
+    /**
+     * Получение нажатых клавиш
+     * @returns {Array<number>} - Номера MIDI-нот по возрастанию
+     */
+    getActiveNotes() {
+        return [...this.activeNotes].sort((a, b) => a - b);
+    }
+
+    /**
+     * Обработчик MIDI-сообщения: note on добавляет клавишу, note off (и note on
+     * с нулевой громкостью) - убирает; остальные сообщения пропускаются
+     * @param {MIDIMessageEvent} event - Событие MIDI-входа
+     * @private
+     */
+    _handleMessage(event) {
+        const [status, pitch, velocity] = event.data;
+        const command = status & 0xF0;
+
+        if (command === MIDI_STATUS.noteOn && velocity > 0) {
+            this.activeNotes.add(pitch);
+        } else if (command === MIDI_STATUS.noteOff || command === MIDI_STATUS.noteOn) {
+            this.activeNotes.delete(pitch);
+        } else {
+            return;
+        }
+
+        eventBus.publish(EVENTS.MIDI_INPUT_NOTES, { notes: this.getActiveNotes() });
+    }
+
+    /**
+     * Обработчик подключения и отключения MIDI-устройств
+     * @param {MIDIConnectionEvent} event - Событие изменения состояния порта
+     * @private
+     */
+    _handleStateChange(event) {
+        const port = event.port;
+
+        if (port.type === 'input' && port.state === 'connected') {
+            port.onmidimessage = this._handleMessage;
+        }
+    }
+}
+
+// Создаем экземпляр сервиса
+const midiInputService = new MidiInputService();
+
+// Экспортируем по умолчанию
+export default midiInputService;
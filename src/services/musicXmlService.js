@@ -0,0 +1,617 @@
+import { Chord } from '../models/chord.js';
+import { Tonality } from '../models/tonality.js';
+import { LETTER_PITCHES, parseNote, stackNotes } from '../models/scale.js';
+import { DEFAULT_TIME_SIGNATURE, parseTimeSignature, getBeatGroups } from '../models/meter.js';
+import voiceLeadingService from './voiceLeadingService.js';
+
+/**
+ * Количество делений на четвертную ноту (делится на 3 и на 16)
+ * @type {number}
+ */
+const DIVISIONS = 48;
+
+/**
+ * Деления целой ноты
+ * @type {number}
+ */
+const WHOLE_DIVISIONS = DIVISIONS * 4;
+
+/**
+ * Длительности нот по убыванию: деления, тип ноты MusicXML и количество точек
+ * @type {Array<Object>}
+ */
+const NOTE_VALUES = [
+    ['whole', 192], ['half', 96], ['quarter', 48], ['eighth', 24], ['16th', 12], ['32nd', 6], ['64th', 3]
+].flatMap(([type, divisions]) => [
+    { type, dots: 2, divisions: divisions * 1.75 },
+    { type, dots: 1, divisions: divisions * 1.5 },
+    { type, dots: 0, divisions }
+]).filter(value => Number.isInteger(value.divisions));
+
+/**
+ * Типы аккордов MusicXML (элемент kind) и ступени, которых нет в самом типе.
+ * Альтерация ступени отсчитывается от доминантсептаккорда (7 - малая септима)
+ * @type {Object<string, Object>}
+ */
+const HARMONY_KINDS = {
+    'maj': { kind: 'major' },
+    'min': { kind: 'minor' },
+    'dim': { kind: 'diminished' },
+    'aug': { kind: 'augmented' },
+    'maj7': { kind: 'major-seventh' },
+    'min7': { kind: 'minor-seventh' },
+    '7': { kind: 'dominant' },
+    'm7b5': { kind: 'half-diminished' },
+    'dim7': { kind: 'diminished-seventh' },
+    'mMaj7': { kind: 'major-minor' },
+    'augMaj7': { kind: 'major-seventh', degrees: [{ value: 5, alter: 1, type: 'alter' }] },
+    'maj9': { kind: 'major-ninth' },
+    'min9': { kind: 'minor-ninth' },
+    '9': { kind: 'dominant-ninth' },
+    'sus2': { kind: 'suspended-second' },
+    'sus4': { kind: 'suspended-fourth' },
+    '6': { kind: 'major-sixth' },
+    'm6': { kind: 'minor-sixth' },
+    'add9': { kind: 'major', degrees: [{ value: 9, alter: 0, type: 'add' }] },
+    'madd9': { kind: 'minor', degrees: [{ value: 9, alter: 0, type: 'add' }] },
+    '11': { kind: 'dominant-11th' },
+    'm11': { kind: 'minor-11th' },
+    '13': { kind: 'dominant-13th' },
+    'maj13': { kind: 'major-13th' },
+    '7b9': { kind: 'dominant', degrees: [{ value: 9, alter: -1, type: 'add' }] },
+    '7#9': { kind: 'dominant', degrees: [{ value: 9, alter: 1, type: 'add' }] },
+    '7#5': { kind: 'augmented-seventh' },
+    '7b5': { kind: 'dominant', degrees: [{ value: 5, alter: -1, type: 'alter' }] },
+    '7alt': {
+        kind: 'dominant',
+        degrees: [
+            { value: 5, alter: 0, type: 'subtract' },
+            { value: 9, alter: -1, type: 'add' },
+            { value: 9, alter: 1, type: 'add' },
+            { value: 11, alter: 1, type: 'add' },
+            { value: 13, alter: -1, type: 'add' }
+        ]
+    },
+    '7sus4': { kind: 'suspended-fourth', degrees: [{ value: 7, alter: 0, type: 'add' }] }
+};
+
+/**
+ * Лады, которые MusicXML различает в ключевых знаках
+ * @type {Array<string>}
+ */
+const KEY_MODES = ['major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'ionian', 'locrian'];
+
+/**
+ * Нота, на которой пишутся ритмические косые (средняя линия скрипичного ключа)
+ * @type {Object}
+ */
+const SLASH_PITCH = { step: 'B', alter: 0, octave: 4 };
+
+/**
+ * Самая низкая нота верхнего нотоносца при записи аккордов нотами (C4)
+ * @type {number}
+ */
+const TREBLE_LOWEST_MIDI = 60;
+
+/**
+ * Сервис записи нотных партитур в формате MusicXML (partwise)
+ * Строит лид-шит: буквенные обозначения аккордов (harmony), такты по размеру блока,
+ * ключевые знаки тональности, репетиционные знаки с названиями блоков и ритмические
+ * косые по долям такта либо аккорды нотами на двух нотоносцах
+ */
+export class MusicXmlService {
+    constructor() {
+        // Привязка методов к контексту
+        this.createScore = this.createScore.bind(this);
+        this.buildMeasures = this.buildMeasures.bind(this);
+        this.toBlob = this.toBlob.bind(this);
+    }
+
+    /**
+     * Создание партитуры
+     * @param {Array<Object>} sections - Части: { name, sequence, tonality, timeSignature, voicingStyle, voicings }
+     * @param {Object} [options] - Опции
+     * @param {string} [options.title='ChordPlayer'] - Название произведения
+     * @param {number} [options.tempo] - Темп в четвертях в минуту (метрономическое обозначение в начале)
+     * @param {boolean} [options.voiced=false] - Записать аккорды нотами вместо ритмических косых
+     * @returns {string} - Документ MusicXML
+     * @throws {Error} - Если в частях нет ни одного элемента
+     */
+    createScore(sections, options = {}) {
+        const measures = this.buildMeasures(sections, options);
+
+        if (measures.length === 0) {
+            throw new Error('Нет тактов для записи в MusicXML');
+        }
+
+        const score = this._tag('score-partwise', [
+            this._tag('work', [this._tag('work-title', options.title || 'ChordPlayer')]),
+            this._tag('identification', [
+                this._tag('encoding', [this._tag('software', 'ChordPlayer')])
+            ]),
+            this._tag('part-list', [
+                this._tag('score-part', [this._tag('part-name', 'Аккорды')], { id: 'P1' })
+            ]),
+            this._tag('part', measures.map(measure => this._encodeMeasure(measure, options)), { id: 'P1' })
+        ], { version: '4.0' });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+            '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" ' +
+            '"http://www.musicxml.org/dtds/partwise.dtd">\n' +
+            `${score}\n`;
+    }
+
+    /**
+     * Разбиение частей на такты
+     * Элемент, звучащий через тактовую черту, делится на части с лигой (для нот);
+     * последний неполный такт части дополняется паузой
+     * @param {Array<Object>} sections - Части (см. createScore)
+     * @param {Object} [options] - Опции (см. createScore)
+     * @returns {Array<Object>} - Такты: { number, timeSignature, key, isFirst, attributes, rehearsal, events, barStyle };
+     *   события: { offset, duration, chord, voicing, isStart, tieStart, tieStop } (время в делениях)
+     */
+    buildMeasures(sections, options = {}) {
+        const measures = [];
+        let previous = null;
+
+        sections.forEach(section => {
+            const sequence = section.sequence || [];
+            const timeSignature = parseTimeSignature(section.timeSignature || DEFAULT_TIME_SIGNATURE);
+            const key = this._getKey(section.tonality);
+            const barDivisions = WHOLE_DIVISIONS * timeSignature.beats / timeSignature.unit;
+            const voicings = options.voiced
+                ? section.voicings || voiceLeadingService.voiceSequence(sequence, { style: section.voicingStyle })
+                : [];
+
+            const total = sequence.reduce((sum, item) => sum + this._toDivisions(item.duration || 1), 0);
+            if (total === 0) {
+                return;
+            }
+
+            const sectionMeasures = Array.from({ length: Math.ceil(total / barDivisions) }, (_, index) => ({
+                number: measures.length + index + 1,
+                timeSignature,
+                key,
+                isFirst: measures.length === 0 && index === 0,
+                attributes: false,
+                rehearsal: index === 0 ? section.name : null,
+                events: [],
+                barStyle: null
+            }));
+
+            // Размер и ключевые знаки пишутся в начале и при смене
+            sectionMeasures[0].attributes = !previous ||
+                previous.key.fifths !== key.fifths || previous.key.mode !== key.mode ||
+                previous.timeSignature.beats !== timeSignature.beats || previous.timeSignature.unit !== timeSignature.unit;
+
+            let offset = 0;
+            sequence.forEach((item, index) => {
+                const chord = !item.isPause && item.chord
+                    ? (item.chord instanceof Chord ? item.chord : Chord.fromJSON(item.chord))
+                    : null;
+                let remaining = this._toDivisions(item.duration || 1);
+                let isStart = true;
+
+                while (remaining > 0) {
+                    const measure = sectionMeasures[Math.floor(offset / barDivisions)];
+                    const measureOffset = offset % barDivisions;
+                    const duration = Math.min(remaining, barDivisions - measureOffset);
+
+                    measure.events.push({
+                        offset: measureOffset,
+                        duration,
+                        chord,
+                        voicing: chord ? voicings[index] || null : null,
+                        isStart,
+                        tieStop: !isStart,
+                        tieStart: remaining > duration
+                    });
+
+                    offset += duration;
+                    remaining -= duration;
+                    isStart = false;
+                }
+            });
+
+            if (offset % barDivisions > 0) {
+                const rest = barDivisions - offset % barDivisions;
+                sectionMeasures[sectionMeasures.length - 1].events.push({
+                    offset: offset % barDivisions,
+                    duration: rest,
+                    chord: null,
+                    voicing: null,
+                    isStart: true,
+                    tieStop: false,
+                    tieStart: false
+                });
+            }
+
+            // Конец части отмечается двойной тактовой чертой
+            if (measures.length > 0) {
+                measures[measures.length - 1].barStyle = 'light-light';
+            }
+
+            measures.push(...sectionMeasures);
+            previous = { key, timeSignature };
+        });
+
+        if (measures.length > 0) {
+            measures[measures.length - 1].barStyle = 'light-heavy';
+        }
+
+        return measures;
+    }
+
+    /**
+     * Создание Blob для загрузки
+     * @param {string} xml - Документ MusicXML
+     * @returns {Blob} - Файл MusicXML
+     */
+    toBlob(xml) {
+        return new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+    }
+
+    /**
+     * Запись такта
+     * @param {Object} measure - Такт (см. buildMeasures)
+     * @param {Object} options - Опции (см. createScore)
+     * @returns {string} - Элемент measure
+     * @private
+     */
+    _encodeMeasure(measure, options) {
+        const children = [];
+        const { beats, unit } = measure.timeSignature;
+
+        if (measure.attributes || measure.isFirst) {
+            const clefs = options.voiced
+                ? [
+                    this._tag('clef', [this._tag('sign', 'G'), this._tag('line', 2)], { number: 1 }),
+                    this._tag('clef', [this._tag('sign', 'F'), this._tag('line', 4)], { number: 2 })
+                ]
+                : [this._tag('clef', [this._tag('sign', 'G'), this._tag('line', 2)])];
+
+            children.push(this._tag('attributes', [
+                measure.isFirst ? this._tag('divisions', DIVISIONS) : null,
+                measure.attributes ? this._tag('key', [
+                    this._tag('fifths', measure.key.fifths),
+                    measure.key.mode ? this._tag('mode', measure.key.mode) : null
+                ]) : null,
+                measure.attributes ? this._tag('time', [this._tag('beats', beats), this._tag('beat-type', unit)]) : null,
+                measure.isFirst && options.voiced ? this._tag('staves', 2) : null,
+                ...(measure.isFirst ? clefs : [])
+            ]));
+        }
+
+        if (measure.rehearsal) {
+            children.push(this._tag('direction', [
+                this._tag('direction-type', [this._tag('rehearsal', measure.rehearsal)])
+            ], { placement: 'above' }));
+        }
+
+        if (measure.isFirst && options.tempo) {
+            children.push(this._tag('direction', [
+                this._tag('direction-type', [
+                    this._tag('metronome', [this._tag('beat-unit', 'quarter'), this._tag('per-minute', options.tempo)])
+                ]),
+                this._tag('sound', null, { tempo: options.tempo })
+            ], { placement: 'above' }));
+        }
+
+        if (options.voiced) {
+            // Верхний нотоносец с обозначениями аккордов, затем возврат к началу такта и нижний
+            children.push(...this._encodeVoicedStaff(measure, 1));
+            children.push(this._tag('backup', [this._tag('duration', WHOLE_DIVISIONS * beats / unit)]));
+            children.push(...this._encodeVoicedStaff(measure, 2));
+        } else {
+            children.push(...this._encodeSlashes(measure));
+        }
+
+        if (measure.barStyle) {
+            children.push(this._tag('barline', [this._tag('bar-style', measure.barStyle)], { location: 'right' }));
+        }
+
+        return this._tag('measure', children, { number: measure.number });
+    }
+
+    /**
+     * Запись ритмических косых: по одной на долю (в размерах с восьмыми - на группу долей)
+     * @param {Object} measure - Такт
+     * @returns {Array<string>} - Элементы harmony и note
+     * @private
+     */
+    _encodeSlashes(measure) {
+        const { beats, unit } = measure.timeSignature;
+        const beatDivisions = WHOLE_DIVISIONS / unit;
+        const sizes = unit === 8 ? getBeatGroups(measure.timeSignature) : Array(beats).fill(1);
+        const boundaries = [];
+
+        sizes.reduce((position, size) => {
+            boundaries.push(position + size * beatDivisions);
+            return position + size * beatDivisions;
+        }, 0);
+
+        const children = [];
+
+        measure.events.forEach(event => {
+            if (event.isStart && event.chord) {
+                children.push(this._encodeHarmony(event.chord));
+            }
+
+            // Событие делится границами долей
+            const end = event.offset + event.duration;
+            let position = event.offset;
+
+            boundaries.filter(boundary => boundary > event.offset && boundary < end)
+                .concat(end)
+                .forEach(boundary => {
+                    this._splitDuration(boundary - position).forEach(value => {
+                        children.push(this._tag('note', [
+                            event.chord ? this._encodePitch(SLASH_PITCH) : this._tag('rest', null),
+                            this._tag('duration', value.divisions),
+                            this._tag('voice', 1),
+                            this._tag('type', value.type),
+                            ...Array(value.dots).fill(this._tag('dot', null)),
+                            event.chord ? this._tag('stem', 'none') : null,
+                            event.chord ? this._tag('notehead', 'slash') : null
+                        ]));
+                    });
+                    position = boundary;
+                });
+        });
+
+        return children;
+    }
+
+    /**
+     * Запись аккордов нотами на одном из нотоносцев
+     * Ноты от C4 и выше - на верхнем, остальные - на нижнем; длинные аккорды
+     * и аккорды через тактовую черту записываются нотами под лигой
+     * @param {Object} measure - Такт
+     * @param {number} staff - Нотоносец (1 - верхний, 2 - нижний)
+     * @returns {Array<string>} - Элементы harmony и note
+     * @private
+     */
+    _encodeVoicedStaff(measure, staff) {
+        const children = [];
+        const voice = staff === 1 ? 1 : 5;
+
+        measure.events.forEach(event => {
+            if (staff === 1 && event.isStart && event.chord) {
+                children.push(this._encodeHarmony(event.chord));
+            }
+
+            const pitches = this._getVoicingPitches(event)
+                .filter(pitch => (staff === 1) === (pitch.midi >= TREBLE_LOWEST_MIDI));
+            const values = this._splitDuration(event.duration);
+
+            values.forEach((value, valueIndex) => {
+                const tieStop = valueIndex > 0 || event.tieStop;
+                const tieStart = valueIndex < values.length - 1 || event.tieStart;
+                const common = [
+                    this._tag('duration', value.divisions),
+                    tieStop && pitches.length > 0 ? this._tag('tie', null, { type: 'stop' }) : null,
+                    tieStart && pitches.length > 0 ? this._tag('tie', null, { type: 'start' }) : null,
+                    this._tag('voice', voice),
+                    this._tag('type', value.type),
+                    ...Array(value.dots).fill(this._tag('dot', null))
+                ];
+
+                if (pitches.length === 0) {
+                    children.push(this._tag('note', [this._tag('rest', null), ...common, this._tag('staff', staff)]));
+                    return;
+                }
+
+                const ties = [
+                    tieStop ? this._tag('tied', null, { type: 'stop' }) : null,
+                    tieStart ? this._tag('tied', null, { type: 'start' }) : null
+                ].filter(Boolean);
+
+                pitches.forEach((pitch, pitchIndex) => {
+                    children.push(this._tag('note', [
+                        pitchIndex > 0 ? this._tag('chord', null) : null,
+                        this._encodePitch(pitch),
+                        ...common,
+                        this._tag('staff', staff),
+                        ties.length > 0 ? this._tag('notations', ties) : null
+                    ]));
+                });
+            });
+        });
+
+        return children;
+    }
+
+    /**
+     * Запись обозначения аккорда
+     * Бас обращения и бас вне аккорда записываются элементом bass
+     * @param {Chord} chord - Аккорд
+     * @returns {string} - Элемент harmony
+     * @private
+     */
+    _encodeHarmony(chord) {
+        const root = parseNote(chord.getSpelledRoot());
+        if (!root) {
+            return null;
+        }
+
+        const bassName = chord.bass || (chord.inversion > 0 ? chord.getBassNote() : null);
+        const bass = bassName ? parseNote(bassName) : null;
+        const harmonyKind = chord.intervals ? null : HARMONY_KINDS[chord.type];
+
+        return this._tag('harmony', [
+            this._tag('root', [
+                this._tag('root-step', root.letter),
+                root.alter ? this._tag('root-alter', root.alter) : null
+            ]),
+            this._tag('kind', harmonyKind ? harmonyKind.kind : 'other', { text: chord.getTypeAbbreviation() }),
+            bass ? this._tag('bass', [
+                this._tag('bass-step', bass.letter),
+                bass.alter ? this._tag('bass-alter', bass.alter) : null
+            ]) : null,
+            ...((harmonyKind && harmonyKind.degrees) || []).map(degree => this._tag('degree', [
+                this._tag('degree-value', degree.value),
+                this._tag('degree-alter', degree.alter),
+                this._tag('degree-type', degree.type)
+            ], { 'print-object': 'no' }))
+        ]);
+    }
+
+    /**
+     * Запись высоты ноты
+     * @param {Object} pitch - { step, alter, octave }
+     * @returns {string} - Элемент pitch
+     * @private
+     */
+    _encodePitch(pitch) {
+        return this._tag('pitch', [
+            this._tag('step', pitch.step),
+            pitch.alter ? this._tag('alter', pitch.alter) : null,
+            this._tag('octave', pitch.octave)
+        ]);
+    }
+
+    /**
+     * Высоты нот расположения аккорда снизу вверх
+     * Октава определяется по букве, поэтому MIDI 60 как B# - это B#3
+     * @param {Object} event - Событие такта
+     * @returns {Array<Object>} - { step, alter, octave, midi }
+     * @private
+     */
+    _getVoicingPitches(event) {
+        if (!event.chord) {
+            return [];
+        }
+
+        let voicing = event.voicing;
+
+        // Без готового расположения ноты аккорда берутся подряд снизу вверх, как в MIDI
+        if (!voicing || voicing.length === 0) {
+            const notes = event.chord.getVoicedNotes();
+            const midiNotes = stackNotes(notes);
+            voicing = notes.map((note, index) => ({ note, midi: midiNotes[index] }));
+        }
+
+        return voicing
+            .map(voice => {
+                const parsed = parseNote(voice.note);
+                if (!parsed || voice.midi === undefined) {
+                    return null;
+                }
+
+                return {
+                    step: parsed.letter,
+                    alter: parsed.alter,
+                    octave: Math.floor((voice.midi - LETTER_PITCHES[parsed.letter] - parsed.alter) / 12) - 1,
+                    midi: voice.midi
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.midi - b.midi);
+    }
+
+    /**
+     * Разложение длительности на записываемые ноты (с точками)
+     * Остаток меньше 64-й добавляется к последней ноте
+     * @param {number} divisions - Длительность в делениях
+     * @returns {Array<Object>} - { type, dots, divisions }
+     * @private
+     */
+    _splitDuration(divisions) {
+        const values = [];
+        let remaining = divisions;
+
+        while (remaining > 0) {
+            const value = NOTE_VALUES.find(candidate => candidate.divisions <= remaining);
+            if (!value) {
+                values[values.length - 1].divisions += remaining;
+                break;
+            }
+
+            values.push({ ...value });
+            remaining -= value.divisions;
+        }
+
+        return values;
+    }
+
+    /**
+     * Ключевые знаки тональности
+     * @param {Tonality|Object} tonality - Тональность или объект { note, type }
+     * @returns {Object} - { fifths, mode }: диезы (> 0) или бемоли (< 0) и лад (null, если не поддерживается)
+     * @private
+     */
+    _getKey(tonality) {
+        const resolved = tonality ? Tonality.fromJSON(tonality) : null;
+
+        if (!resolved) {
+            return { fifths: 0, mode: 'major' };
+        }
+
+        return {
+            fifths: resolved.getAccidentalCount(),
+            mode: KEY_MODES.includes(resolved.type) ? resolved.type : null
+        };
+    }
+
+    /**
+     * Перевод длительности в деления
+     * @param {number} duration - Длительность в долях целой ноты
+     * @returns {number} - Деления
+     * @private
+     */
+    _toDivisions(duration) {
+        return Math.round(duration * WHOLE_DIVISIONS);
+    }
+
+    /**
+     * Запись элемента XML
+     * @param {string} name - Имя элемента
+     * @param {Array<string|null>|string|number|null} content - Вложенные элементы, текст или null (пустой элемент)
+     * @param {Object} [attributes] - Атрибуты (null и undefined пропускаются)
+     * @returns {string} - Элемент с отступами вложенных элементов
+     * @private
+     */
+    _tag(name, content, attributes = {}) {
+        const attributeText = Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ` ${key}="${this._escape(value)}"`)
+            .join('');
+
+        if (content === null || content === undefined) {
+            return `<${name}${attributeText}/>`;
+        }
+
+        if (!Array.isArray(content)) {
+            return `<${name}${attributeText}>${this._escape(content)}</${name}>`;
+        }
+
+        const children = content.filter(Boolean);
+        if (children.length === 0) {
+            return `<${name}${attributeText}/>`;
+        }
+
+        const inner = children.map(child => child.replace(/^/gm, '  ')).join('\n');
+        return `<${name}${attributeText}>\n${inner}\n</${name}>`;
+    }
+
+    /**
+     * Экранирование текста для XML
+     * @param {string|number} value - Текст
+     * @returns {string} - Текст с заменой специальных символов
+     * @private
+     */
+    _escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Создаем экземпляр сервиса
+const musicXmlService = new MusicXmlService();
+
+// Экспортируем по умолчанию
+export default musicXmlService;
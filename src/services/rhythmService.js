@@ -0,0 +1,252 @@
+import { RHYTHM_PATTERNS, DEFAULT_RHYTHM_PATTERN } from '../models/rhythm.js';
+
+/**
+ * Громкость ударов (от 0 до 1)
+ * @type {Object<string, number>}
+ */
+const VELOCITIES = {
+    accent: 1,
+    normal: 0.7
+};
+
+/**
+ * Разнос звуков аккорда при бое (доля целой ноты на один звук: 1/128 при 120 BPM - около 15 мс)
+ * @type {number}
+ */
+export const STRUM_SPREAD = 1 / 128;
+
+/**
+ * Символы записи рисунка: { part, strum }
+ * @type {Object<string, Object>}
+ */
+const HIT_SYMBOLS = {
+    x: { part: 'chord', strum: null },
+    c: { part: 'upper', strum: null },
+    b: { part: 'bass', strum: null },
+    d: { part: 'chord', strum: 'down' },
+    u: { part: 'chord', strum: 'up' }
+};
+
+/**
+ * Погрешность сравнения длительностей
+ * @type {number}
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Сервис ритмических рисунков аккомпанемента
+ * Разворачивает рисунок блока в удары внутри элемента последовательности:
+ * время и длительность в долях целой ноты, громкость, часть аккорда и направление боя.
+ * Удары используют и воспроизведение, и экспорт в MIDI
+ */
+export class RhythmService {
+    constructor() {
+        // Пользовательские рисунки по ID
+        this.customPatterns = {};
+
+        // Привязка методов к контексту
+        this.getPatterns = this.getPatterns.bind(this);
+        this.getPattern = this.getPattern.bind(this);
+        this.normalizePattern = this.normalizePattern.bind(this);
+        this.setCustomPatterns = this.setCustomPatterns.bind(this);
+        this.parseNotation = this.parseNotation.bind(this);
+        this.getHits = this.getHits.bind(this);
+        this.getHitNotes = this.getHitNotes.bind(this);
+    }
+
+    /**
+     * Получение списка рисунков (встроенные, затем пользовательские)
+     * @returns {Array<Object>} - Массив { id, name, custom }
+     */
+    getPatterns() {
+        const builtIn = Object.entries(RHYTHM_PATTERNS).map(([id, pattern]) => ({ id, name: pattern.name, custom: false }));
+        const custom = Object.entries(this.customPatterns).map(([id, pattern]) => ({ id, name: pattern.name, custom: true }));
+
+        return [...builtIn, ...custom];
+    }
+
+    /**
+     * Получение описания рисунка
+     * @param {string} id - ID рисунка
+     * @returns {Object} - Описание рисунка (неизвестный ID - рисунок по умолчанию)
+     */
+    getPattern(id) {
+        return this.customPatterns[id] || RHYTHM_PATTERNS[id] || RHYTHM_PATTERNS[DEFAULT_RHYTHM_PATTERN];
+    }
+
+    /**
+     * Приведение ID рисунка к известному значению
+     * @param {string} id - ID рисунка
+     * @returns {string} - Известный ID или рисунок по умолчанию
+     */
+    normalizePattern(id) {
+        return id in this.customPatterns || id in RHYTHM_PATTERNS ? id : DEFAULT_RHYTHM_PATTERN;
+    }
+
+    /**
+     * Установка пользовательских рисунков
+     * Рисунки с ошибками в записи пропускаются
+     * @param {Array<Object>} patterns - Рисунки: { id, name, notation, step, swing, gate }
+     */
+    setCustomPatterns(patterns) {
+        this.customPatterns = {};
+
+        (patterns || []).forEach(pattern => {
+            try {
+                this.parseNotation(pattern.notation, pattern);
+                this.customPatterns[pattern.id] = { ...pattern };
+            } catch (error) {
+                console.warn(`Ритмический рисунок "${pattern.name}" пропущен:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Разбор записи рисунка
+     * @param {string} notation - Запись рисунка (см. RHYTHM_PATTERNS)
+     * @param {Object} [options] - Параметры рисунка
+     * @param {number} [options.step=1/8] - Длительность шага в долях целой ноты
+     * @param {number} [options.gate=0.9] - Доля звучания удара от его длительности (стаккато - меньше)
+     * @param {number} [options.swing=0] - Свинг от 0 (ровно) до 1 (триольные восьмые)
+     * @returns {Object} - { length, hits: [{ time, duration, velocity, part, strum }] }
+     * @throws {Error} - Если запись содержит неизвестные символы, слои разной длины или ни одного удара
+     */
+    parseNotation(notation, options = {}) {
+        const step = options.step || 1 / 8;
+        const gate = options.gate !== undefined ? options.gate : 0.9;
+        const swing = Math.max(0, Math.min(1, options.swing || 0));
+
+        const layers = String(notation || '')
+            .split(/[;\n]/)
+            .map(layer => layer.replace(/[\s|]/g, ''))
+            .filter(layer => layer.length > 0);
+
+        if (layers.length === 0) {
+            throw new Error('Пустая запись рисунка');
+        }
+
+        const steps = layers[0].length;
+        if (layers.some(layer => layer.length !== steps)) {
+            throw new Error('Слои рисунка должны быть одной длины');
+        }
+
+        const hits = [];
+
+        layers.forEach(layer => {
+            let current = null;
+
+            [...layer].forEach((symbol, index) => {
+                const hit = HIT_SYMBOLS[symbol.toLowerCase()];
+
+                if (hit) {
+                    current = {
+                        time: index * step,
+                        steps: 1,
+                        velocity: symbol === symbol.toUpperCase() ? VELOCITIES.accent : VELOCITIES.normal,
+                        part: hit.part,
+                        strum: hit.strum
+                    };
+                    hits.push(current);
+                } else if (symbol === '-') {
+                    if (current) {
+                        current.steps++;
+                    }
+                } else if (symbol === '.') {
+                    current = null;
+                } else {
+                    throw new Error(`Неизвестный символ "${symbol}"`);
+                }
+            });
+        });
+
+        if (hits.length === 0) {
+            throw new Error('В рисунке нет ни одного удара');
+        }
+
+        return {
+            length: steps * step,
+            hits: hits
+                .map(hit => ({
+                    time: this._applySwing(hit.time, swing),
+                    duration: hit.steps * step * gate,
+                    velocity: hit.velocity,
+                    part: hit.part,
+                    strum: hit.strum
+                }))
+                .sort((a, b) => a.time - b.time)
+        };
+    }
+
+    /**
+     * Удары рисунка внутри элемента последовательности
+     * Рисунок повторяется от начала элемента и обрезается по его концу
+     * @param {number} duration - Длительность элемента в долях целой ноты
+     * @param {string} [patternId] - ID рисунка
+     * @returns {Array<Object>} - Удары: { time, duration, velocity, part, strum } (время от начала элемента)
+     */
+    getHits(duration, patternId = DEFAULT_RHYTHM_PATTERN) {
+        const pattern = this.getPattern(patternId);
+
+        // Выдержанный аккорд звучит всю длительность элемента
+        if (!pattern.notation) {
+            return [{ time: 0, duration, velocity: VELOCITIES.accent, part: 'chord', strum: null }];
+        }
+
+        const { length, hits } = this.parseNotation(pattern.notation, pattern);
+        const result = [];
+
+        for (let cycle = 0; cycle < duration - EPSILON; cycle += length) {
+            hits.forEach(hit => {
+                const time = cycle + hit.time;
+
+                if (time < duration - EPSILON) {
+                    result.push({ ...hit, time, duration: Math.min(hit.duration, duration - time) });
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Звуки аккорда для удара
+     * @param {Array<*>} notes - Звуки расположения аккорда снизу вверх
+     * @param {Object} hit - Удар
+     * @returns {Array<*>} - Звуки удара в порядке взятия (при бое вверх - сверху вниз)
+     */
+    getHitNotes(notes, hit) {
+        let result = notes;
+
+        if (hit.part === 'bass') {
+            result = notes.slice(0, 1);
+        } else if (hit.part === 'upper' && notes.length > 1) {
+            result = notes.slice(1);
+        }
+
+        return hit.strum === 'up' ? [...result].reverse() : result;
+    }
+
+    /**
+     * Смещение восьмых на слабых долях для свинга
+     * @param {number} time - Время удара в долях целой ноты
+     * @param {number} swing - Свинг от 0 до 1
+     * @returns {number} - Время с учетом свинга
+     * @private
+     */
+    _applySwing(time, swing) {
+        const offset = time % (1 / 4);
+
+        // При полном свинге вторая восьмая сдвигается на последнюю триоль доли (с 1/8 на 1/6)
+        if (swing > 0 && Math.abs(offset - 1 / 8) < EPSILON) {
+            return time + swing / 24;
+        }
+
+        return time;
+    }
+}
+
+// Создаем экземпляр сервиса
+const rhythmService = new RhythmService();
+
+// Экспортируем по умолчанию
+export default rhythmService;
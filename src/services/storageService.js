@@ -1,6 +1,10 @@
 import { TrackStructure } from '../models/sequence.js';
-import { Tonality } from '../models/tonality.js';
+import { Tonality, tonalityCollection } from '../models/tonality.js';
 import { Chord } from '../models/chord.js';
+import { DEFAULT_VOICING_STYLE } from '../models/voicing.js';
+import { DEFAULT_RHYTHM_PATTERN } from '../models/rhythm.js';
+import arpeggiatorService from './arpeggiatorService.js';
+import { DEFAULT_TIME_SIGNATURE, formatTimeSignature } from '../models/meter.js';
 
 /**
  * Сервис для сохранения и загрузки данных приложения
@@ -70,9 +74,8 @@ export class StorageService {
                 
                 Object.entries(state.blocks).forEach(([blockId, blockData]) => {
                     // Восстанавливаем тональность
-                    const tonality = blockData.tonality
-                        ? new Tonality(blockData.tonality.note, blockData.tonality.type)
-                        : new Tonality('C', 'dur');
+                    const tonality = Tonality.fromJSON(blockData.tonality) ||
+                        tonalityCollection.findTonality('C', 'major');
                     
                     // Восстанавливаем последовательность
                     const sequence = [];
@@ -83,22 +86,15 @@ export class StorageService {
                             
                             // Восстанавливаем аккорд
                             if (itemData.chord) {
-                                chord = new Chord(
-                                    itemData.chord.root,
-                                    itemData.chord.type,
-                                    {
-                                        degree: itemData.chord.degree,
-                                        function: itemData.chord.function,
-                                        inTonality: itemData.chord.inTonality
-                                    }
-                                );
+                                chord = Chord.fromJSON(itemData.chord);
                             }
                             
                             // Добавляем элемент в последовательность
                             sequence.push({
                                 chord,
                                 duration: itemData.duration || 1,
-                                isPause: itemData.isPause || false
+                                isPause: itemData.isPause || false,
+                                voicingStyle: itemData.voicingStyle || null
                             });
                         });
                     }
@@ -108,14 +104,34 @@ export class StorageService {
                         id: blockId,
                         name: blockData.name || blockId,
                         tonality,
-                        sequence
+                        sequence,
+                        voicingStyle: blockData.voicingStyle || DEFAULT_VOICING_STYLE,
+                        timeSignature: formatTimeSignature(blockData.timeSignature || DEFAULT_TIME_SIGNATURE),
+                        rhythmPattern: blockData.rhythmPattern || DEFAULT_RHYTHM_PATTERN
                     };
                 });
                 
                 // Заменяем блоки в состоянии
                 deserializedState.blocks = blocks;
+                
+                // Аранжировка ссылается только на существующие блоки
+                deserializedState.arrangement = Array.isArray(state.arrangement)
+                    ? state.arrangement.filter(blockId => blocks[blockId])
+                    : [];
             }
             
+            // Пользовательские ритмические рисунки
+            deserializedState.rhythmPatterns = Array.isArray(state.rhythmPatterns) ? state.rhythmPatterns : [];
+            
+            // Настройки арпеджиатора (недостающие поля - по умолчанию)
+            deserializedState.arpeggiator = arpeggiatorService.normalizeSettings(state.arpeggiator);
+            
+            // Дорожка ударных при экспорте в MIDI
+            deserializedState.midiDrums = Boolean(state.midiDrums);
+            
+            // Аккорды нотами при экспорте в MusicXML
+            deserializedState.musicXmlVoiced = Boolean(state.musicXmlVoiced);
+            
             return deserializedState;
         } catch (error) {
             console.error('Ошибка при десериализации состояния:', error);
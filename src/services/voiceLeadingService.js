@@ -0,0 +1,143 @@
+import { Chord } from '../models/chord.js';
+import { noteToPitchClass } from '../models/scale.js';
+import { DEFAULT_VOICING_STYLE } from '../models/voicing.js';
+import voicingService from './voicingService.js';
+
+/**
+ * Сервис голосоведения
+ * Подбирает обращение и октаву для каждого аккорда последовательности так,
+ * чтобы голоса двигались как можно меньше относительно предыдущего аккорда
+ */
+export class VoiceLeadingService {
+    constructor() {
+        // Регистр по умолчанию: от C3 до G5 (номера MIDI-нот)
+        this.register = {
+            low: 48,
+            high: 79
+        };
+
+        // Привязка методов к контексту
+        this.setRegister = this.setRegister.bind(this);
+        this.voiceChord = this.voiceChord.bind(this);
+        this.voiceSequence = this.voiceSequence.bind(this);
+    }
+
+    /**
+     * Установка регистра, в котором располагаются аккорды
+     * @param {number} low - Нижняя граница (номер MIDI-ноты)
+     * @param {number} high - Верхняя граница (номер MIDI-ноты)
+     */
+    setRegister(low, high) {
+        if (typeof low !== 'number' || typeof high !== 'number' || high - low < 12) {
+            console.warn('Регистр голосоведения должен быть не меньше октавы');
+            return;
+        }
+
+        this.register = { low, high };
+    }
+
+    /**
+     * Оценка перемещения голосов между двумя расположениями
+     * Для каждого голоса берется расстояние до ближайшего голоса другого аккорда
+     * (так сравниваются аккорды с разным количеством нот)
+     * @param {Array<number>} from - Предыдущее расположение (номера MIDI-нот)
+     * @param {Array<number>} to - Новое расположение (номера MIDI-нот)
+     * @returns {number} - Суммарное перемещение в полутонах
+     * @private
+     */
+    _getMovement(from, to) {
+        const nearest = (value, list) => Math.min(...list.map(item => Math.abs(item - value)));
+
+        const forward = to.reduce((sum, midi) => sum + nearest(midi, from), 0);
+        const backward = from.reduce((sum, midi) => sum + nearest(midi, to), 0);
+
+        // Скачок баса учитываем отдельно, чтобы нижний голос не прыгал без необходимости
+        const bassLeap = Math.abs(to[0] - from[0]);
+
+        return forward + backward + bassLeap * 0.5;
+    }
+
+    /**
+     * Расположение аккорда с учетом предыдущего расположения
+     * @param {Chord} chord - Аккорд
+     * @param {Array<Object>|null} [previous=null] - Предыдущее расположение ({ note, midi })
+     * @param {Object} [register] - Регистр { low, high } (по умолчанию - регистр сервиса)
+     * @param {string} [style] - Стиль расположения (close, open, drop2, drop3, shell, rootless)
+     * @returns {Array<Object>} - Расположение аккорда: массив { note, midi } снизу вверх
+     */
+    voiceChord(chord, previous = null, register = this.register, style = DEFAULT_VOICING_STYLE) {
+        const candidates = voicingService.getCandidates(chord, style, register);
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const center = (register.low + register.high) / 2;
+        const average = voicing => voicing.reduce((sum, item) => sum + item.midi, 0) / voicing.length;
+
+        // Первый аккорд: основной вид (если бас не задан) ближе всего к середине регистра
+        if (!previous || previous.length === 0) {
+            const rootPitch = noteToPitchClass(chord.getBassNote());
+            const rootPosition = candidates.filter(voicing => noteToPitchClass(voicing[0].note) === rootPitch);
+            const pool = rootPosition.length > 0 ? rootPosition : candidates;
+
+            return pool.reduce((best, voicing) => {
+                return Math.abs(average(voicing) - center) < Math.abs(average(best) - center) ? voicing : best;
+            });
+        }
+
+        const previousMidi = previous.map(item => item.midi);
+
+        // Выбираем вариант с наименьшим перемещением голосов,
+        // при равенстве - ближайший к середине регистра
+        let best = null;
+        let bestScore = Infinity;
+
+        candidates.forEach(voicing => {
+            const movement = this._getMovement(previousMidi, voicing.map(item => item.midi));
+            const score = movement + Math.abs(average(voicing) - center) * 0.01;
+
+            if (score < bestScore) {
+                best = voicing;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Расположение всех аккордов последовательности
+     * Паузы не прерывают голосоведение: следующий аккорд строится от последнего прозвучавшего
+     * @param {Array<Object>} sequence - Элементы последовательности ({ chord, duration, isPause })
+     * @param {Object} [options] - Опции
+     * @param {Object} [options.register] - Регистр { low, high }
+     * @param {string} [options.style] - Стиль расположения блока (стиль элемента имеет приоритет)
+     * @returns {Array<Array<Object>|null>} - Расположения по элементам последовательности (null для пауз)
+     */
+    voiceSequence(sequence, options = {}) {
+        const register = options.register || this.register;
+        const blockStyle = options.style || DEFAULT_VOICING_STYLE;
+        let previous = null;
+
+        return sequence.map(item => {
+            if (!item || item.isPause || !item.chord) {
+                return null;
+            }
+
+            const chord = item.chord instanceof Chord ? item.chord : Chord.fromJSON(item.chord);
+            const voicing = this.voiceChord(chord, previous, register, item.voicingStyle || blockStyle);
+
+            if (voicing.length > 0) {
+                previous = voicing;
+            }
+
+            return voicing;
+        });
+    }
+}
+
+// Создаем экземпляр сервиса
+const voiceLeadingService = new VoiceLeadingService();
+
+// Экспортируем по умолчанию
+export default voiceLeadingService;
@@ -0,0 +1,185 @@
+import { noteToPitchClass, stackNotes, transposeNote, mod12 } from '../models/scale.js';
+import { VOICING_STYLES, DEFAULT_VOICING_STYLE } from '../models/voicing.js';
+
+/**
+ * Сервис расположения аккордов
+ * Слой между нотами аккорда (Chord.getNotes) и воспроизведением/экспортом:
+ * отбирает звуки аккорда для выбранного стиля и строит варианты их расположения в регистре
+ */
+export class VoicingService {
+    constructor() {
+        // Привязка методов к контексту
+        this.getStyles = this.getStyles.bind(this);
+        this.normalizeStyle = this.normalizeStyle.bind(this);
+        this.getVoicingTones = this.getVoicingTones.bind(this);
+        this.getCandidates = this.getCandidates.bind(this);
+    }
+
+    /**
+     * Получение списка стилей расположения
+     * @returns {Array<Object>} - Массив { id, name }
+     */
+    getStyles() {
+        return Object.entries(VOICING_STYLES).map(([id, name]) => ({ id, name }));
+    }
+
+    /**
+     * Приведение стиля к известному значению
+     * @param {string} style - Стиль расположения
+     * @returns {string} - Известный стиль или стиль по умолчанию
+     */
+    normalizeStyle(style) {
+        return style in VOICING_STYLES ? style : DEFAULT_VOICING_STYLE;
+    }
+
+    /**
+     * Отбор звуков аккорда для стиля расположения
+     * @param {Chord} chord - Аккорд
+     * @param {string} style - Стиль расположения
+     * @returns {Object} - { bass, upper }: басовая нота (или null, если бас свободный) и верхние голоса
+     */
+    getVoicingTones(chord, style) {
+        const notes = chord.getNotes();
+        const intervals = chord.getIntervals();
+
+        if (notes.length === 0) {
+            return { bass: null, upper: [] };
+        }
+
+        // Находим звук аккорда по списку интервалов (в порядке предпочтения)
+        const findTone = candidates => {
+            const index = intervals.findIndex(interval => candidates.includes(interval));
+            return index === -1 ? null : notes[index];
+        };
+
+        const third = findTone([4, 3, 5, 2]);
+        const fifth = findTone([7, 6, 8]);
+        const seventh = findTone([10, 11, 9]);
+        const ninth = findTone([14, 13, 15]);
+
+        let bass = null;
+        let upper = notes;
+
+        if (style === 'shell') {
+            // Основной тон в басу, сверху терция и септима (для трезвучий - терция и квинта)
+            bass = notes[0];
+            upper = [third, seventh || fifth].filter(Boolean);
+        } else if (style === 'rootless') {
+            // Без основного тона: терция, квинта, септима и нона (нона добавляется, если ее нет)
+            const addedNinth = ninth || transposeNote(notes[0], 14, 1);
+            upper = [third, fifth, seventh, addedNinth].filter(Boolean);
+        } else if (style === 'open') {
+            // Широкое расположение: основной тон в басу на октаву ниже остальных голосов
+            bass = notes[0];
+        }
+
+        // Явно заданный бас (обращение или "C/E") имеет приоритет
+        if (chord.bass !== null || chord.inversion > 0) {
+            bass = chord.getBassNote();
+        }
+
+        // Звук баса не дублируем в верхних голосах, если остается хотя бы два голоса
+        if (bass) {
+            const bassPitch = noteToPitchClass(bass);
+            const withoutBass = upper.filter(note => noteToPitchClass(note) !== bassPitch);
+
+            if (withoutBass.length >= 2) {
+                upper = withoutBass;
+            }
+        }
+
+        return { bass, upper };
+    }
+
+    /**
+     * Перестановка голосов тесного расположения по стилю (drop 2, drop 3)
+     * @param {Array<number>} midiNotes - Тесное расположение (номера MIDI-нот по возрастанию)
+     * @param {string} style - Стиль расположения
+     * @returns {Array<number>} - Новое расположение по возрастанию
+     * @private
+     */
+    _applyDrop(midiNotes, style) {
+        const result = [...midiNotes];
+
+        // Drop 2: второй сверху голос на октаву вниз; drop 3: третий сверху
+        let dropIndex = -1;
+        if (style === 'drop2' && result.length >= 3) {
+            dropIndex = result.length - 2;
+        } else if (style === 'drop3' && result.length >= 3) {
+            // Для трезвучий drop 3 совпадает с drop 2
+            dropIndex = result.length >= 4 ? result.length - 3 : result.length - 2;
+        }
+
+        if (dropIndex >= 0) {
+            result[dropIndex] -= 12;
+        }
+
+        return result.sort((a, b) => a - b);
+    }
+
+    /**
+     * Получение всех вариантов расположения аккорда в регистре
+     * @param {Chord} chord - Аккорд
+     * @param {string} style - Стиль расположения
+     * @param {Object} register - Регистр { low, high } (номера MIDI-нот)
+     * @returns {Array<Array<Object>>} - Варианты: массивы { note, midi } снизу вверх
+     */
+    getCandidates(chord, style, register) {
+        const voicingStyle = this.normalizeStyle(style);
+        const { bass, upper } = this.getVoicingTones(chord, voicingStyle);
+
+        if (upper.length === 0) {
+            return [];
+        }
+
+        // Обращения верхних голосов (внизу только прима, терция, квинта или септима, но не нона и выше)
+        const rotations = upper.slice(0, 4).map((note, index) => {
+            return [...upper.slice(index), ...upper.slice(0, index)];
+        });
+
+        const candidates = [];
+        const fallback = [];
+
+        rotations.forEach(rotation => {
+            for (let octave = 0; octave <= 8; octave++) {
+                const closeMidi = stackNotes(rotation, octave);
+                if (closeMidi.length !== rotation.length) {
+                    continue;
+                }
+
+                // Сопоставляем ноты с высотами после перестановки голосов
+                const voicing = this._applyDrop(closeMidi, voicingStyle).map(midi => ({
+                    note: rotation[closeMidi.findIndex(value => mod12(value) === mod12(midi))],
+                    midi
+                }));
+
+                // Бас располагаем под верхними голосами (в широком расположении - еще на октаву ниже)
+                if (bass) {
+                    const lowest = voicing[0].midi;
+                    const distance = mod12(lowest - noteToPitchClass(bass)) || 12;
+                    const bassMidi = lowest - distance - (voicingStyle === 'open' ? 12 : 0);
+
+                    voicing.unshift({ note: bass, midi: bassMidi });
+                }
+
+                const lowestMidi = voicing[0].midi;
+                const highestMidi = voicing[voicing.length - 1].midi;
+
+                if (lowestMidi >= register.low && highestMidi <= register.high) {
+                    candidates.push(voicing);
+                } else if (lowestMidi >= register.low && lowestMidi < register.low + 12) {
+                    // Широкие аккорды (ундецим-, терцдецимаккорды) могут не поместиться в регистр
+                    fallback.push(voicing);
+                }
+            }
+        });
+
+        return candidates.length > 0 ? candidates : fallback;
+    }
+}
+
+// Создаем экземпляр сервиса
+const voicingService = new VoicingService();
+
+// Экспортируем по умолчанию
+export default voicingService;